@@ -0,0 +1,132 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getProvider, ProviderError } = require('../lib/providers');
+const { getSupabaseAdmin } = require('../lib/supabaseAdmin');
+const { quotaOf, claimRequest, recordRequest, recordTokens } = require('../lib/usage');
+const {
+  MIN_THEME_USERS, LABEL_BATCH_SIZE, LABEL_PROMPT, LABEL_SCHEMA, CLUSTER_PROMPT, CLUSTER_SCHEMA,
+  isAdminUser, loadConversationTopics, loadExcerpts, labelInput, toTopicRows, toThemes,
+} = require('../lib/analytics');
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+// Anonymized topic themes for the admin dashboard. POST {since} (ISO date, default 30 days ago) labels up to one
+// batch of not yet labelled conversations, clusters all labels in the period and returns
+// { themes: [{theme, conversations, users, modes}], labelled, unlabelled, minUsers }. No transcript text,
+// title or user id is returned.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Admins only
+    if (!(await isAdminUser(user.sub))) {
+      return { statusCode: 403, body: JSON.stringify({ error: 'Only admins can read usage analytics.' }) };
+    }
+    const { since: requestedSince } = JSON.parse(event.body || '{}');
+    const since = Number.isNaN(Date.parse(requestedSince))
+      ? new Date(Date.now() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      : new Date(requestedSince).toISOString();
+
+    // 3. Enforce the per-user rate limit and monthly token quota, recording the first model call
+    const provider = getProvider();
+    const { usageEventId: claimedEventId, summary, limit } = await claimRequest(user.sub, provider, 'analytics');
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify({ ...limit, quota: quotaOf(summary) }),
+      };
+    }
+
+    // The claimed usage event is used by the first model call; a second call records its own.
+    let unusedEventId = claimedEventId;
+    const usageEventFor = async () => {
+      const usageEventId = unusedEventId || await recordRequest(user.sub, provider, 'analytics');
+      unusedEventId = null;
+      return usageEventId;
+    };
+
+    // 4. Label one batch of conversations that have no topic yet, from redacted excerpts
+    const conversations = await loadConversationTopics(since);
+    const batch = conversations.filter(conversation => !conversation.topic).slice(0, LABEL_BATCH_SIZE);
+    if (batch.length > 0) {
+      const usageEventId = await usageEventFor();
+      const result = await provider.generate({
+        systemPrompt: LABEL_PROMPT,
+        history: [{ role: 'user', content: labelInput(await loadExcerpts(batch)) }],
+        responseSchema: LABEL_SCHEMA,
+      });
+      await recordTokens(usageEventId, result.usage);
+
+      let rows = [];
+      try {
+        rows = toTopicRows(JSON.parse(result.text), batch);
+      } catch (error) {
+        console.error("Topic label parse error:", result.text);
+      }
+      if (rows.length > 0) {
+        const { error: insertError } = await getSupabaseAdmin().from('conversation_topics').upsert(rows);
+        if (insertError) throw insertError;
+        const topicById = new Map(rows.map(row => [row.conversation_id, row.topic]));
+        conversations.forEach(conversation => {
+          if (topicById.has(conversation.id)) conversation.topic = topicById.get(conversation.id);
+        });
+      }
+    }
+
+    // 5. Cluster the labels into themes; only the distinct labels are sent, never transcripts
+    const labelled = conversations.filter(conversation => conversation.topic);
+    let themes = [];
+    if (labelled.length > 0) {
+      const topics = [...new Set(labelled.map(conversation => conversation.topic))];
+      const usageEventId = await usageEventFor();
+      const result = await provider.generate({
+        systemPrompt: CLUSTER_PROMPT,
+        history: [{ role: 'user', content: topics.map(topic => `- ${topic}`).join('\n') }],
+        responseSchema: CLUSTER_SCHEMA,
+      });
+      await recordTokens(usageEventId, result.usage);
+
+      try {
+        themes = toThemes(JSON.parse(result.text), labelled);
+      } catch (error) {
+        console.error("Theme cluster parse error:", result.text);
+        return { statusCode: 502, body: JSON.stringify({ error: 'The model returned invalid themes.' }) };
+      }
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+          themes,
+          labelled: labelled.length,
+          unlabelled: conversations.length - labelled.length,
+          minUsers: MIN_THEME_USERS,
+        }),
+    };
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -1,87 +1,151 @@
-const jwt = require('jsonwebtoken');
+const { stream } = require('@netlify/functions');
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { resolvePersona } = require('../lib/personas');
+const { loadTrack, applyTrack } = require('../lib/tracks');
+const { getProvider, ProviderError } = require('../lib/providers');
+const { quotaOf, claimRequest, recordTokens, applyUsage } = require('../lib/usage');
+const { meterEvents, moderateEvents, safetyEvents, eventsOf, toEventStream } = require('../lib/replyStream');
+const { compactHistory, withSummary } = require('../lib/compaction');
+const { loadOpenItems, withOpenItems } = require('../lib/actionPlan');
+const { loadMemory, withMemory } = require('../lib/memory');
+const { loadSession, syncSession, withSessionPhase } = require('../lib/coachingSession');
+const { generateWithGuardrails, logCompliance } = require('../lib/guardrails');
+const { screen, providerBlocked, isSafetyBlock } = require('../lib/safety');
+const { createRedactor, withRedaction } = require('../lib/redaction');
+const { loadDocumentContext, withDocuments } = require('../lib/attachments');
 
-// Helper function to validate the Supabase JWT
-const validateToken = (token) => {
-  const jwtSecret = process.env.SUPABASE_JWT_SECRET;
-  if (!jwtSecret) {
-    throw new Error('Supabase JWT Secret is not set in environment variables.');
-  }
-
-  return new Promise((resolve, reject) => {
-    jwt.verify(token, jwtSecret, (err, decoded) => {
-      if (err) {
-        return reject(err);
-      }
-      // You can add additional checks here if needed, like checking the 'aud' or 'iss' claims
-      resolve(decoded);
-    });
-  });
-};
-
-exports.handler = async (event) => {
+exports.handler = stream(async (event) => {
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
 
   try {
     // 1. Token Validation
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.', code: 'unauthorized' }) };
     }
-    const token = authHeader.substring(7);
 
+    let user;
     try {
-        await validateToken(token);
+        user = await validateToken(token);
     } catch (error) {
         console.error("Token validation error:", error);
-        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}`, code: 'unauthorized' }) };
     }
 
-    // 2. Call Gemini API (only if token is valid)
-    const { history, systemPrompt } = JSON.parse(event.body);
-    const apiKey = process.env.GEMINI_API_KEY;
+    // 2. Validate the request (only if token is valid)
+    const { history, persona: personaId, track: trackId, conversationId, stream: shouldStream } = JSON.parse(event.body);
+
+    let persona = resolvePersona(personaId);
+    if (!persona) {
+      return { statusCode: 400, body: JSON.stringify({ error: `Unknown persona: ${personaId}`, code: 'bad_request' }) };
+    }
+    if (trackId) {
+      const track = await loadTrack(trackId);
+      if (!track || track.persona !== persona.id) {
+        return { statusCode: 400, body: JSON.stringify({ error: `Unknown ${persona.id} track: ${trackId}`, code: 'bad_request' }) };
+      }
+      persona = applyTrack(persona, track);
+    }
+    if (!Array.isArray(history)) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'history must be an array of messages.', code: 'bad_request' }) };
+    }
 
-    if (!apiKey) {
-      throw new Error("Gemini API key is not configured on the server.");
+    // 3. Enforce the per-user rate limit and monthly token quota, recording the request when it may go ahead
+    const modelProvider = getProvider();
+    const { usageEventId, summary, limit } = await claimRequest(user.sub, modelProvider);
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify({ ...limit, quota: quotaOf(summary) }),
+      };
     }
 
-    const contents = history.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-    }));
+    // 4. Redact personal details from everything sent to the provider, then screen the incoming message
+    const lastUserMessage = [...history].reverse().find(msg => msg.role === 'user');
+    const redactor = await createRedactor(user.sub, history.map(msg => msg.content));
+    const provider = withRedaction(modelProvider, redactor);
+    const redaction = { level: redactor.level, count: lastUserMessage ? redactor.countIn(lastUserMessage.content) : 0 };
+    const inputSafety = lastUserMessage
+      ? await screen({ provider, userId: user.sub, conversationId, text: lastUserMessage.content, source: 'user' })
+      : null;
+    if (inputSafety) {
+      if (shouldStream) {
+        return {
+          statusCode: 200,
+          headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' },
+          body: toEventStream(safetyEvents(inputSafety), { persona: persona.ref, quota: quotaOf(summary), redaction }),
+        };
+      }
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ response: inputSafety.message, safety: inputSafety, persona: persona.ref, quota: quotaOf(summary), redaction }),
+      };
+    }
 
-    const payload = {
-        contents,
-        systemInstruction: { parts: [{ text: systemPrompt }] }
+    // 5. Call the configured model provider
+    // Partial screens of a streamed reply only record escalations; concerns are recorded once, for the whole reply.
+    const checkReply = async ({ text, finishReason, partial = false }) => {
+      if (isSafetyBlock(finishReason)) return providerBlocked({ userId: user.sub, conversationId, finishReason });
+      return text ? screen({ provider, userId: user.sub, conversationId, text, source: 'model', logConcerns: !partial }) : null;
     };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${apiKey}`;
+    const [compacted, openItems, memory, storedSession, documents] = await Promise.all([
+      compactHistory({ provider, userId: user.sub, conversationId, history }),
+      loadOpenItems(user.sub, persona.id, conversationId),
+      loadMemory(user.sub),
+      persona.id === 'coach' ? loadSession(user.sub, conversationId) : null,
+      loadDocumentContext(user.sub, history),
+    ]);
+    redactor.scan(...memory, ...openItems.map(item => item.description), ...documents.flatMap(document => document.excerpts));
+    // Structured coaching sessions start their clock on the first turn; the phase moves on with time.
+    const session = storedSession ? await syncSession(user.sub, conversationId, storedSession) : null;
+    const systemPrompt = withSessionPhase(withMemory(withOpenItems(withSummary(persona.systemPrompt, compacted.summary), openItems), memory), session);
+    // Attached documents travel with the latest message: whole when small, otherwise the passages matching it.
+    const upstream = new AbortController();
+    const request = { systemPrompt, history: withDocuments(compacted.history, documents), signal: upstream.signal };
 
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
+    // Guarded personas are generated and validated in full before anything reaches the client.
+    const guarded = persona.guardrails ? await generateWithGuardrails(provider, request, usageEventId) : null;
+    const compliance = guarded && {
+      id: await logCompliance({ userId: user.sub, conversationId, persona, compliance: guarded.compliance }),
+      compliant: guarded.compliance.compliant,
+      attempts: guarded.compliance.attempts,
+      inconclusive: guarded.compliance.inconclusive,
+    };
 
-    if (!response.ok) {
-        const errorBody = await response.text();
-        console.error("API Error:", errorBody);
-        return { statusCode: response.status, body: JSON.stringify({ error: `API request failed: ${errorBody}` }) };
+    if (shouldStream) {
+        const providerEvents = guarded ? eventsOf(guarded) : await provider.stream(request);
+        const events = meterEvents(moderateEvents(providerEvents, checkReply), usageEventId, quotaOf(summary), request);
+        return {
+            statusCode: 200,
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+            },
+            body: toEventStream(events, { persona: persona.ref, compliance, redaction, session }, upstream),
+        };
     }
 
-    const result = await response.json();
-    const aiContent = result.candidates?.[0]?.content?.parts?.[0]?.text || "Sorry, I couldn't get a response.";
+    const result = guarded || await provider.generate(request);
+    await recordTokens(usageEventId, result.usage);
+    const safety = await checkReply(result);
+    const aiContent = safety ? safety.message : result.text || "Sorry, I couldn't get a response.";
 
     return {
         statusCode: 200,
-        body: JSON.stringify({ response: aiContent }),
+        body: JSON.stringify({ response: aiContent, safety, persona: persona.ref, compliance, redaction, session, quota: applyUsage(quotaOf(summary), result.usage) }),
     };
   } catch (error) {
+    if (error instanceof ProviderError) {
+      return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
     console.error("Netlify Function Error:", error);
     return {
         statusCode: 500,
-        body: JSON.stringify({ error: error.message }),
+        body: JSON.stringify({ error: error.message, code: 'internal_error' }),
     };
   }
-};
+});
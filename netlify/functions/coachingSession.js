@@ -0,0 +1,126 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getProvider, ProviderError } = require('../lib/providers');
+const { getSupabaseAdmin } = require('../lib/supabaseAdmin');
+const { quotaOf, claimRequest, recordTokens } = require('../lib/usage');
+const { transcriptOf } = require('../lib/actionPlan');
+const { SESSION_COLUMNS, CLOSING_PROMPT, CLOSING_SCHEMA, nextPhase, saveSession, toClosingSummary } = require('../lib/coachingSession');
+const { createRedactor, withRedaction } = require('../lib/redaction');
+const { activePath } = require('../lib/messageTree');
+
+// Moves a structured coaching session on. {conversationId, action: 'advance'} goes to the next phase before its
+// time is up; {conversationId, action: 'close'} (or advancing from the last phase) writes the closing summary of
+// insights and commitments and closes the session. Returns { session }.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Load the caller's session
+    const { conversationId, action } = JSON.parse(event.body);
+    if (!['advance', 'close'].includes(action)) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'action must be "advance" or "close".' }) };
+    }
+    const supabase = getSupabaseAdmin();
+    const { data: conversation, error: conversationError } = await supabase
+      .from('conversations')
+      .select(`id, active_leaf_id, ${SESSION_COLUMNS}`)
+      .eq('id', conversationId)
+      .eq('user_id', user.sub)
+      .maybeSingle();
+    if (conversationError) throw conversationError;
+    if (!conversation) {
+      return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+    }
+    if (!conversation.session_minutes) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'This conversation is not a structured session.' }) };
+    }
+
+    const { active_leaf_id: leafId, id, ...session } = conversation;
+    if (session.session_phase === 'closed') {
+      return { statusCode: 200, body: JSON.stringify({ session }) };
+    }
+
+    const phase = action === 'close' ? 'closed' : nextPhase(session);
+    if (phase !== 'closed') {
+      const updated = await saveSession(user.sub, id, { session_phase: phase, session_started_at: session.session_started_at || new Date().toISOString() });
+      if (!updated) {
+        return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+      }
+      return { statusCode: 200, body: JSON.stringify({ session: updated }) };
+    }
+
+    // 3. Enforce the per-user rate limit and monthly token quota, recording the request when it may go ahead
+    const modelProvider = getProvider();
+    const { usageEventId, summary, limit } = await claimRequest(user.sub, modelProvider);
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify({ ...limit, quota: quotaOf(summary) }),
+      };
+    }
+
+    // 4. Summarize the branch on screen; personal details are redacted and restored in the summary
+    const { data: allMessages, error: messagesError } = await supabase
+      .from('messages')
+      .select('id, parent_id, role, content')
+      .eq('conversation_id', id);
+    if (messagesError) throw messagesError;
+    const messages = activePath(allMessages, leafId);
+
+    const redactor = await createRedactor(user.sub, messages.map(msg => msg.content));
+    const provider = withRedaction(modelProvider, redactor);
+    const result = await provider.generate({
+      systemPrompt: CLOSING_PROMPT,
+      history: [{ role: 'user', content: transcriptOf(messages) }],
+      responseSchema: CLOSING_SCHEMA,
+    });
+    await recordTokens(usageEventId, result.usage);
+
+    let closing;
+    try {
+      closing = toClosingSummary(JSON.parse(result.text));
+    } catch (error) {
+      console.error("Closing summary parse error:", result.text);
+      return { statusCode: 502, body: JSON.stringify({ error: 'The model returned an invalid closing summary.' }) };
+    }
+
+    // 5. Store the summary with the conversation and close the session
+    const updated = await saveSession(user.sub, id, {
+      session_phase: 'closed',
+      closing_summary: { ...closing, created_at: new Date().toISOString() },
+    });
+    if (!updated) {
+      return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ session: updated }),
+    };
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,46 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { deleteConversation } = require('../lib/attachments');
+
+// Deletes one of the caller's conversations with its messages and the attached files no other message uses.
+// POST { conversationId }. Returns { deleted: true }.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Delete the conversation and its files
+    const { conversationId } = JSON.parse(event.body || '{}');
+    if (typeof conversationId !== 'string' || !conversationId) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'conversationId is required.' }) };
+    }
+    if (!await deleteConversation(user.sub, conversationId)) {
+      return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ deleted: true }),
+    };
+  } catch (error) {
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
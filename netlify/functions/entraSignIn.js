@@ -0,0 +1,53 @@
+const { getBearerToken } = require('../lib/auth');
+const { getEntraConfig, isEntraToken, verifyEntraToken, resolveEntraUser, createSessionFor } = require('../lib/entra');
+
+// Exchanges a Microsoft Entra token (MSAL or Teams tab SSO) for a Supabase session for the linked user, so an
+// Entra sign-in reads and writes the same rows as that user's email sign-in. The first sign-in links the
+// identity or creates a user (see resolveEntraUser). Returns { session }.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+  if (!getEntraConfig()) {
+    return { statusCode: 404, body: JSON.stringify({ error: 'Microsoft sign-in is not configured.' }) };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token || !isEntraToken(token)) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No Microsoft token provided.' }) };
+    }
+
+    let claims;
+    try {
+        claims = await verifyEntraToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Find, link or create the Supabase user
+    const userId = await resolveEntraUser(claims);
+    if (!userId) {
+      return {
+        statusCode: 409,
+        body: JSON.stringify({ error: 'An account with this email already exists. Sign in with your email, then choose "Link Microsoft account".' }),
+      };
+    }
+
+    // 3. Open a session for the linked Supabase user
+    const session = await createSessionFor(userId);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ session: { access_token: session.access_token, refresh_token: session.refresh_token } }),
+    };
+  } catch (error) {
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,109 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getProvider, ProviderError } = require('../lib/providers');
+const { getSupabaseAdmin } = require('../lib/supabaseAdmin');
+const { quotaOf, claimRequest, recordTokens } = require('../lib/usage');
+const { EXTRACTION_PROMPT, ACTION_PLAN_SCHEMA, transcriptOf, toRows } = require('../lib/actionPlan');
+const { createRedactor, withRedaction } = require('../lib/redaction');
+const { activePath } = require('../lib/messageTree');
+
+// Extracts goals and action items from a stored conversation, saves the new ones and returns the full plan.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Load the caller's conversation
+    const { conversationId } = JSON.parse(event.body);
+    const supabase = getSupabaseAdmin();
+    const { data: conversation, error: conversationError } = await supabase
+      .from('conversations')
+      .select('id, active_leaf_id')
+      .eq('id', conversationId)
+      .eq('user_id', user.sub)
+      .maybeSingle();
+    if (conversationError) throw conversationError;
+    if (!conversation) {
+      return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+    }
+
+    const [{ data: allMessages, error: messagesError }, { data: existing, error: existingError }] = await Promise.all([
+      supabase.from('messages').select('id, parent_id, role, content').eq('conversation_id', conversationId),
+      supabase.from('action_items').select('description').eq('conversation_id', conversationId),
+    ]);
+    if (messagesError) throw messagesError;
+    if (existingError) throw existingError;
+    const messages = activePath(allMessages, conversation.active_leaf_id);
+
+    // 3. Enforce the per-user rate limit and monthly token quota, recording the request when it may go ahead
+    const modelProvider = getProvider();
+    const { usageEventId, summary, limit } = await claimRequest(user.sub, modelProvider);
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify({ ...limit, quota: quotaOf(summary) }),
+      };
+    }
+
+    // 4. Ask the model for a structured plan; personal details are redacted and restored in the items
+    const redactor = await createRedactor(user.sub, messages.map(msg => msg.content));
+    const provider = withRedaction(modelProvider, redactor);
+    const result = await provider.generate({
+      systemPrompt: EXTRACTION_PROMPT,
+      history: [{ role: 'user', content: transcriptOf(messages) }],
+      responseSchema: ACTION_PLAN_SCHEMA,
+    });
+    await recordTokens(usageEventId, result.usage);
+
+    let plan;
+    try {
+      plan = JSON.parse(result.text);
+    } catch (error) {
+      console.error("Action plan parse error:", result.text);
+      return { statusCode: 502, body: JSON.stringify({ error: 'The model returned an invalid action plan.' }) };
+    }
+
+    // 5. Save the new items
+    const rows = toRows(plan, existing, { userId: user.sub, conversationId });
+    if (rows.length > 0) {
+      const { error: insertError } = await supabase.from('action_items').insert(rows);
+      if (insertError) throw insertError;
+    }
+
+    const { data: items, error: itemsError } = await supabase
+      .from('action_items')
+      .select('*')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+    if (itemsError) throw itemsError;
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ items, added: rows.length }),
+    };
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,36 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getUsageSummary, quotaOf } = require('../lib/usage');
+
+// Returns the signed-in user's remaining monthly token quota.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    const summary = await getUsageSummary(user.sub);
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ quota: quotaOf(summary) }),
+    };
+  } catch (error) {
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
@@ -0,0 +1,58 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getEntraConfig, isEntraToken, verifyEntraToken, linkEntraAccount } = require('../lib/entra');
+
+// Links a Microsoft account to the signed-in user, for accounts entraSignIn does not link automatically.
+// POST { entraToken } with the user's Supabase token as the bearer token. Returns { linked: true }.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+  if (!getEntraConfig()) {
+    return { statusCode: 404, body: JSON.stringify({ error: 'Microsoft sign-in is not configured.' }) };
+  }
+
+  try {
+    // 1. Token Validation. Only an email sign-in can link, so one Microsoft account cannot vouch for another.
+    const token = getBearerToken(event);
+    if (!token || isEntraToken(token)) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: Sign in with your email to link a Microsoft account.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Verify the Microsoft token
+    const { entraToken } = JSON.parse(event.body || '{}');
+    if (typeof entraToken !== 'string' || !isEntraToken(entraToken)) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'A Microsoft token is required.' }) };
+    }
+    let claims;
+    try {
+      claims = await verifyEntraToken(entraToken);
+    } catch (error) {
+      console.error("Microsoft token validation error:", error);
+      return { statusCode: 400, body: JSON.stringify({ error: `Invalid Microsoft token: ${error.message}` }) };
+    }
+
+    // 3. Link the identity
+    if (!await linkEntraAccount(claims, user.sub)) {
+      return { statusCode: 409, body: JSON.stringify({ error: 'This Microsoft account is already linked to another user.' }) };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ linked: true }),
+    };
+  } catch (error) {
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
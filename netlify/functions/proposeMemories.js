@@ -0,0 +1,98 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { getProvider, ProviderError } = require('../lib/providers');
+const { getSupabaseAdmin } = require('../lib/supabaseAdmin');
+const { quotaOf, claimRequest, recordTokens } = require('../lib/usage');
+const { PROPOSAL_PROMPT, PROPOSAL_SCHEMA, loadMemory, proposalInput, toProposals } = require('../lib/memory');
+const { createRedactor, withRedaction } = require('../lib/redaction');
+const { activePath } = require('../lib/messageTree');
+
+// Proposes profile facts from a finished session. Nothing is saved here: the user approves proposals in the
+// client, which writes the accepted ones to memory_facts.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Load the caller's conversation and current memory
+    const { conversationId } = JSON.parse(event.body);
+    const supabase = getSupabaseAdmin();
+    const { data: conversation, error: conversationError } = await supabase
+      .from('conversations')
+      .select('id, active_leaf_id')
+      .eq('id', conversationId)
+      .eq('user_id', user.sub)
+      .maybeSingle();
+    if (conversationError) throw conversationError;
+    if (!conversation) {
+      return { statusCode: 404, body: JSON.stringify({ error: 'Conversation not found.' }) };
+    }
+
+    const [{ data: allMessages, error: messagesError }, facts] = await Promise.all([
+      supabase.from('messages').select('id, parent_id, role, content').eq('conversation_id', conversationId),
+      loadMemory(user.sub),
+    ]);
+    if (messagesError) throw messagesError;
+    const messages = activePath(allMessages, conversation.active_leaf_id);
+    if (!messages.some(msg => msg.role === 'user')) {
+      return { statusCode: 200, body: JSON.stringify({ proposals: [] }) };
+    }
+
+    // 3. Enforce the per-user rate limit and monthly token quota, recording the request when it may go ahead
+    const modelProvider = getProvider();
+    const { usageEventId, summary, limit } = await claimRequest(user.sub, modelProvider);
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify({ ...limit, quota: quotaOf(summary) }),
+      };
+    }
+
+    // 4. Ask the model for candidate facts; personal details are redacted and restored in the proposals
+    const redactor = await createRedactor(user.sub, [...facts, ...messages.map(msg => msg.content)]);
+    const provider = withRedaction(modelProvider, redactor);
+    const result = await provider.generate({
+      systemPrompt: PROPOSAL_PROMPT,
+      history: [{ role: 'user', content: proposalInput(messages, facts) }],
+      responseSchema: PROPOSAL_SCHEMA,
+    });
+    await recordTokens(usageEventId, result.usage);
+
+    let proposed;
+    try {
+      proposed = JSON.parse(result.text);
+    } catch (error) {
+      console.error("Memory proposal parse error:", result.text);
+      return { statusCode: 502, body: JSON.stringify({ error: 'The model returned invalid memory proposals.' }) };
+    }
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ proposals: toProposals(proposed, facts) }),
+    };
+  } catch (error) {
+    if (error instanceof ProviderError) {
+      return { statusCode: error.statusCode, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
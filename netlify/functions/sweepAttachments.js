@@ -0,0 +1,14 @@
+const { schedule } = require('@netlify/functions');
+const { sweepOrphanAttachments } = require('../lib/attachments');
+
+// Runs hourly and deletes the attachments that were uploaded but never sent on a message, files included.
+exports.handler = schedule('@hourly', async () => {
+  try {
+    const removed = await sweepOrphanAttachments();
+    if (removed > 0) console.log(`Removed ${removed} unsent attachments.`);
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error("Attachment sweep error:", error);
+    return { statusCode: 500 };
+  }
+});
@@ -0,0 +1,86 @@
+const { validateToken, getBearerToken } = require('../lib/auth');
+const { MAX_FILE_BYTES, AttachmentTooLargeError, fileTypeOf, extractText, saveAttachment, claimUpload } = require('../lib/attachments');
+
+const MAX_NAME_LENGTH = 200;
+// Base64 takes four characters for every three bytes; longer data is rejected before it is decoded.
+const MAX_DATA_LENGTH = Math.ceil(MAX_FILE_BYTES / 3) * 4;
+
+// Stores a document to attach to a message. POST { name, data } where data is the file as base64; accepts
+// .txt, .md, .docx and .pdf up to 4 MB. Returns { attachment: { id, name, mime_type, size_bytes } }, which the
+// client saves on the message it sends.
+exports.handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  try {
+    // 1. Token Validation
+    const token = getBearerToken(event);
+    if (!token) {
+      return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized: No token provided.' }) };
+    }
+
+    let user;
+    try {
+        user = await validateToken(token);
+    } catch (error) {
+        console.error("Token validation error:", error);
+        return { statusCode: 401, body: JSON.stringify({ error: `Unauthorized: ${error.message}` }) };
+    }
+
+    // 2. Validate the file
+    const { name, data } = JSON.parse(event.body || '{}');
+    if (typeof name !== 'string' || !name.trim() || typeof data !== 'string') {
+      return { statusCode: 400, body: JSON.stringify({ error: 'name and data are required.' }) };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { statusCode: 400, body: JSON.stringify({ error: `File names can be at most ${MAX_NAME_LENGTH} characters.` }) };
+    }
+    if (!fileTypeOf(name)) {
+      return { statusCode: 400, body: JSON.stringify({ error: 'Only .txt, .md, .docx and .pdf files can be attached.' }) };
+    }
+    const buffer = data.length <= MAX_DATA_LENGTH ? Buffer.from(data, 'base64') : null;
+    if (!buffer || buffer.length === 0 || buffer.length > MAX_FILE_BYTES) {
+      return { statusCode: 413, body: JSON.stringify({ error: 'Attachments must be between 1 byte and 4 MB.' }) };
+    }
+
+    // 3. Enforce the per-user upload rate limit, recording the upload when it may go ahead
+    const limit = await claimUpload(user.sub);
+    if (limit) {
+      return {
+        statusCode: 429,
+        headers: { 'Retry-After': String(limit.retryAfter) },
+        body: JSON.stringify(limit),
+      };
+    }
+
+    // 4. Extract the text
+    let text;
+    try {
+      text = await extractText(name, buffer);
+    } catch (error) {
+      if (error instanceof AttachmentTooLargeError) {
+        return { statusCode: 413, body: JSON.stringify({ error: `${name}: ${error.message}` }) };
+      }
+      console.error("Attachment extraction error:", error);
+      return { statusCode: 422, body: JSON.stringify({ error: `Could not read ${name}. Is it a valid file?` }) };
+    }
+    if (!text) {
+      return { statusCode: 422, body: JSON.stringify({ error: `${name} has no text to read. Scanned documents are not supported.` }) };
+    }
+
+    // 5. Store the file and its chunks
+    const attachment = await saveAttachment({ userId: user.sub, name, buffer, text });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ attachment }),
+    };
+  } catch (error) {
+    console.error("Netlify Function Error:", error);
+    return {
+        statusCode: 500,
+        body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
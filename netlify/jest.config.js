@@ -0,0 +1,6 @@
+// Tests for the server code in netlify/lib; the browser code's tests run through react-scripts.
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: '<rootDir>/jest.environment.js',
+  testMatch: ['<rootDir>/lib/**/*.test.js'],
+};
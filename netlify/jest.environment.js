@@ -0,0 +1,13 @@
+const NodeEnvironment = require('jest-environment-node');
+
+// Jest 27's node environment predates Node's built-in fetch; the functions run on Node 18+, where these are globals.
+const WEB_GLOBALS = ['fetch', 'Request', 'Response', 'Headers', 'ReadableStream', 'TextEncoder', 'TextDecoder', 'AbortController'];
+
+class FunctionsEnvironment extends NodeEnvironment {
+  async setup() {
+    await super.setup();
+    WEB_GLOBALS.forEach(name => { this.global[name] = global[name]; });
+  }
+}
+
+module.exports = FunctionsEnvironment;
@@ -0,0 +1,61 @@
+// Manual mock of the service-role client for the netlify/lib tests (jest.mock('./supabaseAdmin')).
+// Every query is a chain that records its calls and resolves to the next result queued for its table with
+// respond(); rpc calls are keyed 'rpc:<name>' and storage calls 'storage:<bucket>'. Unqueued queries resolve to
+// { data: [], error: null }.
+let queued = {};
+let calls = [];
+
+const nextResult = (key) => {
+  const results = queued[key] || [];
+  return results.length > 0 ? results.shift() : { data: [], error: null };
+};
+
+const chain = (key) => {
+  const steps = [];
+  calls.push({ key, steps });
+  const builder = new Proxy({}, {
+    get: (target, method) => {
+      if (method === 'then') {
+        const result = nextResult(key);
+        return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      }
+      return (...args) => {
+        steps.push([method, ...args]);
+        return builder;
+      };
+    },
+  });
+  return builder;
+};
+
+const client = {
+  from: (table) => chain(table),
+  rpc: (name, args) => {
+    calls.push({ key: `rpc:${name}`, steps: [['rpc', args]] });
+    return Promise.resolve(nextResult(`rpc:${name}`));
+  },
+  storage: {
+    from: (bucket) => new Proxy({}, {
+      get: (target, method) => (...args) => {
+        calls.push({ key: `storage:${bucket}`, steps: [[method, ...args]] });
+        return Promise.resolve(nextResult(`storage:${bucket}`));
+      },
+    }),
+  },
+  auth: { admin: {} },
+};
+
+const respond = (key, ...results) => {
+  queued[key] = [...(queued[key] || []), ...results];
+};
+
+// The calls made to `key`, each as the list of [method, ...args] steps of its chain.
+const callsTo = (key) => calls.filter(call => call.key === key).map(call => call.steps);
+
+const reset = () => {
+  queued = {};
+  calls = [];
+  client.auth.admin = {};
+};
+
+module.exports = { getSupabaseAdmin: () => client, client, respond, callsTo, reset };
@@ -0,0 +1,100 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+const MAX_CARRIED_ITEMS = 20;
+// Owners are a person's name or "me"; the limit matches the check on action_items.owner.
+const MAX_OWNER_LENGTH = 80;
+const SELF_OWNERS = new Set(['me', 'myself', 'i', 'user', 'the user', 'you']);
+
+const EXTRACTION_PROMPT = `You extract an action plan from a coaching or mentoring conversation. List the goals the user stated and the concrete action items or commitments that were agreed. Only include what the user actually said or accepted; do not invent items. Use the user's own wording where possible. For each action item give the owner ("me" when the user will do it themselves, otherwise the person named) and a due date as YYYY-MM-DD when one was mentioned, otherwise an empty string.`;
+
+const ACTION_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    goals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { description: { type: 'string' } },
+        required: ['description']
+      }
+    },
+    action_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          owner: { type: 'string' },
+          due_date: { type: 'string' }
+        },
+        required: ['description', 'owner', 'due_date']
+      }
+    }
+  },
+  required: ['goals', 'action_items']
+};
+
+const transcriptOf = (messages) => messages
+  .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`)
+  .join('\n\n');
+
+// The owner as stored and as shown to the model: a single line of at most MAX_OWNER_LENGTH characters, "me" for
+// the user, or null. Anything longer is not a name and is dropped rather than cut off.
+const normalizeOwner = (owner) => {
+  if (typeof owner !== 'string') return null;
+  const value = owner.replace(/[\s\p{Cc}]+/gu, ' ').trim();
+  if (!value || value.length > MAX_OWNER_LENGTH) return null;
+  return SELF_OWNERS.has(value.toLowerCase()) ? 'me' : value;
+};
+
+// Turns the model's JSON into action_items rows, dropping anything already on the conversation's plan.
+const toRows = (plan, existing, { userId, conversationId }) => {
+  const seen = new Set(existing.map(item => item.description.trim().toLowerCase()));
+  const isNew = (description) => {
+    const key = (description || '').trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+  const validDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+
+  return [
+    ...(plan.goals || []).filter(goal => isNew(goal.description)).map(goal => ({
+      kind: 'goal', description: goal.description.trim(), owner: null, due_date: null
+    })),
+    ...(plan.action_items || []).filter(item => isNew(item.description)).map(item => ({
+      kind: 'action', description: item.description.trim(), owner: normalizeOwner(item.owner), due_date: validDate(item.due_date)
+    })),
+  ].map(row => ({ ...row, user_id: userId, conversation_id: conversationId }));
+};
+
+// Open, carried-forward action items from the user's other conversations in the same mode.
+const loadOpenItems = async (userId, mode, excludeConversationId) => {
+  let query = getSupabaseAdmin()
+    .from('action_items')
+    .select('description, owner, due_date, conversations!inner(mode)')
+    .eq('user_id', userId)
+    .eq('kind', 'action')
+    .eq('done', false)
+    .eq('carry_forward', true)
+    .eq('conversations.mode', mode)
+    .order('created_at', { ascending: false })
+    .limit(MAX_CARRIED_ITEMS);
+  if (excludeConversationId) query = query.neq('conversation_id', excludeConversationId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+};
+
+// Appends the user's open items from earlier sessions to a persona's system prompt.
+const withOpenItems = (systemPrompt, items) => {
+  if (!items || items.length === 0) return systemPrompt;
+  const list = items
+    .map(item => ({ ...item, owner: normalizeOwner(item.owner) }))
+    .map(item => `- ${item.description}${item.owner ? ` (owner: ${item.owner})` : ''}${item.due_date ? ` (due ${item.due_date})` : ''}`)
+    .join('\n');
+  return `${systemPrompt}\n\nOpen action items the user carried over from earlier sessions (follow up on them when relevant):\n${list}`;
+};
+
+module.exports = { EXTRACTION_PROMPT, ACTION_PLAN_SCHEMA, transcriptOf, normalizeOwner, toRows, loadOpenItems, withOpenItems };
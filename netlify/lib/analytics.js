@@ -0,0 +1,151 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+const { buildRedactor, loadSensitiveTerms } = require('./redaction');
+
+// Theme reporting for the admin dashboard. Each conversation gets one short, generic topic label, written from a
+// strictly redacted excerpt; the labels are then clustered into themes. Only themes shared by at least
+// MIN_THEME_USERS different users are reported, so a theme cannot point back at one person.
+const MIN_THEME_USERS = 3;
+const LABEL_BATCH_SIZE = 25;
+const MAX_CONVERSATIONS = 1000;
+const EXCERPT_LENGTH = 800;
+
+const LABEL_PROMPT = `You label workplace coaching and mentoring conversations for an anonymous usage report. For each numbered excerpt, give the professional topic it is about as a short, generic noun phrase of two to four words, such as "delegation", "difficult conversations", "stakeholder management" or "career progression". Never include names, organisations, places, numbers or any other detail that could identify someone, even if they appear in the excerpt. Placeholders such as [PERSON_1] are redacted details; ignore them.`;
+
+const LABEL_SCHEMA = {
+  type: 'object',
+  properties: {
+    topics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { index: { type: 'integer' }, topic: { type: 'string' } },
+        required: ['index', 'topic']
+      }
+    }
+  },
+  required: ['topics']
+};
+
+const CLUSTER_PROMPT = `You group topic labels from an anonymous usage report of a workplace coaching and mentoring app into a small number of themes (at most twelve). Name each theme with a short, generic phrase such as "Delegation" or "Difficult conversations", and assign every label to exactly one theme, copying the labels exactly as given.`;
+
+const CLUSTER_SCHEMA = {
+  type: 'object',
+  properties: {
+    themes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          theme: { type: 'string' },
+          topics: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['theme', 'topics']
+      }
+    }
+  },
+  required: ['themes']
+};
+
+const isAdminUser = async (userId) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', userId)
+    .eq('role', 'admin')
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+};
+
+// Conversations active since `since`, with the topic label each one already has (null when it has none yet).
+const loadConversationTopics = async (since) => {
+  const supabase = getSupabaseAdmin();
+  const { data: conversations, error } = await supabase
+    .from('conversations')
+    .select('id, user_id, mode, summary')
+    .gte('updated_at', since)
+    .order('updated_at', { ascending: false })
+    .limit(MAX_CONVERSATIONS);
+  if (error) throw error;
+  if (conversations.length === 0) return [];
+
+  const { data: topics, error: topicsError } = await supabase
+    .from('conversation_topics')
+    .select('conversation_id, topic')
+    .in('conversation_id', conversations.map(conversation => conversation.id));
+  if (topicsError) throw topicsError;
+  const topicById = new Map(topics.map(row => [row.conversation_id, row.topic]));
+  return conversations.map(conversation => ({ ...conversation, topic: topicById.get(conversation.id) || null }));
+};
+
+// The text a conversation is labelled from: its running summary, else the user's own messages. Everything the
+// strict redaction level would catch, and the owner's own sensitive terms, are replaced before the text is sent
+// to the model.
+const loadExcerpts = async (conversations) => {
+  const [{ data: messages, error }, termsByUser] = await Promise.all([
+    getSupabaseAdmin()
+      .from('messages')
+      .select('conversation_id, content')
+      .in('conversation_id', conversations.map(conversation => conversation.id))
+      .eq('role', 'user')
+      .order('id', { ascending: true }),
+    loadSensitiveTerms(conversations.map(conversation => conversation.user_id)),
+  ]);
+  if (error) throw error;
+
+  return conversations.map(conversation => {
+    const text = conversation.summary || messages
+      .filter(msg => msg.conversation_id === conversation.id)
+      .map(msg => msg.content)
+      .join('\n');
+    const terms = termsByUser.get(conversation.user_id) || [];
+    return buildRedactor({ level: 'strict', terms }).redact(text.slice(0, EXCERPT_LENGTH));
+  });
+};
+
+const labelInput = (excerpts) => excerpts.map((excerpt, index) => `${index + 1}. ${excerpt.replace(/\s+/g, ' ')}`).join('\n\n');
+
+// Rows for conversation_topics from the model's labels; excerpts it skipped stay unlabelled for the next run.
+const toTopicRows = (result, conversations) => (result.topics || [])
+  .map(({ index, topic }) => ({ conversation: conversations[index - 1], topic: typeof topic === 'string' ? topic.trim().toLowerCase().slice(0, 80) : '' }))
+  .filter(({ conversation, topic }) => conversation && topic)
+  .map(({ conversation, topic }) => ({ conversation_id: conversation.id, user_id: conversation.user_id, mode: conversation.mode, topic }));
+
+// Combines the model's clusters with the labelled conversations into reportable themes.
+const toThemes = (result, labelled) => {
+  const themeByTopic = new Map();
+  (result.themes || []).forEach(({ theme, topics }) => {
+    const name = typeof theme === 'string' ? theme.trim() : '';
+    if (name && Array.isArray(topics)) topics.forEach(topic => themeByTopic.set(String(topic).trim().toLowerCase(), name));
+  });
+
+  const themes = new Map();
+  labelled.forEach(conversation => {
+    const name = themeByTopic.get(conversation.topic) || 'Other';
+    const theme = themes.get(name) || { theme: name, conversations: 0, users: new Set(), modes: { mentor: 0, coach: 0 } };
+    theme.conversations += 1;
+    theme.users.add(conversation.user_id);
+    theme.modes[conversation.mode] = (theme.modes[conversation.mode] || 0) + 1;
+    themes.set(name, theme);
+  });
+
+  return [...themes.values()]
+    .filter(theme => theme.users.size >= MIN_THEME_USERS)
+    .map(({ users, ...theme }) => ({ ...theme, users: users.size }))
+    .sort((a, b) => b.conversations - a.conversations);
+};
+
+module.exports = {
+  MIN_THEME_USERS,
+  LABEL_BATCH_SIZE,
+  LABEL_PROMPT,
+  LABEL_SCHEMA,
+  CLUSTER_PROMPT,
+  CLUSTER_SCHEMA,
+  isAdminUser,
+  loadConversationTopics,
+  loadExcerpts,
+  labelInput,
+  toTopicRows,
+  toThemes,
+};
@@ -0,0 +1,42 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { loadExcerpts, toThemes } = require('./analytics');
+
+beforeEach(() => supabaseAdmin.reset());
+
+test('loadExcerpts redacts each conversation with its owner\'s sensitive terms', async () => {
+  supabaseAdmin.respond('messages', {
+    data: [
+      { conversation_id: 'c1', content: 'Project Falcon slipped again.' },
+      { conversation_id: 'c2', content: 'The falcon and osprey launches are on track.' },
+    ],
+    error: null,
+  });
+  supabaseAdmin.respond('privacy_settings', {
+    data: [{ user_id: 'user-1', sensitive_terms: ['Falcon'] }, { user_id: 'user-2', sensitive_terms: [' osprey '] }],
+    error: null,
+  });
+
+  const excerpts = await loadExcerpts([
+    { id: 'c1', user_id: 'user-1', summary: null },
+    { id: 'c2', user_id: 'user-2', summary: null },
+  ]);
+
+  expect(excerpts[0]).toBe('Project [TERM_1] slipped again.');
+  expect(excerpts[1]).toBe('The falcon and [TERM_1] launches are on track.');
+  expect(supabaseAdmin.callsTo('privacy_settings')[0]).toContainEqual(['in', 'user_id', ['user-1', 'user-2']]);
+});
+
+test('loadExcerpts prefers the running summary', async () => {
+  expect(await loadExcerpts([{ id: 'c1', user_id: 'user-1', summary: 'The user wants to delegate more.' }]))
+    .toEqual(['The user wants to delegate more.']);
+});
+
+test('toThemes only reports themes shared by enough users', () => {
+  const labelled = ['u1', 'u2', 'u3', 'u1'].map((userId, index) => ({ id: `c${index}`, user_id: userId, mode: 'coach', topic: 'delegation' }))
+    .concat([{ id: 'c9', user_id: 'u4', mode: 'mentor', topic: 'pay rise' }]);
+  const result = { themes: [{ theme: 'Delegation', topics: ['delegation'] }, { theme: 'Pay', topics: ['pay rise'] }] };
+
+  expect(toThemes(result, labelled)).toEqual([{ theme: 'Delegation', conversations: 4, users: 3, modes: { mentor: 0, coach: 4 } }]);
+});
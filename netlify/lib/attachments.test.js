@@ -0,0 +1,117 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { AttachmentTooLargeError, extractText, chunkText, saveAttachment, claimUpload, sweepOrphanAttachments, deleteConversation } = require('./attachments');
+
+beforeEach(() => {
+  supabaseAdmin.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('extractText', () => {
+  test('normalises line endings and blank lines', async () => {
+    expect(await extractText('notes.txt', Buffer.from('One  \r\n\r\n\r\n\r\nTwo\r\n'))).toBe('One\n\nTwo');
+  });
+
+  test('rejects text over the character limit instead of cutting it off', async () => {
+    await expect(extractText('big.md', Buffer.from('word '.repeat(70000)))).rejects.toBeInstanceOf(AttachmentTooLargeError);
+  });
+
+  test('rejects files over the size limit before parsing them', async () => {
+    await expect(extractText('big.txt', Buffer.alloc(4 * 1024 * 1024 + 1, 'a'))).rejects.toThrow('at most 4 MB');
+  });
+
+  test('rejects a .docx that expands past the limit, whatever size its headers declare', async () => {
+    const JSZip = require('jszip');
+    const zip = new JSZip();
+    zip.file('word/document.xml', Buffer.alloc(41 * 1024 * 1024), { createFolders: false });
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    expect(buffer.length).toBeLessThan(4 * 1024 * 1024);
+    // Declare 1 KB uncompressed in the local and central directory headers.
+    buffer.writeUInt32LE(1024, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+    buffer.writeUInt32LE(1024, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+    await expect(extractText('bomb.docx', buffer)).rejects.toBeInstanceOf(AttachmentTooLargeError);
+  });
+});
+
+test('chunkText packs paragraphs and splits long ones', () => {
+  const chunks = chunkText(`${'a'.repeat(1000)}\n\n${'b'.repeat(1000)}\n\n${'c'.repeat(3100)}`);
+  expect(chunks.map(chunk => chunk.length)).toEqual([1000, 1000, 1500, 1500, 100]);
+});
+
+describe('saveAttachment', () => {
+  const file = { userId: 'user-1', name: 'plan v2.txt', buffer: Buffer.from('Plan'), text: 'Plan' };
+
+  test('stores the file, its row and its chunks', async () => {
+    const attachment = await saveAttachment(file);
+    expect(attachment).toMatchObject({ name: 'plan v2.txt', mime_type: 'text/plain', size_bytes: 4 });
+    const [[upload]] = supabaseAdmin.callsTo('storage:attachments');
+    expect(upload[0]).toBe('upload');
+    expect(upload[1]).toBe(`user-1/${attachment.id}/plan_v2.txt`);
+    expect(supabaseAdmin.callsTo('attachment_chunks')[0][0][1]).toEqual([{ attachment_id: attachment.id, user_id: 'user-1', position: 0, content: 'Plan' }]);
+  });
+
+  test('removes the stored file and row when a later step fails', async () => {
+    supabaseAdmin.respond('attachment_chunks', { data: null, error: new Error('insert failed') });
+    await expect(saveAttachment(file)).rejects.toThrow('insert failed');
+
+    const [, cleanup] = supabaseAdmin.callsTo('attachments');
+    expect(cleanup[0]).toEqual(['delete']);
+    const [[upload], [remove]] = supabaseAdmin.callsTo('storage:attachments');
+    expect(remove).toEqual(['remove', [upload[1]]]);
+  });
+});
+
+describe('claimUpload', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('lets the upload go ahead when the user is under the limit', async () => {
+    supabaseAdmin.respond('rpc:claim_upload', { data: { claimed: true, uploads_in_window: 3, oldest_upload_at: '2026-10-19T11:30:00Z' }, error: null });
+
+    expect(await claimUpload('user-1', now)).toBeNull();
+    expect(supabaseAdmin.callsTo('rpc:claim_upload')).toEqual([[['rpc', { p_user_id: 'user-1', p_max_uploads: 30, p_window_start: '2026-10-19T11:00:00.000Z' }]]]);
+  });
+
+  test('says when the oldest upload in the window expires', async () => {
+    supabaseAdmin.respond('rpc:claim_upload', { data: { claimed: false, uploads_in_window: 30, oldest_upload_at: '2026-10-19T11:15:00Z' }, error: null });
+
+    expect(await claimUpload('user-1', now)).toEqual({ code: 'rate_limited', error: 'Too many uploads. Please try again in 15 minutes.', retryAfter: 900 });
+  });
+});
+
+describe('sweepOrphanAttachments', () => {
+  test('deletes attachments no message carries after two days, files included', async () => {
+    supabaseAdmin.respond('rpc:delete_orphan_attachments', { data: ['user-1/a1/plan.txt', 'user-2/a2/notes.md'], error: null });
+
+    expect(await sweepOrphanAttachments(new Date('2026-10-19T12:00:00Z'))).toBe(2);
+    expect(supabaseAdmin.callsTo('rpc:delete_orphan_attachments')).toEqual([[['rpc', { p_created_before: '2026-10-17T12:00:00.000Z' }]]]);
+    expect(supabaseAdmin.callsTo('storage:attachments')).toEqual([[['remove', ['user-1/a1/plan.txt', 'user-2/a2/notes.md']]]]);
+  });
+
+  test('removes no files when there is nothing to sweep', async () => {
+    supabaseAdmin.respond('rpc:delete_orphan_attachments', { data: [], error: null });
+
+    expect(await sweepOrphanAttachments()).toBe(0);
+    expect(supabaseAdmin.callsTo('storage:attachments')).toEqual([]);
+  });
+});
+
+describe('deleteConversation', () => {
+  test('deletes the conversation and removes the files it no longer shares', async () => {
+    supabaseAdmin.respond('conversations', { data: { id: 'c1' }, error: null });
+    supabaseAdmin.respond('rpc:delete_conversation', { data: ['user-1/a1/plan.txt'], error: null });
+
+    expect(await deleteConversation('user-1', 'c1')).toBe(true);
+    expect(supabaseAdmin.callsTo('rpc:delete_conversation')).toEqual([[['rpc', { p_user_id: 'user-1', p_conversation_id: 'c1' }]]]);
+    expect(supabaseAdmin.callsTo('storage:attachments')).toEqual([[['remove', ['user-1/a1/plan.txt']]]]);
+  });
+
+  test('does nothing for another user\'s conversation', async () => {
+    supabaseAdmin.respond('conversations', { data: null, error: null });
+    expect(await deleteConversation('user-1', 'c2')).toBe(false);
+    expect(supabaseAdmin.callsTo('rpc:delete_conversation')).toEqual([]);
+  });
+});
@@ -0,0 +1,36 @@
+const jwt = require('jsonwebtoken');
+const { isEntraToken, validateEntraToken } = require('./entra');
+
+// Validates a Supabase JWT, or the Microsoft Entra token of a linked identity when Entra sign-in is configured
+// (see lib/entra). Either way `sub` in the result is the Supabase user id.
+const validateToken = (token) => {
+  if (isEntraToken(token)) {
+    return validateEntraToken(token);
+  }
+
+  const jwtSecret = process.env.SUPABASE_JWT_SECRET;
+  if (!jwtSecret) {
+    throw new Error('Supabase JWT Secret is not set in environment variables.');
+  }
+
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, jwtSecret, (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+      // You can add additional checks here if needed, like checking the 'aud' or 'iss' claims
+      resolve(decoded);
+    });
+  });
+};
+
+// Returns the bearer token from the Authorization header, or null if there is none.
+const getBearerToken = (event) => {
+  const authHeader = event.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+};
+
+module.exports = { validateToken, getBearerToken };
@@ -0,0 +1,108 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+// Structured coaching sessions follow the ICF flow. Each phase gets a share of the session length the user
+// chose; the phase moves on when its time is up or when the user asks to move on, and never moves back.
+const PHASES = ['agreement', 'explore', 'design', 'close'];
+const PHASE_SHARES = { agreement: 0.15, explore: 0.45, design: 0.25, close: 0.15 };
+
+const PHASE_GUIDANCE = {
+  agreement: `Establish the coaching agreement: find out what the user wants to focus on today, what they want to leave the session with and how they will know it was useful. Do not explore the topic until the outcome is clear.`,
+  explore: `Explore: deepen the user's awareness of the situation and of their own perspectives, assumptions, values and feelings, always in relation to the agreed outcome.`,
+  design: `Design actions: invite the user to turn what they have discovered into concrete next steps of their own choosing - what they will do, by when, and how they will hold themselves accountable.`,
+  close: `Close: the session is nearly over. Invite the user to name their key insights and confirm their commitments, and acknowledge the progress they made. Do not open new topics.`,
+};
+
+const SESSION_COLUMNS = 'session_minutes, session_phase, session_started_at, closing_summary';
+
+const CLOSING_PROMPT = `You write the closing summary of a structured coaching session. From the conversation, list the user's key insights (what they realised or now see differently) and the commitments they made (what they will do, with any timing they gave). Write each as one short sentence addressed to the user ("You realised...", "You will..."), using their own wording where possible. Only include what the user actually said; do not add advice. Return empty lists when there is nothing to report.`;
+
+const CLOSING_SCHEMA = {
+  type: 'object',
+  properties: {
+    insights: { type: 'array', items: { type: 'string' } },
+    commitments: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['insights', 'commitments']
+};
+
+// The session state of a conversation, or null when it is an open-ended chat.
+const loadSession = async (userId, conversationId) => {
+  if (!conversationId) return null;
+  const { data, error } = await getSupabaseAdmin()
+    .from('conversations')
+    .select(SESSION_COLUMNS)
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.session_minutes ? data : null;
+};
+
+const minutesElapsed = (session, now) => (session.session_started_at ? (now - Date.parse(session.session_started_at)) / 60000 : 0);
+
+// The phase a session is in at `now`: the stored phase, or a later one once the stored phase's time has run out.
+const phaseAt = (session, now = Date.now()) => {
+  if (session.session_phase === 'closed') return 'closed';
+  const elapsed = minutesElapsed(session, now);
+  let boundary = 0;
+  const timed = PHASES.find(phase => {
+    boundary += PHASE_SHARES[phase] * session.session_minutes;
+    return elapsed < boundary;
+  }) || 'close';
+  return PHASES[Math.max(PHASES.indexOf(session.session_phase), PHASES.indexOf(timed))];
+};
+
+// The phase after the current one; moving on from 'close' closes the session.
+const nextPhase = (session) => PHASES[PHASES.indexOf(phaseAt(session)) + 1] || 'closed';
+
+// Returns the updated session, or null when the conversation no longer exists.
+const saveSession = async (userId, conversationId, changes) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('conversations')
+    .update(changes)
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Starts the clock on the session's first turn and records any phase change that time has brought. Returns null
+// when the conversation was deleted in the meantime.
+const syncSession = async (userId, conversationId, session) => {
+  const changes = session.session_started_at ? {} : { session_started_at: new Date().toISOString() };
+  const phase = phaseAt({ ...session, ...changes });
+  if (phase !== session.session_phase) changes.session_phase = phase;
+  return Object.keys(changes).length > 0 ? saveSession(userId, conversationId, changes) : session;
+};
+
+// Appends the current phase and its guidance to the coach's system prompt. `session` is null for an open-ended
+// chat, including one whose conversation no longer exists, and the prompt is then returned unchanged.
+const withSessionPhase = (systemPrompt, session) => {
+  if (!session || session.session_phase === 'closed') return systemPrompt;
+  const phase = phaseAt(session);
+  const remaining = Math.max(0, Math.round(session.session_minutes - minutesElapsed(session, Date.now())));
+  return `${systemPrompt}\n\nThis is a structured ${session.session_minutes}-minute coaching session, now in the "${phase}" phase with about ${remaining} minutes left. ${PHASE_GUIDANCE[phase]}`;
+};
+
+// Cleans the model's closing summary into the shape stored on the conversation.
+const toClosingSummary = (result) => {
+  const clean = (list) => (Array.isArray(list) ? list : [])
+    .map(entry => (typeof entry === 'string' ? entry.trim() : ''))
+    .filter(Boolean);
+  return { insights: clean(result.insights), commitments: clean(result.commitments) };
+};
+
+module.exports = {
+  SESSION_COLUMNS,
+  CLOSING_PROMPT,
+  CLOSING_SCHEMA,
+  loadSession,
+  phaseAt,
+  nextPhase,
+  saveSession,
+  syncSession,
+  withSessionPhase,
+  toClosingSummary,
+};
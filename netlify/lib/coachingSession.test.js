@@ -0,0 +1,82 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { loadSession, phaseAt, nextPhase, syncSession, withSessionPhase, toClosingSummary } = require('./coachingSession');
+
+const START = Date.parse('2026-10-19T10:00:00Z');
+const minutesIn = (minutes) => START + minutes * 60000;
+const session = (overrides) => ({ session_minutes: 20, session_phase: 'agreement', session_started_at: '2026-10-19T10:00:00Z', closing_summary: null, ...overrides });
+
+beforeEach(() => supabaseAdmin.reset());
+
+describe('phaseAt', () => {
+  test('moves through the phases by their share of the session', () => {
+    // 20 minutes: agreement 3, explore 9, design 5, close 3.
+    expect(phaseAt(session(), minutesIn(2))).toBe('agreement');
+    expect(phaseAt(session(), minutesIn(4))).toBe('explore');
+    expect(phaseAt(session(), minutesIn(13))).toBe('design');
+    expect(phaseAt(session(), minutesIn(18))).toBe('close');
+    expect(phaseAt(session(), minutesIn(60))).toBe('close');
+  });
+
+  test('never moves back from a phase the user moved on to', () => {
+    expect(phaseAt(session({ session_phase: 'design' }), minutesIn(1))).toBe('design');
+    expect(phaseAt(session({ session_phase: 'closed' }), minutesIn(1))).toBe('closed');
+  });
+
+  test('stays in agreement until the clock starts', () => {
+    expect(phaseAt(session({ session_phase: null, session_started_at: null }))).toBe('agreement');
+  });
+});
+
+test('nextPhase closes the session after the close phase', () => {
+  expect(nextPhase(session({ session_phase: 'explore', session_started_at: new Date().toISOString() }))).toBe('design');
+  expect(nextPhase(session({ session_phase: 'close', session_started_at: new Date().toISOString() }))).toBe('closed');
+});
+
+describe('syncSession', () => {
+  test('starts the clock on the first turn', async () => {
+    const stored = session({ session_phase: null, session_started_at: null });
+    supabaseAdmin.respond('conversations', { data: { ...stored, session_phase: 'agreement', session_started_at: 'now' }, error: null });
+
+    expect(await syncSession('user-1', 'c1', stored)).toMatchObject({ session_phase: 'agreement' });
+    const [steps] = supabaseAdmin.callsTo('conversations');
+    expect(steps[0][1]).toEqual({ session_started_at: expect.any(String), session_phase: 'agreement' });
+    expect(steps).toContainEqual(['eq', 'user_id', 'user-1']);
+  });
+
+  test('leaves an unchanged session alone', async () => {
+    const current = session({ session_started_at: new Date().toISOString() });
+    expect(await syncSession('user-1', 'c1', current)).toBe(current);
+    expect(supabaseAdmin.callsTo('conversations')).toEqual([]);
+  });
+
+  test('returns null when the conversation is gone', async () => {
+    supabaseAdmin.respond('conversations', { data: null, error: null });
+    expect(await syncSession('user-1', 'c1', session({ session_started_at: null }))).toBeNull();
+  });
+});
+
+test('loadSession returns null for open-ended chats and missing conversations', async () => {
+  expect(await loadSession('user-1', null)).toBeNull();
+  supabaseAdmin.respond('conversations', { data: { session_minutes: null }, error: null }, { data: null, error: null });
+  expect(await loadSession('user-1', 'c1')).toBeNull();
+  expect(await loadSession('user-1', 'c2')).toBeNull();
+});
+
+describe('withSessionPhase', () => {
+  test('adds the phase and its guidance', () => {
+    const prompt = withSessionPhase('You are a coach.', session({ session_phase: 'explore', session_started_at: new Date().toISOString() }));
+    expect(prompt).toMatch(/^You are a coach\.\n\nThis is a structured 20-minute coaching session, now in the "explore" phase with about 20 minutes left\. Explore:/);
+  });
+
+  test('leaves the prompt alone without an open session', () => {
+    expect(withSessionPhase('You are a coach.', null)).toBe('You are a coach.');
+    expect(withSessionPhase('You are a coach.', session({ session_phase: 'closed' }))).toBe('You are a coach.');
+  });
+});
+
+test('toClosingSummary keeps only non-empty strings', () => {
+  expect(toClosingSummary({ insights: [' You realised it. ', '', 3], commitments: 'none' }))
+    .toEqual({ insights: ['You realised it.'], commitments: [] });
+});
@@ -0,0 +1,107 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+const { recordRequest, recordTokens } = require('./usage');
+
+const COMPACTION_THRESHOLD_TOKENS = Number(process.env.COMPACTION_THRESHOLD_TOKENS) || 6000;
+const RECENT_MESSAGES_TO_KEEP = Number(process.env.RECENT_MESSAGES_TO_KEEP) || 8;
+
+const SUMMARY_PROMPT = `You maintain the running summary of a coaching or mentoring conversation. Merge the existing summary with the new turns into one updated summary. Keep the user's context, goals, obstacles, emotions, insights, options considered and any commitments or next steps. Refer to the user as "the user". Do not add advice or commentary of your own. Stay under 250 words.`;
+
+// Rough token estimate (about four characters per token); good enough to decide when to compact.
+const estimateTokens = (messages) => messages.reduce((sum, msg) => sum + Math.ceil((msg.content || '').length / 4), 0);
+
+const transcriptOf = (messages) => messages
+  .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`)
+  .join('\n\n');
+
+// The recent turns are sent as messages and must open with a user turn, so the window is widened back to the
+// user turn its first reply answers.
+const recentStart = (history) => {
+  let start = Math.max(0, history.length - RECENT_MESSAGES_TO_KEEP);
+  while (start > 0 && history[start].role !== 'user') start -= 1;
+  return start;
+};
+
+// Once a stored conversation grows past the token threshold, folds the turns that fall outside the
+// recent window into a running summary and returns only the recent turns.
+// Returns { history, summary } where summary is null when nothing has been compacted.
+//
+// Summaries are kept per branch in conversation_summaries, keyed by the last message they cover: a summary
+// applies to every branch through that message, so switching branches picks up the summary already written
+// for the branch instead of replacing it. conversations.summary keeps the latest one for analytics.
+const compactHistory = async ({ provider, userId, conversationId, history }) => {
+  if (!conversationId || estimateTokens(history) <= COMPACTION_THRESHOLD_TOKENS) {
+    return { history, summary: null };
+  }
+
+  const supabase = getSupabaseAdmin();
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('id')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!conversation) {
+    return { history, summary: null };
+  }
+
+  const start = recentStart(history);
+  const recent = history.slice(start);
+  const older = history.slice(0, start).filter(msg => !msg.isError);
+  const savedIds = older.filter(msg => msg.id).map(msg => msg.id);
+
+  // The summary for this branch is the one that covers the latest of its older turns.
+  let stored = null;
+  if (savedIds.length > 0) {
+    const { data: summaries, error: summariesError } = await supabase
+      .from('conversation_summaries')
+      .select('message_id, summary')
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .in('message_id', savedIds);
+    if (summariesError) throw summariesError;
+    stored = summaries.reduce((latest, row) => (savedIds.indexOf(row.message_id) > savedIds.indexOf(latest?.message_id) ? row : latest), null);
+  }
+
+  const unsummarized = older.slice(stored ? older.findIndex(msg => msg.id === stored.message_id) + 1 : 0);
+  if (unsummarized.length === 0) {
+    return { history: recent, summary: stored?.summary || null };
+  }
+
+  const usageEventId = await recordRequest(userId, provider, 'compaction');
+  const result = await provider.generate({
+    systemPrompt: SUMMARY_PROMPT,
+    history: [{
+      role: 'user',
+      content: `Existing summary:\n${stored?.summary || '(none yet)'}\n\nNew turns:\n${transcriptOf(unsummarized)}`
+    }]
+  });
+  await recordTokens(usageEventId, result.usage);
+
+  const summary = result.text.trim() || stored?.summary || null;
+  // Turns that were never saved are summarized all the same, but a summary can only be stored against a saved
+  // message; without one it is rebuilt on the next turn.
+  const lastSaved = [...unsummarized].reverse().find(msg => msg.id);
+  if (summary && lastSaved) {
+    const { error: saveError } = await supabase
+      .from('conversation_summaries')
+      .upsert({ conversation_id: conversationId, message_id: lastSaved.id, user_id: userId, summary });
+    if (saveError) console.error("Error saving conversation summary:", saveError);
+
+    const { error: updateError } = await supabase
+      .from('conversations')
+      .update({ summary, summary_message_id: lastSaved.id })
+      .eq('id', conversationId)
+      .eq('user_id', userId);
+    if (updateError) console.error("Error saving conversation summary:", updateError);
+  }
+
+  return { history: recent, summary };
+};
+
+// Appends the running summary to a persona's system prompt.
+const withSummary = (systemPrompt, summary) => (summary
+  ? `${systemPrompt}\n\nSummary of the earlier part of this conversation (the most recent turns follow as messages):\n${summary}`
+  : systemPrompt);
+
+module.exports = { compactHistory, withSummary };
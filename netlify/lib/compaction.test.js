@@ -0,0 +1,123 @@
+process.env.COMPACTION_THRESHOLD_TOKENS = '100';
+process.env.RECENT_MESSAGES_TO_KEEP = '2';
+
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { compactHistory, withSummary } = require('./compaction');
+
+// 120 characters is about 30 tokens, so four turns cross the 100-token threshold.
+const turn = (id, role = id % 2 ? 'user' : 'assistant') => ({ id, role, content: `${role} turn ${id} `.padEnd(120, '.') });
+const history = [turn(1), turn(2), turn(3), turn(4)];
+
+const providerReplying = (text) => ({
+  name: 'test',
+  model: 'test-model',
+  generate: jest.fn(async () => ({ text, finishReason: 'STOP', usage: { inputTokens: 50, outputTokens: 10 } })),
+});
+
+beforeEach(() => supabaseAdmin.reset());
+
+test('leaves a short conversation as it is', async () => {
+  const provider = providerReplying('unused');
+  expect(await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history: history.slice(0, 3) }))
+    .toEqual({ history: history.slice(0, 3), summary: null });
+  expect(provider.generate).not.toHaveBeenCalled();
+});
+
+test('leaves an unsaved conversation as it is', async () => {
+  const provider = providerReplying('unused');
+  expect(await compactHistory({ provider, userId: 'user-1', conversationId: null, history })).toEqual({ history, summary: null });
+});
+
+const owned = () => supabaseAdmin.respond('conversations', { data: { id: 'c1' }, error: null });
+const promptOf = (provider) => provider.generate.mock.calls[0][0].history[0].content;
+
+test('summarises the turns before the recent window and saves the summary for the branch', async () => {
+  owned();
+  const provider = providerReplying(' The user wants a promotion. ');
+
+  const result = await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history });
+
+  expect(result).toEqual({ history: [turn(3), turn(4)], summary: 'The user wants a promotion.' });
+  const prompt = promptOf(provider);
+  expect(prompt).toContain('(none yet)');
+  expect(prompt).toContain('User: user turn 1');
+  expect(prompt).toContain('Assistant: assistant turn 2');
+  expect(prompt).not.toContain('turn 3');
+  const [lookup, save] = supabaseAdmin.callsTo('conversation_summaries');
+  expect(lookup).toContainEqual(['in', 'message_id', [1, 2]]);
+  expect(save[0]).toEqual(['upsert', { conversation_id: 'c1', message_id: 2, user_id: 'user-1', summary: 'The user wants a promotion.' }]);
+  const [, update] = supabaseAdmin.callsTo('conversations');
+  expect(update[0]).toEqual(['update', { summary: 'The user wants a promotion.', summary_message_id: 2 }]);
+  expect(update).toContainEqual(['eq', 'user_id', 'user-1']);
+  expect(supabaseAdmin.callsTo('usage_events')[0][0][1].kind).toBe('compaction');
+});
+
+test('starts the recent window on a user turn', async () => {
+  owned();
+  const provider = providerReplying('Summary');
+  const withReply = [...history, turn(5), turn(6, 'assistant'), turn(7, 'assistant')];
+
+  const result = await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history: withReply });
+
+  expect(result.history.map(msg => msg.id)).toEqual([5, 6, 7]);
+  expect(promptOf(provider)).toContain('assistant turn 4');
+});
+
+test('reuses the stored summary when every older turn is already in it', async () => {
+  owned();
+  supabaseAdmin.respond('conversation_summaries', { data: [{ message_id: 2, summary: 'Earlier summary' }], error: null });
+  const provider = providerReplying('unused');
+
+  expect(await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history }))
+    .toEqual({ history: [turn(3), turn(4)], summary: 'Earlier summary' });
+  expect(provider.generate).not.toHaveBeenCalled();
+});
+
+test('builds on the summary that covers the most of this branch', async () => {
+  owned();
+  supabaseAdmin.respond('conversation_summaries', {
+    data: [{ message_id: 3, summary: 'Up to turn 3' }, { message_id: 1, summary: 'Up to turn 1' }],
+    error: null,
+  });
+  const provider = providerReplying('Up to turn 4');
+  const longer = [...history, turn(5), turn(6)];
+
+  await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history: longer });
+
+  const prompt = promptOf(provider);
+  expect(prompt).toContain('Existing summary:\nUp to turn 3');
+  expect(prompt).toContain('assistant turn 4');
+  expect(prompt).not.toContain('user turn 3');
+});
+
+test('starts over without touching other branches when no summary covers this branch', async () => {
+  owned();
+  supabaseAdmin.respond('conversation_summaries', { data: [], error: null });
+  const provider = providerReplying('This branch');
+
+  await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history });
+
+  expect(promptOf(provider)).toContain('(none yet)');
+  const [, save] = supabaseAdmin.callsTo('conversation_summaries');
+  expect(save[0][0]).toBe('upsert');
+  expect(save.some(([method]) => method === 'delete')).toBe(false);
+});
+
+test('summarises turns that were never saved', async () => {
+  owned();
+  const provider = providerReplying('Summary');
+  const unsaved = [turn(1), { ...turn(2), id: undefined }, turn(3), turn(4)];
+
+  await compactHistory({ provider, userId: 'user-1', conversationId: 'c1', history: unsaved });
+
+  expect(promptOf(provider)).toContain('assistant turn 2');
+  const [, save] = supabaseAdmin.callsTo('conversation_summaries');
+  expect(save[0][1].message_id).toBe(1);
+});
+
+test('withSummary appends the summary to the system prompt', () => {
+  expect(withSummary('You are a coach.', null)).toBe('You are a coach.');
+  expect(withSummary('You are a coach.', 'The user wants a promotion.')).toMatch(/^You are a coach\.\n\nSummary .*\nThe user wants a promotion\.$/);
+});
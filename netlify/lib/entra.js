@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+// Microsoft Entra ID (Azure AD) tokens, from MSAL in the browser or from Teams tab SSO, are accepted alongside
+// Supabase tokens. Configuration:
+//   ENTRA_CLIENT_ID  - the app registration's client id
+//   ENTRA_TENANT_ID  - the tenant id users sign in from; Entra sign-in is off unless both are set
+//   ENTRA_AUDIENCE   - accepted audiences, comma-separated (default the client id and api://<client id>)
+//   ENTRA_ISSUER     - accepted issuers, comma-separated (default the tenant's v2.0 and v1 issuers)
+//   ENTRA_JWKS_URI   - where the signing keys are published (default the tenant's discovery keys). Point it at a
+//                      local stand-in to test without Entra (see scripts/entraJwksStandIn.js).
+//   ENTRA_TRUSTED_TENANTS - tenants whose users' first sign-in may link to an existing account with the same
+//                      confirmed email, comma-separated (default none)
+// An Entra identity (tenant id + object id) is linked to one Supabase user (public.identity_links). Without an
+// automatic link, the user signs in with email and links the Microsoft account from there.
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 5 * 60 * 1000;
+// Postgres error code for a unique or primary key violation.
+const UNIQUE_VIOLATION = '23505';
+
+const list = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+const getEntraConfig = () => {
+  const clientId = process.env.ENTRA_CLIENT_ID;
+  const tenantId = process.env.ENTRA_TENANT_ID;
+  if (!clientId || !tenantId) return null;
+  const audiences = list(process.env.ENTRA_AUDIENCE);
+  const issuers = list(process.env.ENTRA_ISSUER);
+  return {
+    audiences: audiences.length > 0 ? audiences : [clientId, `api://${clientId}`],
+    issuers: issuers.length > 0 ? issuers : [`https://login.microsoftonline.com/${tenantId}/v2.0`, `https://sts.windows.net/${tenantId}/`],
+    jwksUri: process.env.ENTRA_JWKS_URI || `https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`,
+  };
+};
+
+// True for a token whose issuer is one of the configured Entra issuers; anything else is left to the Supabase check.
+const isEntraToken = (token) => {
+  const config = getEntraConfig();
+  const payload = config && jwt.decode(token);
+  return Boolean(payload && config.issuers.includes(payload.iss));
+};
+
+let jwks = { uri: null, keys: new Map(), fetchedAt: 0 };
+
+const fetchKeys = async (uri) => {
+  const response = await fetch(uri);
+  if (!response.ok) throw new Error(`Could not load signing keys from ${uri} (${response.status}).`);
+  const { keys = [] } = await response.json();
+  jwks = {
+    uri,
+    keys: new Map(keys.filter(key => key.kid && key.kty === 'RSA').map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])),
+    fetchedAt: Date.now(),
+  };
+};
+
+// Keys are cached for an hour; an unknown key id (Entra rotates keys) triggers a refresh at most every five minutes.
+const getSigningKey = async (uri, kid) => {
+  const age = Date.now() - jwks.fetchedAt;
+  if (jwks.uri !== uri || age > JWKS_CACHE_MS || (!jwks.keys.has(kid) && age > JWKS_REFRESH_MIN_MS)) {
+    await fetchKeys(uri);
+  }
+  const key = jwks.keys.get(kid);
+  if (!key) throw new Error('Token signed with an unknown key.');
+  return key;
+};
+
+// Verifies an Entra token's signature, issuer, audience and lifetime and returns its claims.
+const verifyEntraToken = async (token) => {
+  const config = getEntraConfig();
+  if (!config) throw new Error('Microsoft sign-in is not configured.');
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) throw new Error('Malformed Microsoft token.');
+
+  const key = await getSigningKey(config.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(token, key, { algorithms: ['RS256'], audience: config.audiences, issuer: config.issuers });
+  if (!claims.tid || !claims.oid) throw new Error('Microsoft token has no tenant or object id.');
+  return claims;
+};
+
+const emailOf = (claims) => (claims.email || claims.preferred_username || claims.upn || '').trim().toLowerCase();
+const subjectOf = (claims) => `${claims.tid}:${claims.oid}`;
+
+// Entra does not verify the email, preferred_username or upn claims, and a tenant's admins can set them to any
+// address, so only tenants listed in ENTRA_TRUSTED_TENANTS may link to an existing account by email.
+const isTrustedTenant = (tenantId) => list(process.env.ENTRA_TRUSTED_TENANTS).includes(tenantId);
+
+// Links an Entra identity to `userId` and returns the user it ends up linked to: another user when a concurrent
+// sign-in linked the identity first and the insert hit the primary key.
+const linkIdentity = async (claims, userId) => {
+  const { error } = await getSupabaseAdmin()
+    .from('identity_links')
+    .insert({ provider: 'entra', subject: subjectOf(claims), user_id: userId, email: emailOf(claims) || null });
+  if (!error) return userId;
+  const linkedId = error.code === UNIQUE_VIOLATION ? await findLinkedUser(claims) : null;
+  if (!linkedId) throw error;
+  return linkedId;
+};
+
+// The Supabase user id linked to an Entra identity, or null. Identities are keyed on tenant and object id only.
+const findLinkedUser = async (claims) => {
+  const { data: link, error } = await getSupabaseAdmin()
+    .from('identity_links')
+    .select('user_id')
+    .eq('provider', 'entra')
+    .eq('subject', subjectOf(claims))
+    .maybeSingle();
+  if (error) throw error;
+  return link?.user_id || null;
+};
+
+// The Supabase user id for a Microsoft sign-in, linking or creating the user on the first one. Returns null when
+// an account with the token's email exists but cannot be linked automatically: its owner has to sign in and
+// link the Microsoft account themselves (linkEntraAccount).
+const resolveEntraUser = async (claims) => {
+  const linkedId = await findLinkedUser(claims);
+  if (linkedId) return linkedId;
+
+  const supabase = getSupabaseAdmin();
+  const email = emailOf(claims);
+  const trusted = isTrustedTenant(claims.tid) && email.includes('@');
+  if (email.includes('@')) {
+    const { data: existing, error } = await supabase.rpc('find_user_by_email', { p_email: email });
+    if (error) throw error;
+    if (existing?.length > 0) {
+      if (!trusted || !existing[0].email_confirmed_at) return null;
+      return linkIdentity(claims, existing[0].id);
+    }
+  }
+
+  // A new user. An untrusted tenant's address is kept in the metadata only, so it cannot claim the address
+  // before its owner signs up.
+  const { data: created, error: createError } = await supabase.auth.admin.createUser({
+    email: trusted ? email : `${claims.oid}@${claims.tid}.entra.invalid`,
+    email_confirm: true,
+    user_metadata: { full_name: claims.name || null, provider: 'entra', entra_email: email || null },
+  });
+  if (createError) {
+    // A concurrent first sign-in with the same email may have created and linked the user already.
+    const linkedFirst = await findLinkedUser(claims);
+    if (linkedFirst) return linkedFirst;
+    throw createError;
+  }
+  const linkedTo = await linkIdentity(claims, created.user.id);
+  if (linkedTo !== created.user.id) {
+    // A concurrent first sign-in linked the identity to the user it created; this one is not needed.
+    const { error: deleteError } = await supabase.auth.admin.deleteUser(created.user.id);
+    if (deleteError) console.error("Error deleting duplicate Entra user:", deleteError);
+  }
+  return linkedTo;
+};
+
+// Validates an Entra token for an identity that is already linked and returns claims shaped like a Supabase
+// token's, so `sub` is the Supabase user id. Identities are linked by entraSignIn or linkEntraAccount.
+const validateEntraToken = async (token) => {
+  const claims = await verifyEntraToken(token);
+  const userId = await findLinkedUser(claims);
+  if (!userId) throw new Error('This Microsoft account is not linked to a user yet. Sign in with Microsoft first.');
+  return { sub: userId, email: emailOf(claims), role: 'authenticated', amr: 'entra', tid: claims.tid, oid: claims.oid };
+};
+
+// Links an Entra identity to the signed-in user. Returns false when it is already linked to another user.
+const linkEntraAccount = async (claims, userId) => {
+  const linkedId = await findLinkedUser(claims);
+  if (linkedId) return linkedId === userId;
+  return (await linkIdentity(claims, userId)) === userId;
+};
+
+// Opens a Supabase session for a linked user, so the browser can use row-level security as that user. Uses a
+// one-off client: signing in on the shared service-role client would replace its key with the user's.
+const createSessionFor = async (userId) => {
+  const supabase = getSupabaseAdmin();
+  const { data: found, error: userError } = await supabase.auth.admin.getUserById(userId);
+  if (userError) throw userError;
+  const { data, error } = await supabase.auth.admin.generateLink({ type: 'magiclink', email: found.user.email });
+  if (error) throw error;
+
+  const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+  const client = createClient(url, process.env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false, autoRefreshToken: false } });
+  const { data: verified, error: verifyError } = await client.auth.verifyOtp({ type: 'magiclink', token_hash: data.properties.hashed_token });
+  if (verifyError) throw verifyError;
+  return verified.session;
+};
+
+module.exports = { getEntraConfig, isEntraToken, verifyEntraToken, resolveEntraUser, validateEntraToken, linkEntraAccount, createSessionFor };
@@ -0,0 +1,200 @@
+jest.mock('./supabaseAdmin');
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabaseAdmin = require('./supabaseAdmin');
+const { isEntraToken, verifyEntraToken, resolveEntraUser, validateEntraToken, linkEntraAccount } = require('./entra');
+
+const TENANT_ID = '00000000-0000-4000-8000-000000000001';
+const CLIENT_ID = '00000000-0000-4000-8000-000000000002';
+const OTHER_TENANT_ID = '00000000-0000-4000-8000-000000000009';
+const ISSUER = `https://login.microsoftonline.com/${TENANT_ID}/v2.0`;
+const KID = 'test-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] };
+
+const tokenFor = (claims = {}, options = {}) => jwt.sign(
+  { tid: TENANT_ID, oid: 'oid-1', preferred_username: 'sam@contoso.com', name: 'Sam', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: `api://${CLIENT_ID}`, expiresIn: '1h', ...options }
+);
+
+const claimsFor = (claims = {}) => ({ tid: TENANT_ID, oid: 'oid-1', preferred_username: 'sam@contoso.com', name: 'Sam', ...claims });
+
+beforeEach(() => {
+  supabaseAdmin.reset();
+  process.env.ENTRA_CLIENT_ID = CLIENT_ID;
+  process.env.ENTRA_TENANT_ID = TENANT_ID;
+  process.env.ENTRA_JWKS_URI = 'https://keys.test/keys';
+  delete process.env.ENTRA_TRUSTED_TENANTS;
+  global.fetch = jest.fn(async () => new Response(JSON.stringify(jwks)));
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('verifyEntraToken', () => {
+  test('accepts a token signed by the tenant for this app', async () => {
+    const token = tokenFor();
+    expect(isEntraToken(token)).toBe(true);
+    expect(await verifyEntraToken(token)).toMatchObject({ tid: TENANT_ID, oid: 'oid-1' });
+  });
+
+  test('rejects a token from another issuer', async () => {
+    const token = tokenFor({}, { issuer: `https://login.microsoftonline.com/${OTHER_TENANT_ID}/v2.0` });
+    expect(isEntraToken(token)).toBe(false);
+    await expect(verifyEntraToken(token)).rejects.toThrow('jwt issuer invalid');
+  });
+
+  test('rejects a token for another app', async () => {
+    await expect(verifyEntraToken(tokenFor({}, { audience: 'api://another-app' }))).rejects.toThrow('jwt audience invalid');
+  });
+
+  test('rejects an expired token', async () => {
+    await expect(verifyEntraToken(tokenFor({}, { expiresIn: -60 }))).rejects.toThrow('jwt expired');
+  });
+
+  test('rejects a token signed with another key', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = jwt.sign(claimsFor(), otherKey, { algorithm: 'RS256', keyid: KID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '1h' });
+    await expect(verifyEntraToken(token)).rejects.toThrow('invalid signature');
+  });
+
+  test('is off without configuration', async () => {
+    delete process.env.ENTRA_TENANT_ID;
+    const token = tokenFor();
+    expect(isEntraToken(token)).toBe(false);
+    await expect(verifyEntraToken(token)).rejects.toThrow('Microsoft sign-in is not configured.');
+  });
+});
+
+describe('validateEntraToken', () => {
+  test('returns the linked user for a linked identity', async () => {
+    supabaseAdmin.respond('identity_links', { data: { user_id: 'user-1' }, error: null });
+    expect(await validateEntraToken(tokenFor())).toMatchObject({ sub: 'user-1', email: 'sam@contoso.com', amr: 'entra' });
+    expect(supabaseAdmin.callsTo('identity_links')[0]).toContainEqual(['eq', 'subject', `${TENANT_ID}:oid-1`]);
+  });
+
+  test('never links or creates a user', async () => {
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+    supabaseAdmin.client.auth.admin.createUser = jest.fn();
+    await expect(validateEntraToken(tokenFor())).rejects.toThrow('not linked');
+    expect(supabaseAdmin.callsTo('rpc:find_user_by_email')).toEqual([]);
+    expect(supabaseAdmin.client.auth.admin.createUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveEntraUser', () => {
+  const insertedLink = () => supabaseAdmin.callsTo('identity_links').find(steps => steps[0][0] === 'insert')?.[0][1];
+
+  beforeEach(() => {
+    supabaseAdmin.client.auth.admin.createUser = jest.fn(async () => ({ data: { user: { id: 'new-user' } }, error: null }));
+  });
+
+  test('returns an existing link without looking at the email', async () => {
+    supabaseAdmin.respond('identity_links', { data: { user_id: 'user-1' }, error: null });
+    expect(await resolveEntraUser(claimsFor())).toBe('user-1');
+    expect(supabaseAdmin.callsTo('rpc:find_user_by_email')).toEqual([]);
+  });
+
+  test('links a trusted tenant to the account with the same confirmed email', async () => {
+    process.env.ENTRA_TRUSTED_TENANTS = TENANT_ID;
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+    supabaseAdmin.respond('rpc:find_user_by_email', { data: [{ id: 'user-1', email_confirmed_at: '2026-01-01T00:00:00Z' }], error: null });
+
+    expect(await resolveEntraUser(claimsFor({ preferred_username: 'Sam@Contoso.com' }))).toBe('user-1');
+    expect(supabaseAdmin.callsTo('rpc:find_user_by_email')[0]).toEqual([['rpc', { p_email: 'sam@contoso.com' }]]);
+    expect(insertedLink()).toEqual({ provider: 'entra', subject: `${TENANT_ID}:oid-1`, user_id: 'user-1', email: 'sam@contoso.com' });
+  });
+
+  test('does not link to an account whose email is unconfirmed', async () => {
+    process.env.ENTRA_TRUSTED_TENANTS = TENANT_ID;
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+    supabaseAdmin.respond('rpc:find_user_by_email', { data: [{ id: 'user-1', email_confirmed_at: null }], error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBeNull();
+    expect(insertedLink()).toBeUndefined();
+  });
+
+  test('does not link an untrusted tenant by email', async () => {
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+    supabaseAdmin.respond('rpc:find_user_by_email', { data: [{ id: 'user-1', email_confirmed_at: '2026-01-01T00:00:00Z' }], error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBeNull();
+    expect(insertedLink()).toBeUndefined();
+    expect(supabaseAdmin.client.auth.admin.createUser).not.toHaveBeenCalled();
+  });
+
+  test('creates a user for a new identity from a trusted tenant with its email', async () => {
+    process.env.ENTRA_TRUSTED_TENANTS = TENANT_ID;
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBe('new-user');
+    expect(supabaseAdmin.client.auth.admin.createUser.mock.calls[0][0]).toMatchObject({ email: 'sam@contoso.com', email_confirm: true });
+    expect(insertedLink()).toMatchObject({ user_id: 'new-user' });
+  });
+
+  test('creates a user for a new identity from an untrusted tenant without claiming its email', async () => {
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBe('new-user');
+    const { email, user_metadata: metadata } = supabaseAdmin.client.auth.admin.createUser.mock.calls[0][0];
+    expect(email).toBe(`oid-1@${TENANT_ID}.entra.invalid`);
+    expect(metadata.entra_email).toBe('sam@contoso.com');
+  });
+
+  test('returns the concurrent sign-in\'s user and deletes its own when the link already exists', async () => {
+    supabaseAdmin.client.auth.admin.deleteUser = jest.fn(async () => ({ data: {}, error: null }));
+    supabaseAdmin.respond('identity_links',
+      { data: null, error: null },
+      { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } },
+      { data: { user_id: 'first-user' }, error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBe('first-user');
+    expect(supabaseAdmin.client.auth.admin.deleteUser).toHaveBeenCalledWith('new-user');
+  });
+
+  test('returns the concurrent sign-in\'s user when creating the user fails', async () => {
+    process.env.ENTRA_TRUSTED_TENANTS = TENANT_ID;
+    supabaseAdmin.client.auth.admin.createUser = jest.fn(async () => ({ data: null, error: new Error('A user with this email address has already been registered') }));
+    supabaseAdmin.respond('identity_links', { data: null, error: null }, { data: { user_id: 'first-user' }, error: null });
+
+    expect(await resolveEntraUser(claimsFor())).toBe('first-user');
+  });
+
+  test('throws other link errors', async () => {
+    const error = { code: '23503', message: 'insert or update violates foreign key constraint' };
+    supabaseAdmin.respond('identity_links', { data: null, error: null }, { data: null, error });
+
+    await expect(resolveEntraUser(claimsFor())).rejects.toBe(error);
+  });
+});
+
+describe('linkEntraAccount', () => {
+  test('links an unlinked identity to the signed-in user', async () => {
+    supabaseAdmin.respond('identity_links', { data: null, error: null });
+    expect(await linkEntraAccount(claimsFor(), 'user-1')).toBe(true);
+    expect(supabaseAdmin.callsTo('identity_links')[1][0][1]).toMatchObject({ subject: `${TENANT_ID}:oid-1`, user_id: 'user-1' });
+  });
+
+  test('accepts an identity already linked to the same user', async () => {
+    supabaseAdmin.respond('identity_links', { data: { user_id: 'user-1' }, error: null });
+    expect(await linkEntraAccount(claimsFor(), 'user-1')).toBe(true);
+    expect(supabaseAdmin.callsTo('identity_links')).toHaveLength(1);
+  });
+
+  test('refuses an identity another user linked at the same time', async () => {
+    supabaseAdmin.respond('identity_links',
+      { data: null, error: null },
+      { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } },
+      { data: { user_id: 'user-2' }, error: null });
+    expect(await linkEntraAccount(claimsFor(), 'user-1')).toBe(false);
+  });
+
+  test('refuses an identity linked to another user', async () => {
+    supabaseAdmin.respond('identity_links', { data: { user_id: 'user-2' }, error: null });
+    expect(await linkEntraAccount(claimsFor(), 'user-1')).toBe(false);
+  });
+});
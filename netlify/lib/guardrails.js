@@ -0,0 +1,131 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+const { recordTokens } = require('./usage');
+
+const parsedRetries = Number.parseInt(process.env.MAX_GUARDRAIL_RETRIES, 10);
+const MAX_GUARDRAIL_RETRIES = Number.isNaN(parsedRetries) ? 2 : parsedRetries;
+
+const ADVICE_CLASSIFIER_PROMPT = `You audit replies written by an ICF-aligned coach. Decide whether the reply gives the client direct advice, solutions, recommendations or the coach's own opinion about what the client should do (for example "you should...", "try...", "I recommend...", "a good approach would be..."). Reflecting back the client's words, summarising, acknowledging emotions and asking open questions are NOT advice. Quote the offending phrase as evidence, or return an empty string when there is none.`;
+
+const ADVICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    gives_advice: { type: 'boolean' },
+    evidence: { type: 'string' }
+  },
+  required: ['gives_advice', 'evidence']
+};
+
+// Runs of question marks ("??") count once.
+const countQuestions = (text) => (text.match(/\?+/g) || []).length;
+
+const addUsage = (total, usage) => (usage
+  ? { inputTokens: total.inputTokens + usage.inputTokens, outputTokens: total.outputTokens + usage.outputTokens }
+  : total);
+
+// givesAdvice is null when the classifier's answer could not be read: the check is inconclusive, not passed.
+const classifyAdvice = async (provider, reply) => {
+  const result = await provider.generate({
+    systemPrompt: ADVICE_CLASSIFIER_PROMPT,
+    history: [{ role: 'user', content: `Coach reply:\n${reply}` }],
+    responseSchema: ADVICE_SCHEMA,
+  });
+  try {
+    const verdict = JSON.parse(result.text);
+    if (typeof verdict.gives_advice !== 'boolean') throw new Error('gives_advice is not a boolean');
+    return { givesAdvice: verdict.gives_advice, evidence: verdict.evidence || '', usage: result.usage };
+  } catch (error) {
+    console.error("Advice classifier parse error:", result.text);
+    return { givesAdvice: null, evidence: 'classifier returned invalid JSON', usage: result.usage };
+  }
+};
+
+// Checks a coach reply against the persona's hard rules, each tied to the ICF competency it evidences.
+// A check the classifier could not decide is recorded as inconclusive and does not count as passed.
+const checkCoachReply = async (provider, reply) => {
+  const questionCount = countQuestions(reply);
+  const advice = await classifyAdvice(provider, reply);
+  const checks = [
+    {
+      rule: 'one_question',
+      marker: 'Evokes Awareness: asks one question at a time',
+      passed: questionCount <= 1,
+      detail: `${questionCount} question${questionCount === 1 ? '' : 's'}`,
+    },
+    {
+      rule: 'no_advice',
+      marker: 'Evokes Awareness: client generates their own solutions (no direct advice)',
+      passed: advice.givesAdvice === false,
+      detail: advice.evidence,
+      ...(advice.givesAdvice === null && { inconclusive: true }),
+    },
+  ];
+  return { compliant: checks.every(check => check.passed), checks, usage: advice.usage };
+};
+
+// Inconclusive checks give no feedback to act on, so only the rules a draft clearly broke are listed.
+const feedbackFor = (draft, checks) => {
+  const problems = checks.filter(check => !check.passed && !check.inconclusive).map(check => (check.rule === 'one_question'
+    ? `- It asked ${check.detail}. Ask exactly ONE open-ended question.`
+    : `- It gave direct advice${check.detail ? ` ("${check.detail}")` : ''}. Do not advise; help the client find their own answer.`));
+  return `Your draft reply below broke your core principles:\n${problems.join('\n')}\nRewrite it so it follows every principle. Reply with the rewritten message only.\n\nDraft reply:\n${draft}`;
+};
+
+// Generates a coach reply and regenerates it with corrective feedback, up to MAX_GUARDRAIL_RETRIES times,
+// while it breaks the rules. Returns the provider result (usage summed over every call) plus a compliance record.
+// The summed usage is recorded on `usageEventId` however the loop ends, so a regeneration or classifier call that
+// throws does not lose the tokens the earlier calls used.
+const generateWithGuardrails = async (provider, request, usageEventId) => {
+  const attemptLog = [];
+  let usage = { inputTokens: 0, outputTokens: 0 };
+  let current = request;
+
+  try {
+    while (true) {
+      const result = await provider.generate(current);
+      usage = addUsage(usage, result.usage);
+      const check = await checkCoachReply(provider, result.text);
+      usage = addUsage(usage, check.usage);
+      attemptLog.push({ compliant: check.compliant, checks: check.checks });
+
+      // A draft that broke no rule for certain but could not be fully checked is delivered flagged as
+      // inconclusive rather than regenerated without feedback.
+      const inconclusive = check.checks.some(rule => rule.inconclusive);
+      const broken = check.checks.some(rule => !rule.passed && !rule.inconclusive);
+      if (!broken || attemptLog.length > MAX_GUARDRAIL_RETRIES) {
+        return {
+          ...result,
+          usage,
+          compliance: { compliant: check.compliant, inconclusive, attempts: attemptLog.length, checks: check.checks, attemptLog },
+        };
+      }
+      current = { ...request, systemPrompt: `${request.systemPrompt}\n\n${feedbackFor(result.text, check.checks)}` };
+    }
+  } finally {
+    await recordTokens(usageEventId, usage);
+  }
+};
+
+// Stores the compliance result for audit and returns its id so the reply can reference it.
+const logCompliance = async ({ userId, conversationId, persona, compliance }) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('guardrail_events')
+    .insert({
+      user_id: userId,
+      conversation_id: conversationId || null,
+      persona_version: persona.ref,
+      compliant: compliance.compliant,
+      inconclusive: compliance.inconclusive,
+      attempts: compliance.attempts,
+      checks: compliance.checks,
+      attempt_log: compliance.attemptLog,
+    })
+    .select('id')
+    .single();
+  if (error) {
+    console.error("Error logging guardrail result:", error);
+    return null;
+  }
+  return data.id;
+};
+
+module.exports = { generateWithGuardrails, logCompliance };
@@ -0,0 +1,151 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { generateWithGuardrails, logCompliance } = require('./guardrails');
+
+const usage = { inputTokens: 10, outputTokens: 5 };
+const request = { systemPrompt: 'You are a coach.', history: [{ role: 'user', content: 'I feel stuck.' }] };
+
+const reply = (text) => ({ text, finishReason: 'STOP', usage });
+const verdict = (givesAdvice) => reply(JSON.stringify({ gives_advice: givesAdvice, evidence: givesAdvice ? 'you should' : '' }));
+
+// A provider that answers each generate call with the next of `responses`; an Error is thrown instead.
+const providerAnswering = (...responses) => ({
+  name: 'test',
+  model: 'test-model',
+  generate: jest.fn(async () => {
+    const response = responses.shift();
+    if (response instanceof Error) throw response;
+    return response;
+  }),
+});
+
+const recordedUsage = () => supabaseAdmin.callsTo('usage_events').map(steps => steps[0][1]);
+
+beforeEach(() => {
+  supabaseAdmin.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('generateWithGuardrails usage', () => {
+  test('records the usage of every call', async () => {
+    const provider = providerAnswering(reply('What would help?'), verdict(false));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(result.usage).toEqual({ inputTokens: 20, outputTokens: 10 });
+    expect(recordedUsage()).toEqual([{ input_tokens: 20, output_tokens: 10 }]);
+  });
+
+  test('records the tokens of earlier attempts when a regeneration fails', async () => {
+    const provider = providerAnswering(reply('You should quit.'), verdict(true), new Error('provider down'));
+
+    await expect(generateWithGuardrails(provider, request, 'event-1')).rejects.toThrow('provider down');
+
+    expect(recordedUsage()).toEqual([{ input_tokens: 20, output_tokens: 10 }]);
+  });
+
+  test('records the reply tokens when the classifier call fails', async () => {
+    const provider = providerAnswering(reply('What would help?'), new Error('classifier down'));
+
+    await expect(generateWithGuardrails(provider, request, 'event-1')).rejects.toThrow('classifier down');
+
+    expect(recordedUsage()).toEqual([{ input_tokens: 10, output_tokens: 5 }]);
+  });
+});
+
+describe('generateWithGuardrails', () => {
+  test('returns a compliant first draft without regenerating', async () => {
+    const provider = providerAnswering(reply('What would help?'), verdict(false));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(result.text).toBe('What would help?');
+    expect(result.compliance).toMatchObject({ compliant: true, inconclusive: false, attempts: 1 });
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+  });
+
+  test('regenerates advice with feedback quoting it', async () => {
+    const provider = providerAnswering(reply('You should quit.'), verdict(true), reply('What do you want?'), verdict(false));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(result.text).toBe('What do you want?');
+    expect(result.compliance).toMatchObject({ compliant: true, attempts: 2 });
+    const retry = provider.generate.mock.calls[2][0];
+    expect(retry.systemPrompt).toContain('It gave direct advice ("you should")');
+    expect(retry.systemPrompt).toContain('Draft reply:\nYou should quit.');
+    expect(retry.history).toBe(request.history);
+  });
+
+  test('regenerates a reply that asks several questions', async () => {
+    const provider = providerAnswering(reply('Why? And how??'), verdict(false), reply('What matters most?'), verdict(false));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(provider.generate.mock.calls[2][0].systemPrompt).toContain('It asked 2 questions');
+    expect(result.compliance.attemptLog.map(attempt => attempt.compliant)).toEqual([false, true]);
+  });
+
+  test('delivers the last draft as non-compliant once the retries are used up', async () => {
+    const provider = providerAnswering(
+      reply('Try A.'), verdict(true), reply('Try B.'), verdict(true), reply('Try C.'), verdict(true),
+    );
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(result.text).toBe('Try C.');
+    expect(result.compliance).toMatchObject({ compliant: false, attempts: 3 });
+  });
+
+  test('flags a reply the classifier could not judge instead of passing it', async () => {
+    const provider = providerAnswering(reply('What would help?'), reply('not json'));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+    expect(result.compliance).toMatchObject({ compliant: false, inconclusive: true, attempts: 1 });
+    expect(result.compliance.checks.find(check => check.rule === 'no_advice')).toMatchObject({ passed: false, inconclusive: true });
+  });
+
+  test('regenerates a rule break even when the advice check is inconclusive', async () => {
+    const provider = providerAnswering(reply('Why? How?'), reply('{"gives_advice": "maybe"}'), reply('What matters?'), verdict(false));
+
+    const result = await generateWithGuardrails(provider, request, 'event-1');
+
+    const feedback = provider.generate.mock.calls[2][0].systemPrompt;
+    expect(feedback).toContain('It asked 2 questions');
+    expect(feedback).not.toContain('direct advice');
+    expect(result.compliance).toMatchObject({ compliant: true, inconclusive: false, attempts: 2 });
+  });
+});
+
+describe('logCompliance', () => {
+  const persona = { ref: 'coach@3' };
+
+  test('stores the result with the inconclusive flag and returns its id', async () => {
+    supabaseAdmin.respond('guardrail_events', { data: { id: 4 }, error: null });
+    const compliance = { compliant: false, inconclusive: true, attempts: 1, checks: [], attemptLog: [] };
+
+    expect(await logCompliance({ userId: 'user-1', conversationId: 'c1', persona, compliance })).toBe(4);
+    expect(supabaseAdmin.callsTo('guardrail_events')[0][0]).toEqual(['insert', {
+      user_id: 'user-1',
+      conversation_id: 'c1',
+      persona_version: 'coach@3',
+      compliant: false,
+      inconclusive: true,
+      attempts: 1,
+      checks: [],
+      attempt_log: [],
+    }]);
+  });
+
+  test('returns null when the result cannot be stored', async () => {
+    supabaseAdmin.respond('guardrail_events', { data: null, error: new Error('db down') });
+    const compliance = { compliant: true, inconclusive: false, attempts: 1, checks: [], attemptLog: [] };
+
+    expect(await logCompliance({ userId: 'user-1', conversationId: null, persona, compliance })).toBeNull();
+  });
+});
@@ -0,0 +1,54 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+const { transcriptOf } = require('./actionPlan');
+
+const MAX_MEMORY_FACTS = 50;
+const MAX_FACT_LENGTH = 300;
+
+const PROPOSAL_PROMPT = `You maintain a short long-term profile of a user of a coaching and mentoring app, so future sessions do not start from zero. From the conversation, propose durable facts worth remembering: the user's role and organisation context, longer-term goals, strengths, development areas, preferences for how they like to be coached, and recurring themes or challenges. Each fact is one short sentence about "the user". Only include what the user actually said; do not guess or diagnose. Skip one-off details, action items for this week and anything already listed under "Already remembered". Return an empty list when there is nothing new.`;
+
+const PROPOSAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    facts: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['facts']
+};
+
+const loadMemory = async (userId) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('memory_facts')
+    .select('fact')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+    .limit(MAX_MEMORY_FACTS);
+  if (error) throw error;
+  return data.map(row => row.fact);
+};
+
+// The conversation plus what is already remembered, as the single user turn of a proposal request.
+const proposalInput = (messages, facts) => {
+  const remembered = facts.length > 0 ? facts.map(fact => `- ${fact}`).join('\n') : '(nothing yet)';
+  return `Already remembered:\n${remembered}\n\nConversation:\n${transcriptOf(messages)}`;
+};
+
+// Cleans the model's proposals and drops duplicates of what is already remembered.
+const toProposals = (result, facts) => {
+  const seen = new Set(facts.map(fact => fact.trim().toLowerCase()));
+  return (result.facts || [])
+    .map(fact => (typeof fact === 'string' ? fact.trim().slice(0, MAX_FACT_LENGTH) : ''))
+    .filter(fact => {
+      const key = fact.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Appends what the user has asked the app to remember to a persona's system prompt.
+const withMemory = (systemPrompt, facts) => {
+  if (!facts || facts.length === 0) return systemPrompt;
+  const list = facts.map(fact => `- ${fact}`).join('\n');
+  return `${systemPrompt}\n\nWhat you know about the user from earlier sessions (they chose to have this remembered; use it for context, do not recite it back):\n${list}`;
+};
+
+module.exports = { MAX_FACT_LENGTH, PROPOSAL_PROMPT, PROPOSAL_SCHEMA, loadMemory, proposalInput, toProposals, withMemory };
@@ -0,0 +1,76 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { MAX_FACT_LENGTH, loadMemory, proposalInput, toProposals, withMemory } = require('./memory');
+
+beforeEach(() => supabaseAdmin.reset());
+
+describe('loadMemory', () => {
+  test('returns the user\'s facts oldest first', async () => {
+    supabaseAdmin.respond('memory_facts', { data: [{ fact: 'The user leads a sales team.' }, { fact: 'The user prefers direct feedback.' }], error: null });
+
+    expect(await loadMemory('user-1')).toEqual(['The user leads a sales team.', 'The user prefers direct feedback.']);
+    expect(supabaseAdmin.callsTo('memory_facts')[0]).toEqual([
+      ['select', 'fact'],
+      ['eq', 'user_id', 'user-1'],
+      ['order', 'created_at', { ascending: true }],
+      ['limit', 50],
+    ]);
+  });
+
+  test('throws when the facts cannot be read', async () => {
+    const error = new Error('connection lost');
+    supabaseAdmin.respond('memory_facts', { data: null, error });
+    await expect(loadMemory('user-1')).rejects.toBe(error);
+  });
+});
+
+describe('proposalInput', () => {
+  const messages = [{ role: 'user', content: 'I run the EMEA team.' }, { role: 'assistant', content: 'Tell me more.' }];
+
+  test('lists what is already remembered before the conversation', () => {
+    expect(proposalInput(messages, ['The user leads a sales team.'])).toBe(
+      'Already remembered:\n- The user leads a sales team.\n\nConversation:\nUser: I run the EMEA team.\n\nAssistant: Tell me more.'
+    );
+  });
+
+  test('says when nothing is remembered yet', () => {
+    expect(proposalInput(messages, [])).toMatch(/^Already remembered:\n\(nothing yet\)\n\n/);
+  });
+});
+
+describe('toProposals', () => {
+  test('trims proposals and drops empty ones and non-strings', () => {
+    expect(toProposals({ facts: ['  The user is a new manager. ', '', '   ', 42, null] }, [])).toEqual(['The user is a new manager.']);
+  });
+
+  test('drops facts already remembered or proposed twice, whatever their case', () => {
+    const proposals = toProposals(
+      { facts: ['The user leads a sales team.', 'THE USER LEADS A SALES TEAM.', 'The user wants to delegate more.', 'the user wants to delegate more.'] },
+      [' the user leads a sales team. ']
+    );
+    expect(proposals).toEqual(['The user wants to delegate more.']);
+  });
+
+  test('cuts facts off at the maximum length', () => {
+    const [fact] = toProposals({ facts: ['x'.repeat(MAX_FACT_LENGTH + 50)] }, []);
+    expect(fact).toHaveLength(MAX_FACT_LENGTH);
+  });
+
+  test('returns nothing when the model sends no list', () => {
+    expect(toProposals({}, [])).toEqual([]);
+  });
+});
+
+describe('withMemory', () => {
+  test('appends the remembered facts to the system prompt', () => {
+    const prompt = withMemory('You are a mentor.', ['The user leads a sales team.', 'The user prefers direct feedback.']);
+    expect(prompt).toMatch(/^You are a mentor\.\n\nWhat you know about the user from earlier sessions/);
+    expect(prompt).toMatch(/\n- The user leads a sales team\.\n- The user prefers direct feedback\.$/);
+  });
+
+  test('leaves the prompt alone when nothing is remembered', () => {
+    expect(withMemory('You are a mentor.', [])).toBe('You are a mentor.');
+    expect(withMemory('You are a mentor.', null)).toBe('You are a mentor.');
+  });
+});
@@ -0,0 +1,4 @@
+// Conversations are stored as message trees (messages.parent_id); only the branch ending at the
+// conversation's active leaf is what the user sees and what the model should read. The helpers are the
+// app's own (src/messageTree.js), so both sides agree on which branch that is.
+module.exports = require('../../src/messageTree');
@@ -0,0 +1,34 @@
+const { activePath } = require('./messageTree');
+
+// 1 - 2 - 3
+//      \- 4 - 5
+const messages = [
+  { id: 1, parent_id: null },
+  { id: 2, parent_id: 1 },
+  { id: 3, parent_id: 2 },
+  { id: 4, parent_id: 2 },
+  { id: 5, parent_id: 4 },
+];
+const idsOf = (branch) => branch.map(msg => msg.id);
+
+test('follows parents from the leaf to the root', () => {
+  expect(idsOf(activePath(messages, 3))).toEqual([1, 2, 3]);
+  expect(idsOf(activePath(messages, 5))).toEqual([1, 2, 4, 5]);
+});
+
+test('can end in the middle of the tree', () => {
+  expect(idsOf(activePath(messages, 2))).toEqual([1, 2]);
+});
+
+test('follows the newest branch when the leaf is unknown', () => {
+  expect(idsOf(activePath(messages, null))).toEqual([1, 2, 4, 5]);
+  expect(idsOf(activePath(messages, 99))).toEqual([1, 2, 4, 5]);
+});
+
+test('returns an empty branch for an empty conversation', () => {
+  expect(activePath([], null)).toEqual([]);
+});
+
+test('is the same implementation the app uses', () => {
+  expect(require('./messageTree')).toBe(require('../../src/messageTree'));
+});
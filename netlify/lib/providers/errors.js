@@ -0,0 +1,39 @@
+// Stable error codes returned to the client alongside the message (see src/sendErrors.js).
+const codeForStatus = (statusCode) => {
+  if (statusCode === 429) return 'provider_rate_limited';
+  if (statusCode === 408 || statusCode === 504) return 'provider_timeout';
+  if (statusCode >= 500) return 'provider_unavailable';
+  return 'provider_error';
+};
+
+// What the client is told for each code. Upstream details (status, body, network errors) are only logged: they
+// can name our configuration, and an upstream 401 is about our API key, not the user's session.
+const MESSAGES = {
+  provider_rate_limited: 'The AI service is busy right now.',
+  provider_timeout: 'The AI service did not respond in time.',
+  provider_unavailable: 'The AI service is temporarily unavailable.',
+  provider_error: 'The AI service could not answer this request.',
+};
+
+// Raised by provider adapters when the upstream model API fails. To our client it is a 504 for a timeout and a
+// 502 otherwise, whatever the upstream status, which is kept as `upstreamStatus` for logs and tests.
+class ProviderError extends Error {
+  constructor(code, upstreamStatus = null) {
+    super(MESSAGES[code] || MESSAGES.provider_error);
+    this.name = 'ProviderError';
+    this.code = MESSAGES[code] ? code : 'provider_error';
+    this.statusCode = this.code === 'provider_timeout' ? 504 : 502;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// Logs the upstream error body and throws a ProviderError if the response is not OK.
+const assertOk = async (response, providerName) => {
+  if (!response.ok) {
+    const errorBody = await response.text();
+    console.error(`${providerName} API Error (${response.status}):`, errorBody);
+    throw new ProviderError(codeForStatus(response.status), response.status);
+  }
+};
+
+module.exports = { ProviderError, assertOk };
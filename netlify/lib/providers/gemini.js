@@ -0,0 +1,78 @@
+const { fetchWithRetry } = require('./retry');
+const { readSseData } = require('./sse');
+
+const BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini's schema dialect spells types in upper case ('OBJECT', 'STRING', ...).
+const toGeminiSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'type' && typeof value === 'string' ? value.toUpperCase() : toGeminiSchema(value)
+  ]));
+};
+
+// Gemini calls the assistant role 'model' and takes the system prompt as a separate instruction.
+const toPayload = ({ systemPrompt, history, responseSchema }) => ({
+  contents: history.map(msg => ({
+    role: msg.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: msg.content }, ...(msg.parts || [])]
+  })),
+  systemInstruction: { parts: [{ text: systemPrompt }] },
+  ...(responseSchema && {
+    generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(responseSchema) }
+  })
+});
+
+const textOf = (candidate) => candidate?.content?.parts?.map(part => part.text || '').join('') || '';
+
+const usageOf = (metadata) => metadata && {
+  inputTokens: metadata.promptTokenCount || 0,
+  outputTokens: metadata.candidatesTokenCount || 0,
+};
+
+const createGeminiProvider = ({ model, apiKey }) => {
+  if (!apiKey) {
+    throw new Error("Gemini API key is not configured on the server.");
+  }
+
+  const post = async (method, request, query = '') => {
+    return fetchWithRetry(`${BASE_URL}/${model}:${method}?${query}key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toPayload(request)),
+      signal: request.signal
+    }, 'Gemini');
+  };
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(request) {
+      const result = await (await post('generateContent', request)).json();
+      const candidate = result.candidates?.[0];
+      return { text: textOf(candidate), finishReason: candidate?.finishReason || null, usage: usageOf(result.usageMetadata) };
+    },
+
+    async stream(request) {
+      const response = await post('streamGenerateContent', request, 'alt=sse&');
+      return (async function* () {
+        let finishReason = null;
+        let usage = null;
+        for await (const data of readSseData(response.body)) {
+          const chunk = JSON.parse(data);
+          const candidate = chunk.candidates?.[0];
+          const text = textOf(candidate);
+          if (text) yield { type: 'delta', text };
+          if (candidate?.finishReason) finishReason = candidate.finishReason;
+          if (chunk.usageMetadata) usage = usageOf(chunk.usageMetadata);
+        }
+        yield { type: 'done', finishReason, usage };
+      })();
+    },
+  };
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,34 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./errors');
+
+// Every provider exposes the same interface:
+//   generate({ systemPrompt, history, responseSchema?, signal? }) -> { text, finishReason, usage }
+//   stream({ systemPrompt, history, signal? })                    -> async iterable of { type: 'delta', text } then { type: 'done', finishReason, usage }
+// `history` is the app's [{ role: 'user' | 'assistant', content, parts? }] list; each adapter maps it to its own wire format.
+// `parts` are extra [{ text }] blocks sent with a message after its content, such as attached documents.
+// `responseSchema` is a JSON schema (lower-case types); when given, `text` is a JSON document matching it.
+// `usage` is { inputTokens, outputTokens }, or null when the provider does not report it.
+// `signal` is an AbortSignal that cancels the upstream request, including a stream that is still being read.
+const FACTORIES = {
+  gemini: (model) => createGeminiProvider({ model: model || 'gemini-1.5-flash-latest', apiKey: process.env.GEMINI_API_KEY }),
+  openai: (model) => createOpenAICompatibleProvider({ model, baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY }),
+  mock: (model) => createMockProvider({ model: model || 'mock-1' }),
+};
+
+// Selects the provider from LLM_PROVIDER (default 'gemini') and the model from LLM_MODEL.
+const getProvider = () => {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  const model = process.env.LLM_MODEL;
+  if (name === 'openai' && !model) {
+    throw new Error("LLM_MODEL must be set when LLM_PROVIDER is 'openai'.");
+  }
+  return factory(model);
+};
+
+module.exports = { getProvider, ProviderError };
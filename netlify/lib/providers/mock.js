@@ -0,0 +1,54 @@
+// Deterministic provider for tests and local development: no network, no API key.
+// The reply is derived only from the request, so the same conversation always gets the same answer.
+
+const countTokens = (text) => (text.match(/\S+/g) || []).length;
+
+const replyTo = ({ history }, model) => {
+  const lastUser = [...history].reverse().find(msg => msg.role === 'user');
+  const said = lastUser ? lastUser.content.trim() : '';
+  return `[${model}] You said: "${said}". What would you like to explore next?`;
+};
+
+// The smallest value that satisfies a JSON schema: empty arrays, empty strings, false and zero.
+const sampleFor = (schema) => {
+  switch (schema.type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleFor(value)]));
+    case 'array':
+      return [];
+    case 'boolean':
+      return false;
+    case 'number':
+    case 'integer':
+      return 0;
+    default:
+      return schema.enum ? schema.enum[0] : '';
+  }
+};
+
+const usageOf = (request, text) => ({
+  inputTokens: countTokens(request.systemPrompt) + request.history.reduce((sum, msg) => sum + countTokens([msg.content, ...(msg.parts || []).map(part => part.text)].join(' ')), 0),
+  outputTokens: countTokens(text),
+});
+
+const createMockProvider = ({ model }) => ({
+  name: 'mock',
+  model,
+
+  async generate(request) {
+    const text = request.responseSchema ? JSON.stringify(sampleFor(request.responseSchema)) : replyTo(request, model);
+    return { text, finishReason: 'STOP', usage: usageOf(request, text) };
+  },
+
+  async stream(request) {
+    const text = replyTo(request, model);
+    return (async function* () {
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        yield { type: 'delta', text: piece };
+      }
+      yield { type: 'done', finishReason: 'STOP', usage: usageOf(request, text) };
+    })();
+  },
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,69 @@
+const { fetchWithRetry } = require('./retry');
+const { readSseData } = require('./sse');
+
+// Extra parts are appended to the message text; not every compatible server accepts multi-part content.
+const contentOf = (msg) => [msg.content, ...(msg.parts || []).map(part => part.text)].join('\n\n');
+
+// OpenAI-style chat endpoints take the system prompt as the first message and keep the 'assistant' role.
+const toPayload = ({ systemPrompt, history, responseSchema }, model) => ({
+  model,
+  messages: [
+    { role: 'system', content: systemPrompt },
+    ...history.map(msg => ({ role: msg.role === 'assistant' ? 'assistant' : 'user', content: contentOf(msg) }))
+  ],
+  ...(responseSchema && {
+    response_format: { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+  })
+});
+
+const usageOf = (usage) => usage && {
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0,
+};
+
+const createOpenAICompatibleProvider = ({ model, baseUrl, apiKey }) => {
+  if (!baseUrl) {
+    throw new Error("OPENAI_BASE_URL is not configured on the server.");
+  }
+
+  const post = async (body, signal) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return fetchWithRetry(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    }, 'OpenAI-compatible');
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    async generate(request) {
+      const result = await (await post(toPayload(request, model), request.signal)).json();
+      const choice = result.choices?.[0];
+      return { text: choice?.message?.content || '', finishReason: choice?.finish_reason || null, usage: usageOf(result.usage) };
+    },
+
+    async stream(request) {
+      const response = await post({ ...toPayload(request, model), stream: true, stream_options: { include_usage: true } }, request.signal);
+      return (async function* () {
+        let finishReason = null;
+        let usage = null;
+        for await (const data of readSseData(response.body)) {
+          if (data === '[DONE]') break;
+          const chunk = JSON.parse(data);
+          const choice = chunk.choices?.[0];
+          if (choice?.delta?.content) yield { type: 'delta', text: choice.delta.content };
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          if (chunk.usage) usage = usageOf(chunk.usage);
+        }
+        yield { type: 'done', finishReason, usage };
+      })();
+    },
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
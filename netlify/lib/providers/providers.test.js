@@ -0,0 +1,167 @@
+const { getProvider } = require('./index');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+const collect = async (events) => {
+  const collected = [];
+  for await (const providerEvent of events) collected.push(providerEvent);
+  return collected;
+};
+
+const sseBody = (lines) => new ReadableStream({
+  start(controller) {
+    controller.enqueue(new TextEncoder().encode(lines.map(line => `data: ${line}\n\n`).join('')));
+    controller.close();
+  },
+});
+
+const jsonResponse = (body) => new Response(JSON.stringify(body), { status: 200 });
+
+const history = [
+  { role: 'assistant', content: 'Hello' },
+  { role: 'user', content: 'My sponsor is unhappy', parts: [{ text: 'Document: plan' }] },
+];
+
+describe('getProvider', () => {
+  const env = process.env;
+  beforeEach(() => { process.env = { ...env }; });
+  afterAll(() => { process.env = env; });
+
+  test('selects the provider named in LLM_PROVIDER', () => {
+    process.env.LLM_PROVIDER = 'Mock';
+    expect(getProvider()).toMatchObject({ name: 'mock', model: 'mock-1' });
+  });
+
+  test('rejects an unknown provider', () => {
+    process.env.LLM_PROVIDER = 'other';
+    expect(() => getProvider()).toThrow('Unknown LLM_PROVIDER "other"');
+  });
+
+  test('requires a model for OpenAI-compatible endpoints', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    delete process.env.LLM_MODEL;
+    expect(() => getProvider()).toThrow('LLM_MODEL must be set');
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider({ model: 'mock-1' });
+
+  test('answers deterministically from the last user message', async () => {
+    const result = await provider.generate({ systemPrompt: 'Be brief', history });
+    expect(result.text).toBe('[mock-1] You said: "My sponsor is unhappy". What would you like to explore next?');
+    expect(result.finishReason).toBe('STOP');
+    expect(result.usage.inputTokens).toBe(2 + 1 + 4 + 2);
+  });
+
+  test('returns the smallest document matching a response schema', async () => {
+    const responseSchema = {
+      type: 'object',
+      properties: { items: { type: 'array' }, done: { type: 'boolean' }, level: { type: 'string', enum: ['low', 'high'] } },
+    };
+    const result = await provider.generate({ systemPrompt: '', history, responseSchema });
+    expect(JSON.parse(result.text)).toEqual({ items: [], done: false, level: 'low' });
+  });
+
+  test('streams the same reply word by word', async () => {
+    const events = await collect(await provider.stream({ systemPrompt: '', history }));
+    expect(events.filter(e => e.type === 'delta').map(e => e.text).join('')).toBe((await provider.generate({ systemPrompt: '', history })).text);
+    expect(events[events.length - 1]).toMatchObject({ type: 'done', finishReason: 'STOP' });
+  });
+});
+
+describe('Gemini provider', () => {
+  afterEach(() => { delete global.fetch; });
+
+  test('maps roles, extra parts, the system prompt and the schema to the Gemini payload', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({
+      candidates: [{ content: { parts: [{ text: '{"ok":' }, { text: 'true}' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3 },
+    }));
+    const provider = createGeminiProvider({ model: 'gemini-test', apiKey: 'key' });
+    const result = await provider.generate({ systemPrompt: 'System', history, responseSchema: { type: 'object', properties: { ok: { type: 'boolean' } } } });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toContain('/gemini-test:generateContent?key=key');
+    expect(JSON.parse(options.body)).toEqual({
+      contents: [
+        { role: 'model', parts: [{ text: 'Hello' }] },
+        { role: 'user', parts: [{ text: 'My sponsor is unhappy' }, { text: 'Document: plan' }] },
+      ],
+      systemInstruction: { parts: [{ text: 'System' }] },
+      generationConfig: { responseMimeType: 'application/json', responseSchema: { type: 'OBJECT', properties: { ok: { type: 'BOOLEAN' } } } },
+    });
+    expect(result).toEqual({ text: '{"ok":true}', finishReason: 'STOP', usage: { inputTokens: 12, outputTokens: 3 } });
+  });
+
+  test('streams deltas and reports the finish reason and usage at the end', async () => {
+    global.fetch = jest.fn(async () => new Response(sseBody([
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hel' }] } }] }),
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: 'lo' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 2 } }),
+    ]), { status: 200 }));
+    const provider = createGeminiProvider({ model: 'gemini-test', apiKey: 'key' });
+    const events = await collect(await provider.stream({ systemPrompt: '', history }));
+    expect(events).toEqual([
+      { type: 'delta', text: 'Hel' },
+      { type: 'delta', text: 'lo' },
+      { type: 'done', finishReason: 'STOP', usage: { inputTokens: 5, outputTokens: 2 } },
+    ]);
+    expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+  });
+
+  test('aborts the upstream request when the request signal is aborted', async () => {
+    let fetchSignal;
+    global.fetch = jest.fn(async (url, { signal }) => {
+      fetchSignal = signal;
+      return new Response(sseBody([JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hi' }] } }] })]), { status: 200 });
+    });
+    const upstream = new AbortController();
+    const events = await createGeminiProvider({ model: 'gemini-test', apiKey: 'key' }).stream({ systemPrompt: '', history, signal: upstream.signal });
+    await events.next();
+    upstream.abort();
+    expect(fetchSignal.aborted).toBe(true);
+  });
+
+  test('needs an API key', () => {
+    expect(() => createGeminiProvider({ model: 'gemini-test' })).toThrow('Gemini API key is not configured');
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  afterEach(() => { delete global.fetch; });
+
+  test('sends the system prompt as the first message and appends extra parts to the content', async () => {
+    global.fetch = jest.fn(async () => jsonResponse({
+      choices: [{ message: { content: 'Reply' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 7, completion_tokens: 1 },
+    }));
+    const provider = createOpenAICompatibleProvider({ model: 'local', baseUrl: 'http://llm.test/v1/', apiKey: 'secret' });
+    const result = await provider.generate({ systemPrompt: 'System', history });
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://llm.test/v1/chat/completions');
+    expect(options.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(options.body).messages).toEqual([
+      { role: 'system', content: 'System' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'My sponsor is unhappy\n\nDocument: plan' },
+    ]);
+    expect(result).toEqual({ text: 'Reply', finishReason: 'stop', usage: { inputTokens: 7, outputTokens: 1 } });
+  });
+
+  test('stops reading the stream at [DONE]', async () => {
+    global.fetch = jest.fn(async () => new Response(sseBody([
+      JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] }),
+      JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }] }),
+      JSON.stringify({ choices: [], usage: { prompt_tokens: 3, completion_tokens: 1 } }),
+      '[DONE]',
+    ]), { status: 200 }));
+    const provider = createOpenAICompatibleProvider({ model: 'local', baseUrl: 'http://llm.test/v1' });
+    const events = await collect(await provider.stream({ systemPrompt: '', history }));
+    expect(events).toEqual([
+      { type: 'delta', text: 'Hi' },
+      { type: 'done', finishReason: 'stop', usage: { inputTokens: 3, outputTokens: 1 } },
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const { ProviderError, assertOk } = require('./errors');
+
+const PROVIDER_TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS) || 25000;
+const PROVIDER_MAX_RETRIES = Math.max(0, Number(process.env.PROVIDER_MAX_RETRIES ?? 2) || 0);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Honours the upstream Retry-After header, otherwise backs off exponentially with jitter.
+const retryDelay = (attempt, response) => {
+  const retryAfter = Number(response?.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  return Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS) * (0.5 + Math.random() / 2);
+};
+
+// fetch() for model APIs: each attempt times out after PROVIDER_TIMEOUT_MS (until the response headers
+// arrive, so long streams are not cut off), and timeouts, network errors, 429s and 5xx responses are retried
+// up to PROVIDER_MAX_RETRIES times. Resolves to an OK response or throws a ProviderError. Aborting
+// `options.signal` cancels the request, including a response body still being read, and is never retried.
+const fetchWithRetry = async (url, { signal, ...options }, providerName) => {
+  for (let attempt = 0; ; attempt += 1) {
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT_MS);
+    // The listener stays only on the attempt whose response is returned, so aborting still cancels its body.
+    let returned = false;
+    let response = null;
+    try {
+      try {
+        response = await fetch(url, { ...options, signal: controller.signal });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (attempt >= PROVIDER_MAX_RETRIES) {
+          if (error.name === 'AbortError') {
+            console.error(`${providerName} did not respond within ${PROVIDER_TIMEOUT_MS / 1000} seconds.`);
+            throw new ProviderError('provider_timeout');
+          }
+          console.error(`Could not reach ${providerName}:`, error.message);
+          throw new ProviderError('provider_unavailable');
+        }
+        console.warn(`${providerName} request failed (attempt ${attempt + 1}), retrying:`, error.message);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (response) {
+        if (response.ok || !RETRYABLE_STATUSES.has(response.status) || attempt >= PROVIDER_MAX_RETRIES) {
+          await assertOk(response, providerName);
+          returned = true;
+          return response;
+        }
+        console.warn(`${providerName} returned ${response.status} (attempt ${attempt + 1}), retrying.`);
+        // Drain the body so the connection can be reused.
+        await response.text().catch(() => {});
+      }
+    } finally {
+      if (!returned) signal?.removeEventListener('abort', forwardAbort);
+    }
+    await sleep(retryDelay(attempt, response));
+  }
+};
+
+module.exports = { fetchWithRetry };
@@ -0,0 +1,137 @@
+process.env.PROVIDER_TIMEOUT_MS = '50';
+process.env.PROVIDER_MAX_RETRIES = '2';
+
+const { fetchWithRetry } = require('./retry');
+const { ProviderError } = require('./errors');
+
+const respondWith = (status, body = '', headers = {}) => new Response(body, { status, headers });
+
+// A fetch that only settles when its request is aborted, like an upstream that never answers.
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // The shortest backoff: 250 ms, then 500 ms.
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+test('returns the first OK response', async () => {
+  global.fetch = jest.fn(async () => respondWith(200, 'ok'));
+  const response = await fetchWithRetry('http://llm.test', { method: 'POST' }, 'Test');
+  expect(await response.text()).toBe('ok');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('retries 429 and 5xx responses until one succeeds', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(respondWith(503))
+    .mockResolvedValueOnce(respondWith(429))
+    .mockResolvedValueOnce(respondWith(200, 'ok'));
+  const response = await fetchWithRetry('http://llm.test', {}, 'Test');
+  expect(response.status).toBe(200);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry other client errors', async () => {
+  global.fetch = jest.fn(async () => respondWith(400, 'bad schema'));
+  await expect(fetchWithRetry('http://llm.test', {}, 'Test')).rejects.toMatchObject({
+    name: 'ProviderError', statusCode: 502, upstreamStatus: 400, code: 'provider_error',
+  });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('logs the upstream body but reports a 502 with a generic message', async () => {
+  global.fetch = jest.fn(async () => respondWith(401, '{"error":"API key sk-live-123 is invalid"}'));
+  const error = await fetchWithRetry('http://llm.test', {}, 'Test').catch(err => err);
+  expect(error).toMatchObject({ statusCode: 502, upstreamStatus: 401, code: 'provider_error' });
+  expect(error.message).toBe('The AI service could not answer this request.');
+  expect(console.error).toHaveBeenCalledWith('Test API Error (401):', '{"error":"API key sk-live-123 is invalid"}');
+});
+
+test('gives up after the last retry', async () => {
+  global.fetch = jest.fn(async () => respondWith(503, 'overloaded'));
+  const error = await fetchWithRetry('http://llm.test', {}, 'Test').catch(err => err);
+  expect(error).toBeInstanceOf(ProviderError);
+  expect(error).toMatchObject({ statusCode: 502, upstreamStatus: 503, code: 'provider_unavailable' });
+  expect(error.message).not.toMatch(/overloaded/);
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('reports a timeout when the provider never answers', async () => {
+  global.fetch = jest.fn(hangingFetch);
+  await expect(fetchWithRetry('http://llm.test', {}, 'Test')).rejects.toMatchObject({ statusCode: 504, code: 'provider_timeout' });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+});
+
+test('reports network errors as the provider being unavailable', async () => {
+  global.fetch = jest.fn(async () => { throw new TypeError('fetch failed'); });
+  await expect(fetchWithRetry('http://llm.test', {}, 'Test')).rejects.toMatchObject({
+    statusCode: 502, code: 'provider_unavailable', message: 'The AI service is temporarily unavailable.',
+  });
+  expect(console.error).toHaveBeenCalledWith('Could not reach Test:', 'fetch failed');
+});
+
+test('stops without retrying when the caller aborts', async () => {
+  global.fetch = jest.fn(hangingFetch);
+  const caller = new AbortController();
+  const request = fetchWithRetry('http://llm.test', { signal: caller.signal }, 'Test');
+  caller.abort();
+  await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('does not start a request the caller already aborted', async () => {
+  global.fetch = jest.fn(async () => respondWith(200));
+  const caller = new AbortController();
+  caller.abort();
+  await expect(fetchWithRetry('http://llm.test', { signal: caller.signal }, 'Test')).rejects.toMatchObject({ name: 'AbortError' });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('aborting after the response arrived aborts the request it was read from', async () => {
+  let fetchSignal;
+  global.fetch = jest.fn(async (url, { signal }) => {
+    fetchSignal = signal;
+    return respondWith(200, 'streaming');
+  });
+  const caller = new AbortController();
+  await fetchWithRetry('http://llm.test', { signal: caller.signal }, 'Test');
+  expect(fetchSignal.aborted).toBe(false);
+  caller.abort();
+  expect(fetchSignal.aborted).toBe(true);
+});
+
+test('removes its abort listener from the caller\'s signal after each failed attempt', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(respondWith(503))
+    .mockResolvedValueOnce(respondWith(503))
+    .mockResolvedValueOnce(respondWith(400));
+  const caller = new AbortController();
+  const added = jest.spyOn(caller.signal, 'addEventListener');
+  const removed = jest.spyOn(caller.signal, 'removeEventListener');
+  await expect(fetchWithRetry('http://llm.test', { signal: caller.signal }, 'Test')).rejects.toBeInstanceOf(ProviderError);
+  expect(added).toHaveBeenCalledTimes(3);
+  expect(removed).toHaveBeenCalledTimes(3);
+  expect(removed.mock.calls.map(call => call[1])).toEqual(added.mock.calls.map(call => call[1]));
+});
+
+test('keeps the listener only for the response it returns', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(respondWith(503))
+    .mockResolvedValueOnce(respondWith(200, 'ok'));
+  const caller = new AbortController();
+  const added = jest.spyOn(caller.signal, 'addEventListener');
+  const removed = jest.spyOn(caller.signal, 'removeEventListener');
+  await fetchWithRetry('http://llm.test', { signal: caller.signal }, 'Test');
+  expect(added).toHaveBeenCalledTimes(2);
+  expect(removed).toHaveBeenCalledTimes(1);
+  expect(removed.mock.calls[0][1]).toBe(added.mock.calls[0][1]);
+});
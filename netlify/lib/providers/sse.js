@@ -0,0 +1,32 @@
+// Yields the raw payload of every `data:` line in a server-sent events body (a WHATWG ReadableStream).
+async function* readSseData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dataOf = (line) => (line.startsWith('data:') ? line.slice(5).trim() : null);
+
+  let finished = false;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = dataOf(line);
+        if (data) yield data;
+      }
+    }
+    finished = true;
+  } finally {
+    // Stopped early (the consumer returned or a read failed): close the connection instead of leaving it open.
+    if (!finished) reader.cancel().catch(() => {});
+  }
+
+  const data = dataOf(buffer);
+  if (data) yield data;
+}
+
+module.exports = { readSseData };
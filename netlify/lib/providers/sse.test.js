@@ -0,0 +1,60 @@
+const { readSseData } = require('./sse');
+
+// A body that delivers `pieces` as separate reads, so events can be split across chunk boundaries.
+const bodyOf = (pieces) => new ReadableStream({
+  start(controller) {
+    pieces.forEach(piece => controller.enqueue(new TextEncoder().encode(piece)));
+    controller.close();
+  },
+});
+
+const read = async (pieces) => {
+  const data = [];
+  for await (const payload of readSseData(bodyOf(pieces))) data.push(payload);
+  return data;
+};
+
+test('yields the payload of every data line', async () => {
+  expect(await read(['data: {"a":1}\n\ndata: {"b":2}\n\n'])).toEqual(['{"a":1}', '{"b":2}']);
+});
+
+test('joins lines split across chunks', async () => {
+  expect(await read(['da', 'ta: {"te', 'xt":"hi"}\n', '\ndata: [DONE]\n\n'])).toEqual(['{"text":"hi"}', '[DONE]']);
+});
+
+test('accepts CRLF line endings and a last line without a newline', async () => {
+  expect(await read(['data: one\r\n\r\ndata: two'])).toEqual(['one', 'two']);
+});
+
+test('skips comments, other fields and empty data lines', async () => {
+  expect(await read([': keep-alive\nevent: message\nid: 3\ndata:\ndata: payload\n\n'])).toEqual(['payload']);
+});
+
+test('decodes multi-byte characters split between chunks', async () => {
+  const bytes = new TextEncoder().encode('data: café\n\n');
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, 10));
+      controller.enqueue(bytes.slice(10));
+      controller.close();
+    },
+  });
+  const data = [];
+  for await (const payload of readSseData(body)) data.push(payload);
+  expect(data).toEqual(['café']);
+});
+
+test('cancels the body when the consumer stops early', async () => {
+  const cancel = jest.fn();
+  const body = new ReadableStream({
+    pull(controller) {
+      controller.enqueue(new TextEncoder().encode('data: more\n\n'));
+    },
+    cancel,
+  });
+  for await (const payload of readSseData(body)) {
+    expect(payload).toBe('more');
+    break;
+  }
+  expect(cancel).toHaveBeenCalled();
+});
@@ -0,0 +1,234 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+// Redaction levels, set per user in privacy_settings:
+//   off      - nothing is redacted
+//   standard - emails, phone numbers, the user's sensitive terms, company names with a legal or business
+//              suffix ("Acme Ltd"), titled names ("Dr Patel") and two-word capitalised names ("Sarah Chen")
+//              made of words that are not in COMMON_WORDS, so headings like "Next Steps" are left alone
+//   strict   - standard, plus any single capitalised word in the middle of a sentence ("I told Sarah")
+// Name detection is heuristic: it favours redacting too much over leaking a name.
+const LEVELS = ['off', 'standard', 'strict'];
+const DEFAULT_LEVEL = 'standard';
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Digit groups joined by spaces, dots or dashes ("020 7946 0958", "+1 (555) 123-4567"), or "+" followed by the
+// digits run together. Bare numbers ("1500000"), dates ("2026-10-19", "10.11.2026") and year ranges
+// ("2024-2026") are not phone numbers.
+const PHONE_PATTERN = /(?<![\w+.-])(?!\d{4}[-./]\d{1,2}[-./]\d{1,2}\b|\d{1,2}[-./]\d{1,2}[-./]\d{2,4}\b|(?:19|20)\d{2}\s?-\s?(?:19|20)\d{2}\b)(?:\+\d{7,15}|(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,5}){1,4})(?!\w)/g;
+const MIN_PHONE_DIGITS = 7;
+const COMPANY_PATTERN = /\b(?:[A-Z][\w&'-]*\s+){0,3}[A-Z][\w&'-]*\s+(?:Inc|Ltd|LLC|LLP|PLC|GmbH|AG|SA|BV|Corp|Corporation|Company|Co|Group|Holdings|Limited|Technologies|Solutions|Consulting|Partners|Bank)\b\.?/g;
+const TITLED_NAME_PATTERN = /\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\.?\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g;
+const NAME_PAIR_PATTERN = /\b[A-Z][a-z'-]+\s+[A-Z][a-z'-]+\b/g;
+const CAPITALISED_WORD_PATTERN = /(?<![.!?:]\s|^|\n)\b[A-Z][a-z'-]+\b/g;
+const PLACEHOLDER_PATTERN = /\[(EMAIL|PHONE|TERM|COMPANY|PERSON)_(\d+)\]/g;
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+// Capitalised words that are almost never names; keeps the name heuristics from eating ordinary sentences.
+const COMMON_WORDS = new Set([
+  'I', 'The', 'This', 'That', 'These', 'Those', 'There', 'Then', 'They', 'We', 'You', 'He', 'She', 'It', 'My', 'Our', 'Your',
+  'His', 'Her', 'Their', 'What', 'When', 'Where', 'Why', 'How', 'Who', 'Which', 'If', 'But', 'And', 'Or', 'So', 'Also',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December',
+  'Project', 'Management', 'Manager', 'Team', 'Lead', 'Director', 'Sales', 'Consulting', 'Facilitation', 'Coach', 'Mentor',
+  'Today', 'Yesterday', 'Tomorrow', 'Last', 'Next', 'Agile', 'Scrum', 'Sprint', 'Hello', 'Thanks', 'Thank', 'Yes', 'No', 'Okay', 'OK', 'Hi', 'Dear',
+  'English', 'Internet', 'Email', 'Excel', 'Teams', 'Slack', 'Zoom', 'Jira',
+  'A', 'An', 'Of', 'For', 'To', 'In', 'On', 'At', 'By', 'With', 'From', 'About', 'Into', 'Over', 'Under', 'Not', 'All', 'New',
+  'Key', 'Steps', 'Step', 'Action', 'Actions', 'Items', 'Item', 'Plan', 'Plans', 'Goal', 'Goals', 'Objective', 'Objectives',
+  'Target', 'Targets', 'Revenue', 'Budget', 'Forecast', 'Cost', 'Costs', 'Profit', 'Growth', 'Quarter', 'Quarterly', 'Annual',
+  'Monthly', 'Weekly', 'Year', 'Review', 'Performance', 'Report', 'Statement', 'Summary', 'Update', 'Status', 'Notes',
+  'Agenda', 'Meeting', 'Results', 'Strategy', 'Roadmap', 'Risk', 'Risks', 'Priority', 'Priorities', 'Feedback', 'Career',
+  'Leadership', 'Development', 'Training', 'Program', 'Programme', 'Product', 'Customer', 'Customers', 'Marketing',
+  'Business', 'Operations', 'Finance', 'Engineering', 'Design', 'Data', 'Human', 'Resources', 'Board', 'Executive',
+  'Senior', 'Junior', 'Chief', 'Officer', 'Head', 'Vice', 'President', 'Work', 'Scope', 'Service', 'Services', 'Support',
+  'Account', 'Quality', 'Success', 'Strengths', 'Weaknesses', 'Opportunities', 'Threats', 'Option', 'Options', 'Decision',
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Matches `value` as a whole word; values can start or end with punctuation ("+44 20...", "Acme Co.").
+const wholeWord = (value) => new RegExp(`(?<!\\w)${escapeRegExp(value)}(?!\\w)`, 'gi');
+
+const loadSettings = async (userId) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('privacy_settings')
+    .select('redaction_level, sensitive_terms')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return {
+    level: LEVELS.includes(data?.redaction_level) ? data.redaction_level : DEFAULT_LEVEL,
+    terms: termsOf(data),
+  };
+};
+
+const termsOf = (settings) => (settings?.sensitive_terms || []).map(term => term.trim()).filter(Boolean);
+
+// The sensitive terms of several users, for jobs that handle their text together: a Map of user id to terms.
+const loadSensitiveTerms = async (userIds) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('privacy_settings')
+    .select('user_id, sensitive_terms')
+    .in('user_id', [...new Set(userIds)]);
+  if (error) throw error;
+  return new Map(data.map(row => [row.user_id, termsOf(row)]));
+};
+
+// A per-request redactor. The same value always maps to the same placeholder, and placeholders are
+// numbered in order of first appearance, so rebuilding it from the same history gives the same mapping.
+const buildRedactor = ({ level, terms }) => {
+  const placeholderByValue = new Map();
+  const valueByPlaceholder = new Map();
+  const counters = {};
+
+  const placeholderFor = (kind, value) => {
+    const key = value.toLowerCase();
+    if (!placeholderByValue.has(key)) {
+      counters[kind] = (counters[kind] || 0) + 1;
+      const placeholder = `[${kind}_${counters[kind]}]`;
+      placeholderByValue.set(key, placeholder);
+      valueByPlaceholder.set(placeholder, value);
+    }
+    return placeholderByValue.get(key);
+  };
+
+  const isCommon = (word) => COMMON_WORDS.has(word.replace(/\.$/, ''));
+  const notCommon = (match) => match.split(/\s+/).some(word => !isCommon(word));
+  // A pair is only taken for a name when neither word is common: "Sarah Chen", but not "Revenue Target".
+  const noCommonWord = (match) => match.split(/\s+/).every(word => !isCommon(word));
+
+  // Ordered so the most specific detectors claim text first.
+  const detectors = [
+    { kind: 'EMAIL', pattern: EMAIL_PATTERN },
+    { kind: 'PHONE', pattern: PHONE_PATTERN, accept: match => match.replace(/\D/g, '').length >= MIN_PHONE_DIGITS },
+    ...terms.map(term => ({ kind: 'TERM', pattern: wholeWord(term) })),
+    { kind: 'COMPANY', pattern: COMPANY_PATTERN },
+    { kind: 'PERSON', pattern: TITLED_NAME_PATTERN },
+    { kind: 'PERSON', pattern: NAME_PAIR_PATTERN, accept: noCommonWord },
+    ...(level === 'strict' ? [{ kind: 'PERSON', pattern: CAPITALISED_WORD_PATTERN, accept: notCommon }] : []),
+  ];
+
+  // Replaces detected values with placeholders. With `detect: false` only values already mapped are
+  // replaced, which is used for text the heuristics should not scan (such as persona prompts).
+  const redact = (text, { detect = true } = {}) => {
+    if (level === 'off' || !text) return text;
+    let output = text;
+    if (detect) {
+      for (const { kind, pattern, accept } of detectors) {
+        output = output.replace(pattern, (match) => {
+          if (match.includes('[') || (accept && !accept(match))) return match;
+          return placeholderFor(kind, match.trim());
+        });
+      }
+    }
+    for (const [key, placeholder] of placeholderByValue) {
+      output = output.replace(wholeWord(key), placeholder);
+    }
+    return output;
+  };
+
+  // With `json: true` the text is a JSON document and the placeholders sit inside its strings, so values are
+  // escaped as JSON string content: a restored `"` or `\` must not end the string.
+  const restore = (text, { json = false } = {}) => (text || '').replace(PLACEHOLDER_PATTERN, (placeholder) => {
+    const value = valueByPlaceholder.get(placeholder);
+    if (!value) return placeholder;
+    return json ? JSON.stringify(value).slice(1, -1) : value;
+  });
+
+  // Restores streamed text, holding back a trailing "[PERS" until the rest of the placeholder arrives.
+  const createStreamRestorer = () => {
+    let pending = '';
+    return {
+      push(text) {
+        pending += text;
+        const open = pending.lastIndexOf('[');
+        let ready = pending;
+        if (open !== -1 && !pending.slice(open).includes(']') && pending.length - open < MAX_PLACEHOLDER_LENGTH) {
+          ready = pending.slice(0, open);
+          pending = pending.slice(open);
+        } else {
+          pending = '';
+        }
+        return restore(ready);
+      },
+      flush() {
+        const rest = restore(pending);
+        pending = '';
+        return rest;
+      },
+    };
+  };
+
+  // Number of distinct values redacted in one text; call it on text that has already been scanned.
+  const countIn = (text) => {
+    const seen = new Set();
+    const redacted = redact(text);
+    for (const match of redacted.matchAll(PLACEHOLDER_PATTERN)) seen.add(match[0]);
+    return seen.size;
+  };
+
+  return {
+    level,
+    redact,
+    restore,
+    createStreamRestorer,
+    countIn,
+    scan: (...texts) => texts.forEach(text => redact(text)),
+    get size() { return valueByPlaceholder.size; },
+  };
+};
+
+// Loads the user's settings and registers every value in `texts` (oldest first) so numbering is stable.
+const createRedactor = async (userId, texts = []) => {
+  const redactor = buildRedactor(await loadSettings(userId));
+  redactor.scan(...texts);
+  return redactor;
+};
+
+const PLACEHOLDER_NOTE = 'Some names and personal details in this conversation have been replaced with placeholders such as [PERSON_1], [COMPANY_1] or [EMAIL_1]. Refer to them using exactly the same placeholders and never guess the real values.';
+
+// Wraps a provider so message text is redacted before it leaves the server and placeholders in the
+// reply are restored. The wrapper has the same interface as the provider it wraps.
+const withRedaction = (provider, redactor) => {
+  if (redactor.level === 'off') return provider;
+
+  const redactRequest = (request) => {
+    const history = request.history.map(msg => ({
+      ...msg,
+      content: redactor.redact(msg.content),
+      ...(msg.parts && { parts: msg.parts.map(part => ({ ...part, text: redactor.redact(part.text) })) }),
+    }));
+    const systemPrompt = redactor.redact(request.systemPrompt, { detect: false });
+    return {
+      ...request,
+      history,
+      systemPrompt: redactor.size > 0 ? `${systemPrompt}\n\n${PLACEHOLDER_NOTE}` : systemPrompt,
+    };
+  };
+
+  return {
+    ...provider,
+
+    async generate(request) {
+      const result = await provider.generate(redactRequest(request));
+      return { ...result, text: redactor.restore(result.text, { json: Boolean(request.responseSchema) }) };
+    },
+
+    async stream(request) {
+      const events = await provider.stream(redactRequest(request));
+      return (async function* () {
+        const restorer = redactor.createStreamRestorer();
+        for await (const providerEvent of events) {
+          if (providerEvent.type === 'delta') {
+            const text = restorer.push(providerEvent.text);
+            if (text) yield { ...providerEvent, text };
+          } else {
+            const rest = restorer.flush();
+            if (rest) yield { type: 'delta', text: rest };
+            yield providerEvent;
+          }
+        }
+      })();
+    },
+  };
+};
+
+module.exports = { buildRedactor, createRedactor, loadSensitiveTerms, withRedaction };
@@ -0,0 +1,160 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { buildRedactor, createRedactor, withRedaction } = require('./redaction');
+
+beforeEach(() => supabaseAdmin.reset());
+
+describe('buildRedactor', () => {
+  const standard = () => buildRedactor({ level: 'standard', terms: [] });
+
+  test('replaces emails, phone numbers, companies and names with numbered placeholders', () => {
+    const redactor = standard();
+    expect(redactor.redact('Email sarah.chen@acme.com or call +44 20 7946 0958.')).toBe('Email [EMAIL_1] or call [PHONE_1].');
+    expect(redactor.redact('I report to Sarah Chen at Acme Ltd, and Dr Patel mentors me.'))
+      .toBe('I report to [PERSON_2] at [COMPANY_1], and [PERSON_1] mentors me.');
+  });
+
+  test('maps the same value to the same placeholder, whatever its case', () => {
+    const redactor = standard();
+    expect(redactor.redact('Sarah Chen and SARAH CHEN')).toBe('[PERSON_1] and [PERSON_1]');
+    expect(redactor.redact('I spoke to sarah chen again')).toBe('I spoke to [PERSON_1] again');
+  });
+
+  test('redacts the user\'s sensitive terms as whole words', () => {
+    const redactor = buildRedactor({ level: 'standard', terms: ['Falcon'] });
+    expect(redactor.redact('Project falcon is late, unlike Falconry.')).toBe('Project [TERM_1] is late, unlike Falconry.');
+  });
+
+  test('leaves common capitalised words alone', () => {
+    expect(standard().redact('Thank you. Next Monday the Scrum Sprint starts.')).toBe('Thank you. Next Monday the Scrum Sprint starts.');
+  });
+
+  test('strict also redacts single capitalised words mid-sentence', () => {
+    const strict = buildRedactor({ level: 'strict', terms: [] });
+    expect(strict.redact('I told Sarah about it.')).toBe('I told [PERSON_1] about it.');
+    expect(standard().redact('I told Sarah about it.')).toBe('I told Sarah about it.');
+  });
+
+  test('recognises phone numbers written with separators or an international prefix', () => {
+    const redactor = standard();
+    expect(redactor.redact('Call 020 7946 0958, (555) 123-4567, +1 555.123.4567 or +447700900123.'))
+      .toBe('Call [PHONE_1], [PHONE_2], [PHONE_3] or [PHONE_4].');
+  });
+
+  test('does not take dates, years or bare numbers for phone numbers', () => {
+    const text = 'On 2026-10-19 (or 10.11.2026, 19/10/26) we planned 2024-2026 revenue of 1500000 and hired 12 people.';
+    expect(standard().redact(text)).toBe(text);
+  });
+
+  test('does not take title-cased phrases for names', () => {
+    const text = 'We missed the Revenue Target. Next Steps: sign the Statement Of Work and share the Quarterly Review.';
+    expect(standard().redact(text)).toBe(text);
+  });
+
+  test('off redacts nothing', () => {
+    const off = buildRedactor({ level: 'off', terms: ['Falcon'] });
+    expect(off.redact('Sarah Chen on Falcon, sarah@acme.com')).toBe('Sarah Chen on Falcon, sarah@acme.com');
+  });
+
+  test('restores placeholders and leaves unknown ones as they are', () => {
+    const redactor = standard();
+    redactor.scan('Sarah Chen');
+    expect(redactor.restore('Ask [PERSON_1] and [PERSON_9].')).toBe('Ask Sarah Chen and [PERSON_9].');
+  });
+
+  test('only replaces known values when detection is off', () => {
+    const redactor = standard();
+    redactor.scan('Sarah Chen');
+    expect(redactor.redact('Sarah Chen and James Wong', { detect: false })).toBe('[PERSON_1] and James Wong');
+  });
+
+  test('holds back a placeholder split across streamed chunks', () => {
+    const redactor = standard();
+    redactor.scan('Sarah Chen');
+    const restorer = redactor.createStreamRestorer();
+    expect(restorer.push('Talk to [PER')).toBe('Talk to ');
+    expect(restorer.push('SON_1] soon [')).toBe('Sarah Chen soon ');
+    expect(restorer.flush()).toBe('[');
+  });
+
+  test('counts the distinct values in a text', () => {
+    const redactor = standard();
+    expect(redactor.countIn('Sarah Chen, Sarah Chen and sarah@acme.com')).toBe(2);
+    expect(redactor.size).toBe(2);
+  });
+});
+
+describe('createRedactor', () => {
+  test('uses the user\'s saved level and terms', async () => {
+    supabaseAdmin.respond('privacy_settings', { data: { redaction_level: 'strict', sensitive_terms: [' Falcon ', ''] }, error: null });
+    const redactor = await createRedactor('user-1', ['Falcon is with Sarah']);
+    expect(redactor.level).toBe('strict');
+    expect(redactor.restore('[TERM_1]')).toBe('Falcon');
+    expect(supabaseAdmin.callsTo('privacy_settings')[0]).toContainEqual(['eq', 'user_id', 'user-1']);
+  });
+
+  test('defaults to the standard level', async () => {
+    supabaseAdmin.respond('privacy_settings', { data: null, error: null });
+    expect((await createRedactor('user-1')).level).toBe('standard');
+  });
+});
+
+describe('withRedaction', () => {
+  const request = {
+    systemPrompt: 'You are a coach.',
+    history: [{ role: 'user', content: 'How do I handle Sarah Chen?', parts: [{ text: 'Notes on Sarah Chen' }] }],
+  };
+
+  test('redacts the request and restores the reply', async () => {
+    const provider = { name: 'test', generate: jest.fn(async () => ({ text: 'Talk to [PERSON_1].', finishReason: 'STOP' })) };
+    const redacted = withRedaction(provider, buildRedactor({ level: 'standard', terms: [] }));
+
+    expect(await redacted.generate(request)).toEqual({ text: 'Talk to Sarah Chen.', finishReason: 'STOP' });
+    const sent = provider.generate.mock.calls[0][0];
+    expect(sent.history[0].content).toBe('How do I handle [PERSON_1]?');
+    expect(sent.history[0].parts[0].text).toBe('Notes on [PERSON_1]');
+    expect(sent.systemPrompt).toMatch(/^You are a coach\.\n\nSome names/);
+  });
+
+  test('keeps a structured reply valid JSON when restored values contain quotes or backslashes', async () => {
+    const redactor = buildRedactor({ level: 'standard', terms: ['"Project\\Phoenix"'] });
+    const provider = { generate: jest.fn(async () => ({ text: '{"items":["Brief [TERM_1] for [PERSON_1]"]}' })) };
+    const structured = { ...request, history: [{ role: 'user', content: 'Sarah Chen leads "Project\\Phoenix".' }], responseSchema: { type: 'object' } };
+
+    const { text } = await withRedaction(provider, redactor).generate(structured);
+    expect(JSON.parse(text)).toEqual({ items: ['Brief "Project\\Phoenix" for Sarah Chen'] });
+  });
+
+  test('restores plain replies without escaping', async () => {
+    const redactor = buildRedactor({ level: 'standard', terms: ['"Project\\Phoenix"'] });
+    const provider = { generate: async () => ({ text: 'Brief [TERM_1].' }) };
+    const plain = { ...request, history: [{ role: 'user', content: 'About "Project\\Phoenix".' }] };
+
+    expect((await withRedaction(provider, redactor).generate(plain)).text).toBe('Brief "Project\\Phoenix".');
+  });
+
+  test('restores placeholders in a stream', async () => {
+    const provider = {
+      stream: async () => (async function* () {
+        yield { type: 'delta', text: 'Talk to [PERS' };
+        yield { type: 'delta', text: 'ON_1]' };
+        yield { type: 'done', finishReason: 'STOP' };
+      })(),
+    };
+    const events = [];
+    for await (const streamEvent of await withRedaction(provider, buildRedactor({ level: 'standard', terms: [] })).stream(request)) {
+      events.push(streamEvent);
+    }
+    expect(events).toEqual([
+      { type: 'delta', text: 'Talk to ' },
+      { type: 'delta', text: 'Sarah Chen' },
+      { type: 'done', finishReason: 'STOP' },
+    ]);
+  });
+
+  test('returns the provider itself when redaction is off', () => {
+    const provider = { name: 'test' };
+    expect(withRedaction(provider, buildRedactor({ level: 'off', terms: [] }))).toBe(provider);
+  });
+});
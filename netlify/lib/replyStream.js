@@ -0,0 +1,127 @@
+const { recordTokens, estimateUsage, applyUsage } = require('./usage');
+
+// The stages a reply passes through between the provider and the client in callGemini. Each stage takes and
+// returns provider events ({type:'delta', text}, {type:'done', finishReason, usage}) as an async generator, so a
+// stage's `finally` runs whether the reply completes, fails or is stopped by the client.
+
+// Attaches the user's remaining quota to the 'done' event and records token usage when the stream ends, however
+// it ends. A reply that is stopped or fails before the provider reports usage is charged an estimate from the
+// request and the text streamed so far, so stopping a reply early does not get around the quota.
+async function* meterEvents(events, usageEventId, quota, request) {
+  let text = '';
+  let usage = null;
+  try {
+    for await (const providerEvent of events) {
+      if (providerEvent.type === 'delta') text += providerEvent.text;
+      if (providerEvent.type === 'done') {
+        usage = providerEvent.usage || estimateUsage(request, text);
+        yield { ...providerEvent, quota: applyUsage(quota, usage) };
+      } else {
+        yield providerEvent;
+      }
+    }
+  } finally {
+    await recordTokens(usageEventId, usage || estimateUsage(request, text));
+  }
+}
+
+// Streamed text is held back until it has been screened: first once FIRST_SCREEN_CHARS have arrived, then each
+// time the reply has doubled in length, and finally when it is complete. Each screen reads the whole reply so far.
+const FIRST_SCREEN_CHARS = 200;
+
+// Releases the reply as it passes screening. An unsafe or provider-blocked reply is followed by a
+// {type:'safety', safety} event, which tells the client to show the safety card instead of the streamed text;
+// text that was not screened is never sent. A reply that ends early (the client stopped it, or the provider
+// failed) is still screened, so anything unsafe in it is logged.
+async function* moderateEvents(events, checkReply) {
+  let text = '';
+  let released = 0;
+  let nextScreenAt = FIRST_SCREEN_CHARS;
+  let screenDue = false;
+  let finished = false;
+  try {
+    for await (const providerEvent of events) {
+      // A due screen waits for the next event, so a reply that arrives in one piece is screened only once, below.
+      if (screenDue && providerEvent.type === 'delta') {
+        screenDue = false;
+        const safety = await checkReply({ text, partial: true });
+        if (safety) {
+          finished = true;
+          yield { type: 'safety', safety };
+          yield { type: 'done', finishReason: null, usage: null };
+          return;
+        }
+        yield { type: 'delta', text: text.slice(released) };
+        released = text.length;
+        nextScreenAt = text.length * 2;
+      }
+
+      if (providerEvent.type === 'delta') {
+        text += providerEvent.text;
+        screenDue = text.length >= nextScreenAt;
+      } else if (providerEvent.type === 'done') {
+        finished = true;
+        const safety = await checkReply({ text, finishReason: providerEvent.finishReason });
+        if (safety) {
+          yield { type: 'safety', safety };
+        } else if (released < text.length) {
+          yield { type: 'delta', text: text.slice(released) };
+        }
+        yield providerEvent;
+      } else {
+        yield providerEvent;
+      }
+    }
+  } finally {
+    if (!finished && text) await checkReply({ text });
+  }
+}
+
+// The event stream for a message that was escalated before the model was called.
+async function* safetyEvents(safety) {
+  yield { type: 'safety', safety };
+  yield { type: 'done', finishReason: null, usage: null };
+}
+
+// Replays an already complete result in the provider event shape.
+async function* eventsOf(result) {
+  if (result.text) yield { type: 'delta', text: result.text };
+  yield { type: 'done', finishReason: result.finishReason, usage: result.usage };
+}
+
+// Re-emits a provider's event stream as SSE so the client does not depend on the provider's response
+// shape: {type:'delta', text}, optionally {type:'safety', safety}, then {type:'done', finishReason, usage, quota, ...doneFields}
+// (doneFields carry persona, compliance, redaction and, for structured coaching sessions, session)
+// or {type:'error', error, code}. When the client stops reading, `upstream` (the AbortController of the
+// provider request) is aborted and the events are closed, so the model stops generating the reply.
+const toEventStream = (events, doneFields, upstream = null) => {
+  const encoder = new TextEncoder();
+  const send = (controller, data) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(data)}\n\n`));
+  let cancelled = false;
+
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        for await (const providerEvent of events) {
+          if (cancelled) break;
+          send(controller, providerEvent.type === 'done' ? { ...providerEvent, ...doneFields } : providerEvent);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error("Stream Error:", error);
+          send(controller, { type: 'error', error: error.message, code: error.code || 'stream_interrupted' });
+        }
+      } finally {
+        if (!cancelled) controller.close();
+      }
+    },
+
+    async cancel() {
+      cancelled = true;
+      upstream?.abort();
+      await events.return();
+    },
+  });
+};
+
+module.exports = { FIRST_SCREEN_CHARS, meterEvents, moderateEvents, safetyEvents, eventsOf, toEventStream };
@@ -0,0 +1,155 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { FIRST_SCREEN_CHARS, meterEvents, moderateEvents, eventsOf, toEventStream } = require('./replyStream');
+
+const request = { systemPrompt: 'x'.repeat(40), history: [{ role: 'user', content: 'y'.repeat(40) }] };
+const quota = { tokensUsed: 100, tokensLimit: 1000, tokensRemaining: 900, resetsAt: '2026-11-01T00:00:00.000Z' };
+
+const collect = async (events) => {
+  const collected = [];
+  for await (const providerEvent of events) collected.push(providerEvent);
+  return collected;
+};
+
+// Reads a toEventStream body back into the events it carried.
+const readStream = async (body) => {
+  const text = await new Response(body).text();
+  return text.split('\n\n').filter(Boolean).map(line => JSON.parse(line.replace(/^data: /, '')));
+};
+
+const recordedUsage = () => supabaseAdmin.callsTo('usage_events').map(steps => steps.find(([method]) => method === 'update')[1]);
+
+// Provider events that fail after `deltas` have been sent.
+async function* failingAfter(deltas) {
+  for (const text of deltas) yield { type: 'delta', text };
+  throw Object.assign(new Error('connection reset'), { code: 'provider_unavailable' });
+}
+
+beforeEach(() => {
+  supabaseAdmin.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('toEventStream', () => {
+  test('sends each event as SSE with the done fields on the done event', async () => {
+    const events = eventsOf({ text: 'Hello', finishReason: 'STOP', usage: { inputTokens: 1, outputTokens: 2 } });
+
+    expect(await readStream(toEventStream(events, { persona: 'mentor@1' }))).toEqual([
+      { type: 'delta', text: 'Hello' },
+      { type: 'done', finishReason: 'STOP', usage: { inputTokens: 1, outputTokens: 2 }, persona: 'mentor@1' },
+    ]);
+  });
+
+  test('aborts the provider request and closes the events when the client stops reading', async () => {
+    let closed = false;
+    async function* endless() {
+      try {
+        while (true) yield { type: 'delta', text: 'more ' };
+      } finally {
+        closed = true;
+      }
+    }
+    const upstream = new AbortController();
+    const reader = toEventStream(endless(), {}, upstream).getReader();
+
+    await reader.read();
+    await reader.cancel();
+
+    expect(upstream.signal.aborted).toBe(true);
+    expect(closed).toBe(true);
+  });
+
+  test('ends with an error event when the provider fails mid-stream', async () => {
+    expect(await readStream(toEventStream(failingAfter(['Hel', 'lo']), {}))).toEqual([
+      { type: 'delta', text: 'Hel' },
+      { type: 'delta', text: 'lo' },
+      { type: 'error', error: 'connection reset', code: 'provider_unavailable' },
+    ]);
+  });
+});
+
+describe('meterEvents', () => {
+  test('records the reported usage and adds the quota to the done event', async () => {
+    const usage = { inputTokens: 30, outputTokens: 20 };
+    const events = await collect(meterEvents(eventsOf({ text: 'Hi', finishReason: 'STOP', usage }), 'event-1', quota, request));
+
+    expect(events[1].quota).toMatchObject({ tokensUsed: 150, tokensRemaining: 850 });
+    expect(recordedUsage()).toEqual([{ input_tokens: 30, output_tokens: 20 }]);
+  });
+
+  test('records an estimate when the provider fails mid-stream', async () => {
+    await expect(collect(meterEvents(failingAfter(['a'.repeat(40)]), 'event-1', quota, request))).rejects.toThrow('connection reset');
+
+    expect(recordedUsage()).toEqual([{ input_tokens: 20, output_tokens: 10 }]);
+  });
+
+  test('records an estimate when the client stops the reply', async () => {
+    const events = meterEvents(failingAfter(['a'.repeat(40), 'never read']), 'event-1', quota, request);
+
+    await events.next();
+    await events.return();
+
+    expect(recordedUsage()).toEqual([{ input_tokens: 20, output_tokens: 10 }]);
+  });
+});
+
+describe('moderateEvents', () => {
+  const unsafe = { category: 'self_harm', message: 'Please reach out for support.' };
+
+  async function* replyOf(chunks, finishReason = 'STOP') {
+    for (const text of chunks) yield { type: 'delta', text };
+    yield { type: 'done', finishReason, usage: null };
+  }
+
+  test('holds a short reply back until the complete reply has been screened', async () => {
+    const checkReply = jest.fn(async () => null);
+
+    expect(await collect(moderateEvents(replyOf(['Hello ', 'there']), checkReply))).toEqual([
+      { type: 'delta', text: 'Hello there' },
+      { type: 'done', finishReason: 'STOP', usage: null },
+    ]);
+    expect(checkReply).toHaveBeenCalledTimes(1);
+    expect(checkReply).toHaveBeenCalledWith({ text: 'Hello there', finishReason: 'STOP' });
+  });
+
+  test('releases screened text as the reply grows', async () => {
+    const first = 'a'.repeat(FIRST_SCREEN_CHARS);
+    const checkReply = jest.fn(async () => null);
+
+    const events = await collect(moderateEvents(replyOf([first, 'b', 'c']), checkReply));
+
+    expect(events.filter(providerEvent => providerEvent.type === 'delta').map(providerEvent => providerEvent.text)).toEqual([first, 'bc']);
+    expect(checkReply).toHaveBeenNthCalledWith(1, { text: first, partial: true });
+  });
+
+  test('stops an unsafe partial reply without releasing its text', async () => {
+    const first = 'a'.repeat(FIRST_SCREEN_CHARS);
+    const checkReply = jest.fn(async ({ partial }) => (partial ? unsafe : null));
+
+    expect(await collect(moderateEvents(replyOf([first, 'rest of the reply']), checkReply))).toEqual([
+      { type: 'safety', safety: unsafe },
+      { type: 'done', finishReason: null, usage: null },
+    ]);
+    expect(checkReply).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaces a complete unsafe reply with the safety event', async () => {
+    const checkReply = jest.fn(async () => unsafe);
+
+    expect(await collect(moderateEvents(replyOf(['Unsafe text']), checkReply))).toEqual([
+      { type: 'safety', safety: unsafe },
+      { type: 'done', finishReason: 'STOP', usage: null },
+    ]);
+  });
+
+  test('screens a reply that fails partway through', async () => {
+    const checkReply = jest.fn(async () => null);
+
+    await expect(collect(moderateEvents(failingAfter(['Partial reply']), checkReply))).rejects.toThrow('connection reset');
+
+    expect(checkReply).toHaveBeenCalledWith({ text: 'Partial reply' });
+  });
+});
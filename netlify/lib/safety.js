@@ -0,0 +1,162 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+const { recordRequest, recordTokens } = require('./usage');
+
+const CATEGORIES = ['none', 'self_harm', 'harassment', 'violence', 'severe_distress'];
+
+// Phrases that always escalate, so a crisis is caught even if the classifier call fails.
+const CRISIS_PATTERNS = [
+  /\b(kill(ing)? myself|suicid\w*|end(ing)? my (own )?life|take my (own )?life)\b/i,
+  /\b(self[- ]?harm\w*|hurt(ing)? myself|cut(ting)? myself)\b/i,
+  /\b(don'?t|do not) want to (live|be alive|exist)( anymore)?\b/i,
+];
+
+// Provider finish reasons that mean the reply was withheld by the provider's own safety filters.
+const SAFETY_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'content_filter'];
+
+const CLASSIFIER_PROMPTS = {
+  user: `You screen messages that employees send to a workplace coaching and mentoring assistant. Classify the message. Use "self_harm" for any mention of suicide, self-harm or not wanting to live; "harassment" for workplace harassment, bullying, discrimination or sexual misconduct the user is experiencing; "violence" for threats of or exposure to physical violence; "severe_distress" for burnout, panic or despair that is overwhelming the user. Everyday stress, frustration and difficult conversations are "none". Severity is "crisis" when the user may be in danger or needs support beyond coaching now, "concern" when the topic is present but the user is coping, otherwise "none".`,
+  model: `You review replies written by a workplace coaching and mentoring assistant. Classify whether the reply itself is unsafe: "self_harm" if it encourages or instructs self-harm, "harassment" if it demeans or harasses someone, "violence" if it encourages violence, "severe_distress" if it dismisses someone in obvious crisis. A supportive, appropriate reply is "none". Severity is "crisis" when the reply must not be shown, "concern" when it is borderline, otherwise "none".`,
+};
+
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    category: { type: 'string', enum: CATEGORIES },
+    severity: { type: 'string', enum: ['none', 'concern', 'crisis'] },
+    rationale: { type: 'string' }
+  },
+  required: ['category', 'severity', 'rationale']
+};
+
+const DEFAULT_RESOURCES = {
+  self_harm: {
+    title: 'You deserve support right now',
+    message: "It sounds like you might be going through something really painful. I'm an AI coaching tool and can't give you the support you deserve in a crisis, but people are ready to help right now. If you are in immediate danger, please call your local emergency number.",
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline (US)', detail: 'Call or text 988', url: 'https://988lifeline.org' },
+      { name: 'Samaritans (UK & Ireland)', detail: 'Call 116 123, free, 24/7', url: 'https://www.samaritans.org' },
+      { name: 'Find a helpline in your country', detail: 'Free, confidential support worldwide', url: 'https://findahelpline.com' },
+    ],
+  },
+  harassment: {
+    title: 'Support for what you are experiencing',
+    message: "What you're describing sounds serious, and you shouldn't have to handle it alone or only with an AI tool. These confidential channels can help you understand your options.",
+    resources: [
+      { name: 'Your HR team', detail: 'Raise a confidential concern with HR' },
+      { name: 'Employee Assistance Programme (EAP)', detail: 'Free, confidential counselling through your employer' },
+    ],
+  },
+  violence: {
+    title: 'Your safety comes first',
+    message: 'If you or someone else is in immediate danger, please contact your local emergency number now. The resources below can also help.',
+    resources: [
+      { name: 'Local emergency services', detail: 'Call your local emergency number' },
+      { name: 'Your HR or security team', detail: 'Report threats at work' },
+    ],
+  },
+  severe_distress: {
+    title: "Let's make sure you're supported",
+    message: "It sounds like things are really heavy right now. Coaching can help, but it isn't a substitute for care from a professional. Please consider reaching out to one of these.",
+    resources: [
+      { name: 'Employee Assistance Programme (EAP)', detail: 'Free, confidential counselling through your employer' },
+      { name: 'Your doctor or a mental health professional', detail: 'For ongoing support with burnout or anxiety' },
+      { name: 'Find a helpline in your country', detail: 'Free, confidential support worldwide', url: 'https://findahelpline.com' },
+    ],
+  },
+  blocked: {
+    title: "I can't respond to that",
+    message: "The model's safety filters stopped this reply. If you're dealing with something difficult, the resources below can help.",
+    resources: [
+      { name: 'Employee Assistance Programme (EAP)', detail: 'Free, confidential counselling through your employer' },
+      { name: 'Find a helpline in your country', detail: 'Free, confidential support worldwide', url: 'https://findahelpline.com' },
+    ],
+  },
+};
+
+// SAFETY_RESOURCES may override any category with a JSON object of the same shape as DEFAULT_RESOURCES,
+// e.g. to list the organisation's own HR contact and EAP phone number.
+const loadResources = () => {
+  if (!process.env.SAFETY_RESOURCES) return DEFAULT_RESOURCES;
+  try {
+    return { ...DEFAULT_RESOURCES, ...JSON.parse(process.env.SAFETY_RESOURCES) };
+  } catch (error) {
+    console.error("Invalid SAFETY_RESOURCES JSON, using defaults:", error);
+    return DEFAULT_RESOURCES;
+  }
+};
+
+const RESOURCES = loadResources();
+
+const isSafetyBlock = (finishReason) => SAFETY_FINISH_REASONS.includes(finishReason);
+
+// Classifies a user message or model reply. Returns { category, severity, rationale, escalate }.
+const classify = async (provider, userId, text, source) => {
+  if (source === 'user' && CRISIS_PATTERNS.some(pattern => pattern.test(text))) {
+    return { category: 'self_harm', severity: 'crisis', rationale: 'matched crisis phrase', escalate: true };
+  }
+
+  try {
+    const usageEventId = await recordRequest(userId, provider, 'moderation');
+    const result = await provider.generate({
+      systemPrompt: CLASSIFIER_PROMPTS[source],
+      history: [{ role: 'user', content: text }],
+      responseSchema: VERDICT_SCHEMA,
+    });
+    await recordTokens(usageEventId, result.usage);
+    const verdict = JSON.parse(result.text);
+    const category = CATEGORIES.includes(verdict.category) ? verdict.category : 'none';
+    const severity = category === 'none' ? 'none' : verdict.severity;
+    return { category, severity, rationale: verdict.rationale || '', escalate: severity === 'crisis' };
+  } catch (error) {
+    console.error("Safety classifier error:", error);
+    return { category: 'none', severity: 'none', rationale: `classifier failed: ${error.message}`, escalate: false };
+  }
+};
+
+const recordSafetyEvent = async ({ userId, conversationId, source, verdict, action, finishReason = null }) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('safety_events')
+    .insert({
+      user_id: userId,
+      conversation_id: conversationId || null,
+      source,
+      category: verdict.category,
+      severity: verdict.severity,
+      rationale: verdict.rationale,
+      action,
+      finish_reason: finishReason,
+    })
+    .select('id')
+    .single();
+  if (error) {
+    console.error("Error recording safety event:", error);
+    return null;
+  }
+  return data.id;
+};
+
+// The structured response shown instead of a normal reply.
+const safetyResponseFor = (category, eventId) => {
+  const { title, message, resources } = RESOURCES[category] || RESOURCES.severe_distress;
+  return { category, title, message, resources, eventId };
+};
+
+// Classifies text and records anything that is not clearly safe (only escalations with logConcerns: false).
+// Returns the safety response to show when the verdict escalates, otherwise null.
+const screen = async ({ provider, userId, conversationId, text, source, logConcerns = true }) => {
+  const verdict = await classify(provider, userId, text, source);
+  if (verdict.category === 'none' || (!verdict.escalate && !logConcerns)) return null;
+
+  const action = verdict.escalate ? 'escalated' : 'logged';
+  const eventId = await recordSafetyEvent({ userId, conversationId, source, verdict, action });
+  return verdict.escalate ? safetyResponseFor(verdict.category, eventId) : null;
+};
+
+// Records a reply the provider itself withheld and returns the safety response for it.
+const providerBlocked = async ({ userId, conversationId, finishReason }) => {
+  const verdict = { category: 'blocked', severity: 'crisis', rationale: 'provider safety filter' };
+  const eventId = await recordSafetyEvent({ userId, conversationId, source: 'provider', verdict, action: 'blocked', finishReason });
+  return safetyResponseFor('blocked', eventId);
+};
+
+module.exports = { screen, providerBlocked, isSafetyBlock };
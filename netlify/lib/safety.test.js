@@ -0,0 +1,91 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { screen, providerBlocked, isSafetyBlock } = require('./safety');
+
+const providerReturning = (verdict) => ({
+  name: 'test',
+  model: 'test-model',
+  generate: jest.fn(async () => ({ text: JSON.stringify(verdict), finishReason: 'STOP', usage: { inputTokens: 5, outputTokens: 5 } })),
+});
+
+const failingProvider = () => ({
+  name: 'test',
+  model: 'test-model',
+  generate: jest.fn(async () => { throw new Error('provider down'); }),
+});
+
+const insertedEvent = () => supabaseAdmin.callsTo('safety_events')[0][0][1];
+
+beforeEach(() => {
+  supabaseAdmin.reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('screen', () => {
+  const screenText = (provider, text, source = 'user') => screen({ provider, userId: 'user-1', conversationId: 'c1', text, source });
+
+  test('escalates a crisis phrase without calling the classifier', async () => {
+    supabaseAdmin.respond('safety_events', { data: { id: 11 }, error: null });
+    const provider = failingProvider();
+
+    const response = await screenText(provider, "Some days I don't want to live anymore");
+
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(response).toMatchObject({ category: 'self_harm', eventId: 11 });
+    expect(response.resources.length).toBeGreaterThan(0);
+    expect(insertedEvent()).toMatchObject({ user_id: 'user-1', conversation_id: 'c1', source: 'user', action: 'escalated' });
+  });
+
+  test('still escalates a crisis phrase when the classifier is down', async () => {
+    expect(await screenText(failingProvider(), 'I keep thinking about ending my life')).toMatchObject({ category: 'self_harm' });
+  });
+
+  test('lets a message through when the classifier fails', async () => {
+    expect(await screenText(failingProvider(), 'My manager keeps moving deadlines')).toBeNull();
+    expect(supabaseAdmin.callsTo('safety_events')).toEqual([]);
+  });
+
+  test('does not apply the crisis phrases to model replies', async () => {
+    const provider = providerReturning({ category: 'none', severity: 'none', rationale: 'supportive' });
+    expect(await screenText(provider, 'If you are thinking about suicide, please call 988.', 'model')).toBeNull();
+    expect(provider.generate).toHaveBeenCalled();
+  });
+
+  test('logs a concern without escalating', async () => {
+    const provider = providerReturning({ category: 'severe_distress', severity: 'concern', rationale: 'stressed' });
+    expect(await screenText(provider, 'I am exhausted')).toBeNull();
+    expect(insertedEvent()).toMatchObject({ category: 'severe_distress', severity: 'concern', action: 'logged' });
+    expect(supabaseAdmin.callsTo('usage_events')[0][0][1].kind).toBe('moderation');
+  });
+
+  test('records only escalations when concerns are not logged', async () => {
+    const provider = providerReturning({ category: 'severe_distress', severity: 'concern', rationale: 'stressed' });
+    expect(await screen({ provider, userId: 'user-1', conversationId: 'c1', text: 'Partial reply', source: 'model', logConcerns: false })).toBeNull();
+    expect(supabaseAdmin.callsTo('safety_events')).toEqual([]);
+  });
+
+  test('escalates a crisis verdict from the classifier', async () => {
+    const provider = providerReturning({ category: 'harassment', severity: 'crisis', rationale: 'assault' });
+    expect(await screenText(provider, 'My manager grabbed me')).toMatchObject({ category: 'harassment', title: expect.any(String) });
+  });
+
+  test('treats an unknown category as safe', async () => {
+    expect(await screenText(providerReturning({ category: 'spam', severity: 'crisis', rationale: '' }), 'Buy now')).toBeNull();
+  });
+});
+
+test('providerBlocked records the finish reason and returns the blocked response', async () => {
+  supabaseAdmin.respond('safety_events', { data: { id: 12 }, error: null });
+  expect(await providerBlocked({ userId: 'user-1', conversationId: 'c1', finishReason: 'SAFETY' }))
+    .toMatchObject({ category: 'blocked', eventId: 12 });
+  expect(insertedEvent()).toMatchObject({ source: 'provider', action: 'blocked', finish_reason: 'SAFETY' });
+});
+
+test('isSafetyBlock recognises provider safety finish reasons', () => {
+  expect(isSafetyBlock('SAFETY')).toBe(true);
+  expect(isSafetyBlock('content_filter')).toBe(true);
+  expect(isSafetyBlock('STOP')).toBe(false);
+});
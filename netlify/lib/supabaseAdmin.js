@@ -0,0 +1,19 @@
+const { createClient } = require('@supabase/supabase-js');
+
+let client = null;
+
+// Service-role client for server-side bookkeeping. It bypasses row-level security, so every
+// query made with it must filter by the authenticated user's id itself.
+const getSupabaseAdmin = () => {
+  if (!client) {
+    const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !serviceRoleKey) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set in environment variables.');
+    }
+    client = createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+  }
+  return client;
+};
+
+module.exports = { getSupabaseAdmin };
@@ -0,0 +1,28 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+// Loads an active track by id, or null if there is no such track. `persona` is the persona the track extends.
+const loadTrack = async (trackId) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('mentor_tracks')
+    .select('id, name, persona, version, prompt_extension, frameworks')
+    .eq('id', trackId)
+    .eq('active', true)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+// Extends a resolved persona with a track's prompt and frameworks. The ref records both versions,
+// e.g. 'mentor@1+sales@2'. A general track (no extension or frameworks) leaves the prompt as it is.
+const applyTrack = (persona, track) => {
+  const frameworks = track.frameworks.length > 0
+    ? `Where they fit, draw on these frameworks and name them when you use them: ${track.frameworks.join(', ')}.`
+    : '';
+  return {
+    ...persona,
+    ref: `${persona.ref}+${track.id}@${track.version}`,
+    systemPrompt: [persona.systemPrompt, track.prompt_extension, frameworks].filter(Boolean).join('\n\n'),
+  };
+};
+
+module.exports = { loadTrack, applyTrack };
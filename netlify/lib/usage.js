@@ -0,0 +1,135 @@
+const { getSupabaseAdmin } = require('./supabaseAdmin');
+
+const RATE_LIMIT_REQUESTS = Number(process.env.RATE_LIMIT_REQUESTS) || 20;
+const RATE_LIMIT_WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const MONTHLY_TOKEN_QUOTA = Number(process.env.MONTHLY_TOKEN_QUOTA) || 500000;
+
+const startOfMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+const startOfNextMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+const summaryOf = ({ requestsInWindow, oldestRequestAt, tokensUsed }, now) => ({
+  requestsInWindow,
+  oldestRequestAt,
+  tokensUsed,
+  tokensLimit: MONTHLY_TOKEN_QUOTA,
+  tokensRemaining: Math.max(0, MONTHLY_TOKEN_QUOTA - tokensUsed),
+  resetsAt: startOfNextMonth(now).toISOString(),
+});
+
+// Reads the user's request count in the current rate-limit window and tokens used this calendar month (UTC).
+const getUsageSummary = async (userId, now = new Date()) => {
+  const supabase = getSupabaseAdmin();
+  const windowStart = new Date(now.getTime() - RATE_LIMIT_WINDOW_SECONDS * 1000);
+
+  const [recent, monthly] = await Promise.all([
+    supabase
+      .from('usage_events')
+      .select('created_at', { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('kind', 'chat')
+      .gte('created_at', windowStart.toISOString())
+      .order('created_at', { ascending: true })
+      .limit(1),
+    supabase.rpc('monthly_token_usage', { p_user_id: userId, p_since: startOfMonth(now).toISOString() }),
+  ]);
+  if (recent.error) throw recent.error;
+  if (monthly.error) throw monthly.error;
+
+  return summaryOf({
+    requestsInWindow: recent.count || 0,
+    oldestRequestAt: recent.data[0]?.created_at || null,
+    tokensUsed: Number(monthly.data) || 0,
+  }, now);
+};
+
+// The part of a usage summary that is shown to the user.
+const quotaOf = ({ tokensUsed, tokensLimit, tokensRemaining, resetsAt }) => ({ tokensUsed, tokensLimit, tokensRemaining, resetsAt });
+
+// Returns null if the user may make another request, otherwise { code, error, retryAfter } with retryAfter in seconds.
+const checkLimits = (summary, now = new Date()) => {
+  if (summary.tokensRemaining <= 0) {
+    const resetsAt = new Date(summary.resetsAt);
+    return {
+      code: 'quota_exceeded',
+      error: `You have used this month's token quota. It resets on ${resetsAt.toISOString().slice(0, 10)}.`,
+      retryAfter: Math.ceil((resetsAt.getTime() - now.getTime()) / 1000),
+    };
+  }
+  if (summary.requestsInWindow >= RATE_LIMIT_REQUESTS) {
+    const windowEnd = new Date(summary.oldestRequestAt).getTime() + RATE_LIMIT_WINDOW_SECONDS * 1000;
+    const retryAfter = Math.max(1, Math.ceil((windowEnd - now.getTime()) / 1000));
+    return {
+      code: 'rate_limited',
+      error: `Too many requests. Please try again in ${retryAfter} seconds.`,
+      retryAfter,
+    };
+  }
+  return null;
+};
+
+// Checks the user's limits and, when they allow it, records the model call about to be made, in one database call:
+// claim_usage holds a per-user lock from the check to the insert, so concurrent requests cannot all pass.
+// Returns { usageEventId, summary, limit } with the usage before this call; when limit is set (see checkLimits)
+// nothing was recorded and the call must not be made. Tokens are filled in afterwards with recordTokens.
+const claimRequest = async (userId, provider, kind = 'chat', now = new Date()) => {
+  const { data, error } = await getSupabaseAdmin().rpc('claim_usage', {
+    p_user_id: userId,
+    p_provider: provider.name,
+    p_model: provider.model,
+    p_kind: kind,
+    p_max_requests: RATE_LIMIT_REQUESTS,
+    p_window_start: new Date(now.getTime() - RATE_LIMIT_WINDOW_SECONDS * 1000).toISOString(),
+    p_token_quota: MONTHLY_TOKEN_QUOTA,
+    p_month_start: startOfMonth(now).toISOString(),
+  });
+  if (error) throw error;
+
+  const summary = summaryOf({
+    requestsInWindow: data.requests_in_window,
+    oldestRequestAt: data.oldest_request_at,
+    tokensUsed: Number(data.tokens_used) || 0,
+  }, now);
+  return { usageEventId: data.usage_event_id, summary, limit: data.usage_event_id ? null : checkLimits(summary, now) };
+};
+
+// Records a further model call made for a request that already passed claimRequest. Only 'chat' calls count
+// against the request rate limit; auxiliary kinds ('compaction', 'moderation', 'analytics') only use token quota.
+const recordRequest = async (userId, provider, kind) => {
+  const { data, error } = await getSupabaseAdmin()
+    .from('usage_events')
+    .insert({ user_id: userId, provider: provider.name, model: provider.model, kind })
+    .select('id')
+    .single();
+  if (error) throw error;
+  return data.id;
+};
+
+const recordTokens = async (usageEventId, usage) => {
+  if (!usage) return;
+  const { error } = await getSupabaseAdmin()
+    .from('usage_events')
+    .update({ input_tokens: usage.inputTokens, output_tokens: usage.outputTokens })
+    .eq('id', usageEventId);
+  if (error) console.error("Error recording token usage:", error);
+};
+
+// Rough token count (about four characters per token) for a call the provider did not report usage for, such
+// as a streamed reply the user stopped: the request as sent and the reply text generated so far.
+const estimateUsage = (request, replyText) => {
+  const tokensIn = (text) => Math.ceil((text || '').length / 4);
+  const inputTokens = tokensIn(request.systemPrompt) + request.history.reduce((sum, msg) => sum
+    + tokensIn(msg.content) + (msg.parts || []).reduce((partSum, part) => partSum + tokensIn(part.text), 0), 0);
+  return { inputTokens, outputTokens: tokensIn(replyText) };
+};
+
+// The user's quota after a reply that consumed `usage`.
+const applyUsage = (quota, usage) => {
+  const spent = usage ? usage.inputTokens + usage.outputTokens : 0;
+  return {
+    ...quota,
+    tokensUsed: quota.tokensUsed + spent,
+    tokensRemaining: Math.max(0, quota.tokensRemaining - spent),
+  };
+};
+
+module.exports = { getUsageSummary, quotaOf, checkLimits, claimRequest, recordRequest, recordTokens, estimateUsage, applyUsage };
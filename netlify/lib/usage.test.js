@@ -0,0 +1,160 @@
+jest.mock('./supabaseAdmin');
+
+const supabaseAdmin = require('./supabaseAdmin');
+const { getUsageSummary, quotaOf, checkLimits, claimRequest, recordRequest, recordTokens, estimateUsage, applyUsage } = require('./usage');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const summaryOf = (overrides) => ({
+  requestsInWindow: 0,
+  oldestRequestAt: null,
+  tokensUsed: 1000,
+  tokensLimit: 500000,
+  tokensRemaining: 499000,
+  resetsAt: '2026-11-01T00:00:00.000Z',
+  ...overrides,
+});
+
+beforeEach(() => supabaseAdmin.reset());
+
+describe('getUsageSummary', () => {
+  test('counts chat requests in the window and tokens since the start of the month', async () => {
+    supabaseAdmin.respond('usage_events', { data: [{ created_at: '2026-10-19T11:59:30Z' }], count: 3, error: null });
+    supabaseAdmin.respond('rpc:monthly_token_usage', { data: '1200', error: null });
+
+    expect(await getUsageSummary('user-1', NOW)).toEqual({
+      requestsInWindow: 3,
+      oldestRequestAt: '2026-10-19T11:59:30Z',
+      tokensUsed: 1200,
+      tokensLimit: 500000,
+      tokensRemaining: 498800,
+      resetsAt: '2026-11-01T00:00:00.000Z',
+    });
+    const [steps] = supabaseAdmin.callsTo('usage_events');
+    expect(steps).toContainEqual(['eq', 'user_id', 'user-1']);
+    expect(steps).toContainEqual(['eq', 'kind', 'chat']);
+    expect(steps).toContainEqual(['gte', 'created_at', '2026-10-19T11:59:00.000Z']);
+    expect(supabaseAdmin.callsTo('rpc:monthly_token_usage')).toEqual([
+      [['rpc', { p_user_id: 'user-1', p_since: '2026-10-01T00:00:00.000Z' }]],
+    ]);
+  });
+
+  test('throws when a query fails', async () => {
+    supabaseAdmin.respond('rpc:monthly_token_usage', { data: null, error: new Error('db down') });
+    await expect(getUsageSummary('user-1', NOW)).rejects.toThrow('db down');
+  });
+});
+
+describe('checkLimits', () => {
+  test('allows a user under both limits', () => {
+    expect(checkLimits(summaryOf({ requestsInWindow: 19 }), NOW)).toBeNull();
+  });
+
+  test('reports the rate limit with the seconds until the oldest request leaves the window', () => {
+    const limit = checkLimits(summaryOf({ requestsInWindow: 20, oldestRequestAt: '2026-10-19T11:59:30Z' }), NOW);
+    expect(limit).toEqual({ code: 'rate_limited', error: 'Too many requests. Please try again in 30 seconds.', retryAfter: 30 });
+  });
+
+  test('reports an exhausted quota before the rate limit', () => {
+    const limit = checkLimits(summaryOf({ requestsInWindow: 20, oldestRequestAt: NOW.toISOString(), tokensRemaining: 0 }), NOW);
+    expect(limit.code).toBe('quota_exceeded');
+    expect(limit.error).toContain('2026-11-01');
+    expect(limit.retryAfter).toBe(12 * 24 * 3600 + 12 * 3600);
+  });
+});
+
+describe('claimRequest', () => {
+  const provider = { name: 'gemini', model: 'gemini-2.5-flash' };
+
+  test('checks the limits and records the request in one database call', async () => {
+    supabaseAdmin.respond('rpc:claim_usage', {
+      data: { usage_event_id: 9, requests_in_window: 3, oldest_request_at: '2026-10-19T11:59:30Z', tokens_used: 1200 },
+      error: null,
+    });
+
+    const claim = await claimRequest('user-1', provider, 'chat', NOW);
+
+    expect(claim.usageEventId).toBe(9);
+    expect(claim.limit).toBeNull();
+    expect(claim.summary).toMatchObject({ requestsInWindow: 3, tokensUsed: 1200, tokensRemaining: 498800 });
+    expect(supabaseAdmin.callsTo('rpc:claim_usage')).toEqual([[['rpc', {
+      p_user_id: 'user-1',
+      p_provider: 'gemini',
+      p_model: 'gemini-2.5-flash',
+      p_kind: 'chat',
+      p_max_requests: 20,
+      p_window_start: '2026-10-19T11:59:00.000Z',
+      p_token_quota: 500000,
+      p_month_start: '2026-10-01T00:00:00.000Z',
+    }]]]);
+    expect(supabaseAdmin.callsTo('usage_events')).toEqual([]);
+  });
+
+  test('reports the limit the database refused the request for', async () => {
+    supabaseAdmin.respond('rpc:claim_usage', {
+      data: { usage_event_id: null, requests_in_window: 20, oldest_request_at: '2026-10-19T11:59:30Z', tokens_used: 1200 },
+      error: null,
+    });
+
+    const claim = await claimRequest('user-1', provider, 'chat', NOW);
+
+    expect(claim.usageEventId).toBeNull();
+    expect(claim.limit).toMatchObject({ code: 'rate_limited', retryAfter: 30 });
+  });
+
+  test('reports an exhausted quota', async () => {
+    supabaseAdmin.respond('rpc:claim_usage', {
+      data: { usage_event_id: null, requests_in_window: 0, oldest_request_at: null, tokens_used: '500000' },
+      error: null,
+    });
+
+    expect((await claimRequest('user-1', provider, 'analytics', NOW)).limit.code).toBe('quota_exceeded');
+  });
+
+  test('throws when the database call fails', async () => {
+    supabaseAdmin.respond('rpc:claim_usage', { data: null, error: new Error('db down') });
+    await expect(claimRequest('user-1', provider, 'chat', NOW)).rejects.toThrow('db down');
+  });
+});
+
+describe('recording usage', () => {
+  const provider = { name: 'gemini', model: 'gemini-2.5-flash' };
+
+  test('records a request with its kind and returns its id', async () => {
+    supabaseAdmin.respond('usage_events', { data: { id: 7 }, error: null });
+    expect(await recordRequest('user-1', provider, 'compaction')).toBe(7);
+    expect(supabaseAdmin.callsTo('usage_events')[0][0]).toEqual([
+      'insert', { user_id: 'user-1', provider: 'gemini', model: 'gemini-2.5-flash', kind: 'compaction' },
+    ]);
+  });
+
+  test('fills in the tokens of a recorded request', async () => {
+    await recordTokens(7, { inputTokens: 10, outputTokens: 20 });
+    expect(supabaseAdmin.callsTo('usage_events')[0]).toEqual([
+      ['update', { input_tokens: 10, output_tokens: 20 }],
+      ['eq', 'id', 7],
+    ]);
+  });
+
+  test('skips recording when the provider reported no usage', async () => {
+    await recordTokens(7, undefined);
+    expect(supabaseAdmin.callsTo('usage_events')).toEqual([]);
+  });
+});
+
+test('applyUsage and quotaOf give the quota shown after a reply', () => {
+  const quota = quotaOf(summaryOf());
+  expect(quota).toEqual({ tokensUsed: 1000, tokensLimit: 500000, tokensRemaining: 499000, resetsAt: '2026-11-01T00:00:00.000Z' });
+  expect(applyUsage(quota, { inputTokens: 300, outputTokens: 200 })).toMatchObject({ tokensUsed: 1500, tokensRemaining: 498500 });
+  expect(applyUsage({ ...quota, tokensRemaining: 100 }, { inputTokens: 300, outputTokens: 200 }).tokensRemaining).toBe(0);
+  expect(applyUsage(quota, null)).toEqual(quota);
+});
+
+test('estimateUsage counts about four characters per token across the request and the reply', () => {
+  const request = {
+    systemPrompt: 'x'.repeat(40),
+    history: [{ role: 'user', content: 'y'.repeat(20), parts: [{ text: 'z'.repeat(8) }] }, { role: 'assistant', content: 'w'.repeat(3) }],
+  };
+  expect(estimateUsage(request, 'v'.repeat(41))).toEqual({ inputTokens: 10 + 5 + 2 + 1, outputTokens: 11 });
+  expect(estimateUsage({ systemPrompt: '', history: [] }, '')).toEqual({ inputTokens: 0, outputTokens: 0 });
+});
@@ -0,0 +1,51 @@
+// A local stand-in for Microsoft Entra ID, for trying Entra sign-in without a tenant.
+//
+//   node scripts/entraJwksStandIn.js [port]
+//
+// Generates a signing key, serves it as a JWKS at http://localhost:<port>/keys and issues tokens signed with it at
+// http://localhost:<port>/token?email=someone@example.com[&oid=...&name=...]. Start the functions with the
+// environment it prints (for example in .env for `netlify dev`) and send a token as the bearer token to
+// entraSignIn, which links or creates the user; after that callGemini accepts it too. Stop it with Ctrl+C.
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const port = Number(process.argv[2]) || 4010;
+const tenantId = '00000000-0000-4000-8000-000000000001';
+const clientId = '00000000-0000-4000-8000-000000000002';
+const issuer = `https://login.microsoftonline.com/${tenantId}/v2.0`;
+const audience = `api://${clientId}`;
+const kid = crypto.randomBytes(8).toString('hex');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] };
+
+const issueToken = ({ email, oid, name }) => jwt.sign(
+  { tid: tenantId, oid: oid || crypto.createHash('sha256').update(email).digest('hex').slice(0, 32), preferred_username: email, name: name || email },
+  privateKey,
+  { algorithm: 'RS256', keyid: kid, issuer, audience, subject: email, expiresIn: '1h' }
+);
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  if (url.pathname === '/keys') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(jwks));
+  } else if (url.pathname === '/token' && url.searchParams.get('email')) {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(issueToken(Object.fromEntries(url.searchParams)));
+  } else {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('GET /keys or /token?email=...');
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Entra stand-in listening on http://localhost:${port}\n`);
+  console.log('Function environment:');
+  console.log(`  ENTRA_CLIENT_ID=${clientId}`);
+  console.log(`  ENTRA_TENANT_ID=${tenantId}`);
+  console.log(`  ENTRA_JWKS_URI=http://localhost:${port}/keys`);
+  console.log(`  ENTRA_TRUSTED_TENANTS=${tenantId}   (optional: link to existing accounts with a confirmed email)\n`);
+  console.log(`Token: curl "http://localhost:${port}/token?email=you@example.com"`);
+});
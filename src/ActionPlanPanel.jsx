@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, ArrowRightCircle, Check, ClipboardList, Loader2, Pencil, Sparkles, Target, Trash2, X } from 'lucide-react';
+import { listActionItems, updateActionItem, deleteActionItem, extractActionPlan } from './actionPlanStore';
+
+// --- ACTION ITEM ROW ---
+function ActionItemRow({ item, isMentorMode, onUpdate, onDelete }) {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState({ description: '', owner: '', due_date: '' });
+
+    const beginEdit = () => {
+        setDraft({ description: item.description, owner: item.owner || '', due_date: item.due_date || '' });
+        setIsEditing(true);
+    };
+
+    const commitEdit = () => {
+        if (!draft.description.trim()) return;
+        onUpdate(item.id, { description: draft.description.trim(), owner: draft.owner.replace(/\s+/g, ' ').trim() || null, due_date: draft.due_date || null });
+        setIsEditing(false);
+    };
+
+    const inputClass = `w-full rounded px-2 py-1 text-sm focus:outline-none focus:ring-1 ${isMentorMode ? 'bg-gray-800 text-white focus:ring-blue-500' : 'bg-white text-gray-900 border border-purple-200 focus:ring-purple-500'}`;
+
+    if (isEditing) {
+        return (
+            <li className="space-y-1">
+                <input autoFocus value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} className={inputClass} placeholder="Description" />
+                {item.kind === 'action' && (
+                    <div className="flex gap-1">
+                        <input value={draft.owner} onChange={e => setDraft({ ...draft, owner: e.target.value })} maxLength={80} className={inputClass} placeholder="Owner" />
+                        <input type="date" value={draft.due_date} onChange={e => setDraft({ ...draft, due_date: e.target.value })} className={inputClass} />
+                    </div>
+                )}
+                <div className="flex justify-end gap-2 text-gray-400">
+                    <button onClick={commitEdit} className="hover:text-green-500" title="Save"><Check size={16} /></button>
+                    <button onClick={() => setIsEditing(false)} className="hover:text-red-400" title="Cancel"><X size={16} /></button>
+                </div>
+            </li>
+        );
+    }
+
+    return (
+        <li className="group flex items-start gap-2">
+            {item.kind === 'action'
+                ? <input type="checkbox" checked={item.done} onChange={() => onUpdate(item.id, { done: !item.done })} className="mt-1" />
+                : <Target size={14} className="mt-1 flex-shrink-0 text-gray-400" />}
+            <div className="flex-1 min-w-0">
+                <p className={`text-sm ${item.done ? 'line-through text-gray-400' : ''}`}>{item.description}</p>
+                {(item.owner || item.due_date) && (
+                    <p className="text-xs text-gray-400">{[item.owner, item.due_date && `due ${item.due_date}`].filter(Boolean).join(' · ')}</p>
+                )}
+            </div>
+            <div className="flex items-center gap-1 text-gray-400">
+                {item.kind === 'action' && !item.done && (
+                    <button
+                        onClick={() => onUpdate(item.id, { carry_forward: !item.carry_forward })}
+                        className={item.carry_forward ? (isMentorMode ? 'text-blue-400' : 'text-purple-600') : 'opacity-0 group-hover:opacity-100 hover:text-white'}
+                        title={item.carry_forward ? 'Carried into your next session (click to stop)' : 'Carry into your next session'}
+                    >
+                        <ArrowRightCircle size={14} />
+                    </button>
+                )}
+                <button onClick={beginEdit} className="opacity-0 group-hover:opacity-100 hover:text-white" title="Edit"><Pencil size={14} /></button>
+                <button onClick={() => onDelete(item.id)} className="opacity-0 group-hover:opacity-100 hover:text-red-400" title="Delete"><Trash2 size={14} /></button>
+            </div>
+        </li>
+    );
+}
+
+// --- ACTION PLAN PANEL ---
+export default function ActionPlanPanel({ mode, session, conversationId }) {
+    const [items, setItems] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isExtracting, setIsExtracting] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        setError('');
+        if (!conversationId) {
+            setItems([]);
+            return;
+        }
+
+        let cancelled = false;
+        const loadItems = async () => {
+            setIsLoading(true);
+            try {
+                const data = await listActionItems(conversationId);
+                if (!cancelled) setItems(data);
+            } catch (err) {
+                console.error("Error loading action items:", err);
+            }
+            if (!cancelled) setIsLoading(false);
+        };
+
+        loadItems();
+        return () => { cancelled = true; };
+    }, [conversationId]);
+
+    const handleExtract = async () => {
+        setIsExtracting(true);
+        setError('');
+        try {
+            setItems(await extractActionPlan(conversationId, session.access_token));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsExtracting(false);
+        }
+    };
+
+    const handleUpdate = async (id, changes) => {
+        try {
+            const updated = await updateActionItem(id, changes);
+            setItems(prev => prev.map(item => item.id === id ? updated : item));
+        } catch (err) {
+            console.error("Error updating action item:", err);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteActionItem(id);
+            setItems(prev => prev.filter(item => item.id !== id));
+        } catch (err) {
+            console.error("Error deleting action item:", err);
+        }
+    };
+
+    const isMentorMode = mode === 'mentor';
+    const panelBg = isMentorMode ? 'bg-gray-900 border-gray-700 text-gray-100' : 'bg-white border-purple-200 text-gray-900';
+    const buttonBg = isMentorMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-purple-600 hover:bg-purple-700';
+    const goals = items.filter(item => item.kind === 'goal');
+    const actions = items.filter(item => item.kind === 'action');
+
+    return (
+        <aside className={`hidden lg:flex flex-col w-80 flex-shrink-0 border-l ${panelBg}`}>
+            <div className="p-3 flex items-center justify-between">
+                <h2 className="flex items-center gap-2 text-sm font-bold"><ClipboardList size={16} /> Action Plan</h2>
+                <button
+                    onClick={handleExtract}
+                    disabled={!conversationId || isExtracting}
+                    className={`flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-md text-white disabled:bg-gray-500 transition-colors ${buttonBg}`}
+                    title={conversationId ? 'Pull goals and action items from this conversation' : 'Send a message first'}
+                >
+                    {isExtracting ? <Loader2 size={14} className="animate-spin" /> : <Sparkles size={14} />} Extract
+                </button>
+            </div>
+            {error && (
+                <div className="mx-3 mb-2 p-2 bg-red-800 border border-red-600 rounded-md text-xs text-white flex items-center">
+                    <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+            <div className="flex-1 overflow-y-auto px-3 pb-3 space-y-4">
+                {isLoading && <Loader2 className="animate-spin mx-auto" />}
+                {!isLoading && items.length === 0 && (
+                    <p className="text-sm text-gray-400">No action plan yet. Use Extract to pull goals and next steps from this conversation.</p>
+                )}
+                {goals.length > 0 && (
+                    <section>
+                        <h3 className="text-xs uppercase tracking-wide text-gray-400 mb-2">Goals</h3>
+                        <ul className="space-y-2">
+                            {goals.map(item => <ActionItemRow key={item.id} item={item} isMentorMode={isMentorMode} onUpdate={handleUpdate} onDelete={handleDelete} />)}
+                        </ul>
+                    </section>
+                )}
+                {actions.length > 0 && (
+                    <section>
+                        <h3 className="text-xs uppercase tracking-wide text-gray-400 mb-2">Action Items</h3>
+                        <ul className="space-y-2">
+                            {actions.map(item => <ActionItemRow key={item.id} item={item} isMentorMode={isMentorMode} onUpdate={handleUpdate} onDelete={handleDelete} />)}
+                        </ul>
+                    </section>
+                )}
+            </div>
+        </aside>
+    );
+}
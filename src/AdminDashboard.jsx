@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, ArrowLeft, Loader2, Sparkles } from 'lucide-react';
+import { PERIODS, periodStart, getUsageSummary, getThemes } from './analyticsStore';
+
+const MODE_LABELS = { mentor: 'AI Mentor', coach: 'AI Coach' };
+
+const StatCard = ({ label, value }) => (
+    <div className="p-4 bg-gray-800 rounded-lg border border-gray-700">
+        <p className="text-sm text-gray-400">{label}</p>
+        <p className="text-2xl font-bold">{value ?? '–'}</p>
+    </div>
+);
+
+const Panel = ({ title, children }) => (
+    <section className="p-4 bg-gray-800 rounded-2xl border border-gray-700">
+        <h2 className="font-semibold mb-3">{title}</h2>
+        {children}
+    </section>
+);
+
+// --- ADMIN ANALYTICS DASHBOARD ---
+// Aggregates only: transcripts are private to their owners, so nothing here links back to a conversation or user.
+export default function AdminDashboard({ session, onBack }) {
+    const [days, setDays] = useState(30);
+    const [summary, setSummary] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [themes, setThemes] = useState(null);
+    const [isAnalyzing, setIsAnalyzing] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadSummary = async () => {
+            setIsLoading(true);
+            setThemes(null);
+            setError('');
+            try {
+                setSummary(await getUsageSummary(periodStart(days)));
+            } catch (err) {
+                setError(err.message);
+            }
+            setIsLoading(false);
+        };
+        loadSummary();
+    }, [days]);
+
+    const handleAnalyze = async () => {
+        setIsAnalyzing(true);
+        setError('');
+        try {
+            setThemes(await getThemes(periodStart(days), session.access_token));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsAnalyzing(false);
+        }
+    };
+
+    const peakUsers = Math.max(1, ...(summary?.daily_active_users || []).map(day => day.users));
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-8">
+            <div className="max-w-3xl mx-auto">
+                <button onClick={onBack} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm mb-6"><ArrowLeft size={16} /> Back</button>
+                <div className="flex items-center justify-between mb-6">
+                    <h1 className="text-2xl font-bold">Usage Analytics</h1>
+                    <select value={days} onChange={e => setDays(Number(e.target.value))} className="px-3 py-2 text-sm bg-gray-800 border border-gray-700 rounded-md">
+                        {PERIODS.map(period => <option key={period.days} value={period.days}>{period.label}</option>)}
+                    </select>
+                </div>
+
+                {error && (
+                    <div className="mb-4 p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                        <AlertTriangle className="h-5 w-5 mr-2" />
+                        {error}
+                    </div>
+                )}
+
+                {isLoading ? <Loader2 className="animate-spin mx-auto" /> : summary && (
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                            <StatCard label="Active users" value={summary.active_users} />
+                            <StatCard label="Sessions" value={summary.sessions} />
+                            <StatCard label="Avg. session length" value={summary.avg_session_minutes != null ? `${summary.avg_session_minutes} min` : null} />
+                        </div>
+
+                        <Panel title="Sessions per mode">
+                            <ul className="space-y-1 text-sm">
+                                {Object.entries(MODE_LABELS).map(([mode, label]) => {
+                                    const stats = summary.modes[mode];
+                                    return (
+                                        <li key={mode} className="flex justify-between">
+                                            <span>{label}</span>
+                                            <span className="text-gray-400">
+                                                {stats ? `${stats.sessions} sessions · ${stats.avg_minutes} min avg · ${stats.avg_user_turns} messages avg` : 'No sessions'}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </Panel>
+
+                        <Panel title="Daily active users">
+                            {summary.daily_active_users.length === 0 ? <p className="text-sm text-gray-400">No activity in this period.</p> : (
+                                <div className="flex items-end gap-1 h-32">
+                                    {summary.daily_active_users.map(day => (
+                                        <div key={day.day} title={`${day.day}: ${day.users} users`} className="flex-1 bg-blue-500 rounded-t" style={{ height: `${(day.users / peakUsers) * 100}%` }} />
+                                    ))}
+                                </div>
+                            )}
+                        </Panel>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Panel title="Guardrails">
+                                <ul className="space-y-1 text-sm">
+                                    <li className="flex justify-between"><span>Replies checked</span><span>{summary.guardrails.replies}</span></li>
+                                    <li className="flex justify-between"><span>Regenerated</span><span>{summary.guardrails.regenerated}</span></li>
+                                    <li className="flex justify-between"><span>Still non-compliant</span><span>{summary.guardrails.non_compliant}</span></li>
+                                </ul>
+                            </Panel>
+                            <Panel title="Safety events">
+                                <ul className="space-y-1 text-sm">
+                                    <li className="flex justify-between"><span>Total</span><span>{summary.safety.events}</span></li>
+                                    <li className="flex justify-between"><span>Crisis</span><span>{summary.safety.crisis}</span></li>
+                                    <li className="flex justify-between"><span>Concern</span><span>{summary.safety.concern}</span></li>
+                                    <li className="flex justify-between"><span>Blocked replies</span><span>{summary.safety.blocked}</span></li>
+                                    {Object.entries(summary.safety.by_category).map(([category, count]) => (
+                                        <li key={category} className="flex justify-between text-gray-400"><span className="pl-3">{category}</span><span>{count}</span></li>
+                                    ))}
+                                </ul>
+                            </Panel>
+                        </div>
+
+                        <Panel title="Themes">
+                            <div className="flex items-center justify-between gap-4 mb-3">
+                                <p className="text-xs text-gray-400">Topics are labelled from redacted excerpts and only themes shared by at least 3 different users are shown.</p>
+                                <button onClick={handleAnalyze} disabled={isAnalyzing} className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 whitespace-nowrap">
+                                    {isAnalyzing ? <Loader2 className="animate-spin" size={16} /> : <Sparkles size={16} />} Analyze themes
+                                </button>
+                            </div>
+                            {themes && (
+                                <>
+                                    {themes.themes.length === 0 ? <p className="text-sm text-gray-400">No theme is shared by {themes.minUsers} or more users yet.</p> : (
+                                        <ul className="space-y-2">
+                                            {themes.themes.map(theme => (
+                                                <li key={theme.theme} className="flex items-center justify-between p-3 bg-gray-900 rounded-lg">
+                                                    <span className="font-medium">{theme.theme}</span>
+                                                    <span className="text-sm text-gray-400">{theme.conversations} conversations · {theme.users} users · {theme.modes.mentor} mentor / {theme.modes.coach} coach</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {themes.unlabelled > 0 && <p className="mt-3 text-xs text-gray-500">{themes.unlabelled} conversations are not labelled yet; analyze again to include them.</p>}
+                                </>
+                            )}
+                        </Panel>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
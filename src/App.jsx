@@ -1,8 +1,31 @@
-import React, { useState, useEffect, useRef, forwardRef, useImperativeHandle, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { supabase } from './supabaseClient';
-import { Bot, User, Send, BrainCircuit, Loader2, MessageSquare, GitBranch, Lightbulb, UserCheck, AlertTriangle, LogOut, PlusCircle } from 'lucide-react';
+import { listConversations, getConversation, fetchMessages, createConversation, appendMessages, setActiveLeaf, setMessageRedaction, renameConversation, setConversationArchived, deleteConversation, generateTitle, importConversation } from './conversationStore';
+import { activePath, siblingsOf, latestLeafUnder } from './messageTree';
+import { validateImport } from './conversationExport';
+import ConversationSidebar from './ConversationSidebar';
+import ActionPlanPanel from './ActionPlanPanel';
+import TrackAdmin from './TrackAdmin';
+import AdminDashboard from './AdminDashboard';
+import ExportMenu from './ExportMenu';
+import SafetyCard from './SafetyCard';
+import PrivacySettings from './PrivacySettings';
+import ProfileMemory from './ProfileMemory';
+import ConversationSearch from './ConversationSearch';
+import EndSessionReview from './EndSessionReview';
+import MessageActions from './MessageActions';
+import AttachmentChips from './AttachmentChips';
+import SessionProgress, { ClosingSummary } from './SessionProgress';
+import { SESSION_LENGTHS, DEFAULT_SESSION_MINUTES } from './sessionStore';
+import { ACCEPTED_EXTENSIONS, MAX_ATTACHMENTS, attachmentProblem, uploadAttachment } from './attachmentStore';
+import { SendError, toSendError, isRetryable, isConnectionError } from './sendErrors';
+import { putSend, deleteSend, listSends, retryDelay, resumableSend } from './outbox';
+import { listTracks, isAdmin, PERSONAS } from './tracksStore';
+import { readEventStream } from './eventStream';
+import { isEntraConfigured, signInWithEntra, shouldSignInSilently, markSignedOut, linkEntraAccount } from './entraAuth';
+import { Bot, User, Send, BrainCircuit, Loader2, GitBranch, Lightbulb, UserCheck, AlertTriangle, LogOut, PlusCircle, Square, ClipboardList, Settings, ShieldCheck, Brain, RefreshCw, Search, LogIn, BarChart3, Paperclip, Link2 } from 'lucide-react';
 
-// --- AUTH COMPONENT (No changes) ---
+// --- AUTH COMPONENT ---
 function Auth() {
   const [isSignUp, setIsSignUp] = useState(false);
   const [email, setEmail] = useState('');
@@ -11,6 +34,19 @@ function Auth() {
   const [error, setError] = useState('');
   const [message, setMessage] = useState('');
 
+  const handleMicrosoftSignIn = async () => {
+    setLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      await signInWithEntra();
+    } catch (err) {
+      setError(err.message || 'Microsoft sign-in failed.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleAuthAction = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -66,6 +102,21 @@ function Auth() {
           </button>
         </form>
 
+        {isEntraConfigured && (
+          <>
+            <div className="my-4 flex items-center gap-3 text-xs text-gray-500">
+              <div className="flex-1 border-t border-gray-700" /> or <div className="flex-1 border-t border-gray-700" />
+            </div>
+            <button
+              onClick={handleMicrosoftSignIn}
+              disabled={loading}
+              className="w-full flex items-center justify-center gap-2 bg-gray-800 border border-gray-600 text-white font-bold py-2 px-4 rounded hover:bg-gray-700 transition-colors disabled:opacity-50"
+            >
+              <LogIn size={18} /> Sign in with Microsoft
+            </button>
+          </>
+        )}
+
         {error && (
           <div className="mt-4 p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
             <AlertTriangle className="h-5 w-5 mr-2" />
@@ -89,7 +140,7 @@ function Auth() {
 }
 
 
-// --- APP ENTRY POINT (No changes) ---
+// --- APP ENTRY POINT ---
 export default function App() {
     const [session, setSession] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -97,7 +148,11 @@ export default function App() {
     useEffect(() => {
         const getSession = async () => {
             const { data: { session } } = await supabase.auth.getSession();
-            setSession(session);
+            // In a Teams tab, sign in with the user's Microsoft account without showing the sign-in form.
+            if (!session && await shouldSignInSilently()) {
+                await signInWithEntra({ interactive: false }).catch(error => console.error("Error signing in with Microsoft:", error));
+            }
+            setSession((await supabase.auth.getSession()).data.session);
             setLoading(false);
         };
         getSession();
@@ -120,12 +175,61 @@ export default function App() {
     return <AuthenticatedApp key={session.user.id} session={session} />;
 }
 
-// --- AUTHENTICATED APP WRAPPER (No changes) ---
+// --- AUTHENTICATED APP WRAPPER ---
+const ANALYTICS_PATH = '/admin';
+
 function AuthenticatedApp({ session }) {
     const [modeSelected, setModeSelected] = useState(sessionStorage.getItem('appMode') || null);
+    const [trackSelected, setTrackSelected] = useState(sessionStorage.getItem('appTrack') || null);
+    // Null until the first load finishes, so the selection screen can tell "loading" from "none defined".
+    const [tracks, setTracks] = useState(null);
+    const [isAdminUser, setIsAdminUser] = useState(null);
+    const [showTrackAdmin, setShowTrackAdmin] = useState(false);
+    const [showAnalytics, setShowAnalytics] = useState(window.location.pathname === ANALYTICS_PATH);
+
+    const loadTracks = useCallback(async () => {
+        try {
+            setTracks(await listTracks());
+        } catch (error) {
+            console.error("Error loading tracks:", error);
+            setTracks(current => current || []);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadTracks();
+        isAdmin(session.user.id)
+            .then(setIsAdminUser)
+            .catch(error => {
+                console.error("Error loading user role:", error);
+                setIsAdminUser(false);
+            });
+    }, [loadTracks, session.user.id]);
+
+    // The analytics dashboard lives at /admin so it can be bookmarked; Back and the browser history both leave it.
+    useEffect(() => {
+        const handlePopState = () => setShowAnalytics(window.location.pathname === ANALYTICS_PATH);
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // Anyone else who opens /admin lands on the normal app.
+    useEffect(() => {
+        if (showAnalytics && isAdminUser === false) {
+            window.history.replaceState(null, '', '/');
+            setShowAnalytics(false);
+        }
+    }, [showAnalytics, isAdminUser]);
+
+    const openAnalytics = (open) => {
+        window.history.pushState(null, '', open ? ANALYTICS_PATH : '/');
+        setShowAnalytics(open);
+    };
     
     const handleLogout = async () => {
       sessionStorage.removeItem('appMode');
+      sessionStorage.removeItem('appTrack');
+      markSignedOut();
       await supabase.auth.signOut();
     };
 
@@ -134,32 +238,199 @@ function AuthenticatedApp({ session }) {
         sessionStorage.setItem('appMode', mode);
     };
 
+    const handleTrackSelect = useCallback((trackId) => {
+        setTrackSelected(trackId);
+        if (trackId) {
+            sessionStorage.setItem('appTrack', trackId);
+        } else {
+            sessionStorage.removeItem('appTrack');
+        }
+    }, []);
+
+    if (showAnalytics) {
+        if (isAdminUser === null) {
+            return <div className="flex items-center justify-center h-screen bg-gray-900 text-white"><Loader2 className="animate-spin mr-2" /> Loading...</div>;
+        }
+        if (isAdminUser) {
+            return <AdminDashboard session={session} onBack={() => openAnalytics(false)} />;
+        }
+    }
+
+    if (showTrackAdmin) {
+        return <TrackAdmin onBack={() => setShowTrackAdmin(false)} onTracksChanged={loadTracks} />;
+    }
+
     if (!modeSelected) {
-        return <ModeSelection onSelect={handleModeSelect} onLogout={handleLogout} />;
+        return (
+            <ModeSelection
+                tracks={tracks}
+                isAdmin={Boolean(isAdminUser)}
+                onSelect={(track) => { handleTrackSelect(track.id); handleModeSelect(track.persona); }}
+                onManageTracks={() => setShowTrackAdmin(true)}
+                onOpenAnalytics={() => openAnalytics(true)}
+                onLinkMicrosoft={isEntraConfigured ? () => linkEntraAccount(session.access_token) : null}
+                onLogout={handleLogout}
+            />
+        );
     }
 
-    return <MainInterface session={session} initialMode={modeSelected} onModeChange={handleModeSelect} onLogout={handleLogout} />;
+    return (
+        <MainInterface
+            session={session}
+            initialMode={modeSelected}
+            tracks={tracks || []}
+            initialTrack={trackSelected}
+            onModeChange={handleModeSelect}
+            onTrackChange={handleTrackSelect}
+            onLogout={handleLogout}
+        />
+    );
 }
 
 // --- MAIN UI ---
-function MainInterface({ session, initialMode, onModeChange, onLogout }) {
+function MainInterface({ session, initialMode, tracks, initialTrack, onModeChange, onTrackChange, onLogout }) {
     const [currentMode, setCurrentMode] = useState(initialMode);
-    const chatRef = useRef(null);
+    // Mentor track for new conversations; reopening a conversation switches to the track it was started in.
+    const [currentTrackId, setCurrentTrackId] = useState(initialTrack);
+    const [conversations, setConversations] = useState([]);
+    // undefined until the history for the current mode has loaded; null means a new, unsaved chat.
+    const [activeConversationId, setActiveConversationId] = useState(undefined);
+    const [showArchived, setShowArchived] = useState(false);
+    const [historyLoading, setHistoryLoading] = useState(true);
+    const [showActionPlan, setShowActionPlan] = useState(true);
+    const [showPrivacy, setShowPrivacy] = useState(false);
+    const [showMemory, setShowMemory] = useState(false);
+    const [showSearch, setShowSearch] = useState(false);
+    // The search result to jump to, as { messageId }; a new object each time so the same result can be reopened.
+    const [focusMessage, setFocusMessage] = useState(null);
+
+    const refreshConversations = useCallback(async () => {
+        try {
+            const data = await listConversations(session.user.id, currentMode, { archived: showArchived });
+            setConversations(data);
+            return data;
+        } catch (error) {
+            console.error("Error loading conversations:", error);
+            return [];
+        }
+    }, [session.user.id, currentMode, showArchived]);
 
-    const handleNavClick = (mode) => {
+    useEffect(() => {
+        const loadHistory = async () => {
+            setHistoryLoading(true);
+            const [data, queued] = await Promise.all([
+                refreshConversations(),
+                listSends(session.user.id).catch(() => []),
+            ]);
+            setHistoryLoading(false);
+            // Reopen the most recent conversation when entering a mode, or the new chat whose first message
+            // is still waiting to be sent.
+            const pendingNewChat = queued.some(entry => !entry.conversationId && entry.mode === currentMode);
+            const initial = pendingNewChat ? null : (data[0]?.id ?? null);
+            setActiveConversationId(current => current === undefined ? initial : current);
+        };
+        loadHistory();
+    }, [refreshConversations, session.user.id, currentMode]);
+
+    useEffect(() => {
+        const active = conversations.find(conversation => conversation.id === activeConversationId);
+        if (active) setCurrentTrackId(active.track_id || null);
+    }, [activeConversationId, conversations]);
+
+    useEffect(() => {
+        onTrackChange(currentTrackId);
+    }, [currentTrackId, onTrackChange]);
+
+    // Picking a track starts a new chat with it, switching persona when the track belongs to the other one.
+    const handleTrackChange = (trackId) => {
+        const track = tracks.find(candidate => candidate.id === trackId);
+        if (!track) return;
+        setCurrentTrackId(track.id);
+        setActiveConversationId(null);
+        if (track.persona !== currentMode) {
+            setShowArchived(false);
+            setCurrentMode(track.persona);
+            onModeChange(track.persona);
+        }
+    };
+
+    const switchMode = (mode) => {
         if (mode !== currentMode) {
+          setActiveConversationId(undefined);
+          setShowArchived(false);
           setCurrentMode(mode);
           onModeChange(mode);
         }
     };
 
     const handleNewConversation = () => {
-        if (chatRef.current) {
-            chatRef.current.startNewConversation();
+        setActiveConversationId(null);
+    };
+
+    const handleRename = async (id, title) => {
+        try {
+            await renameConversation(id, title);
+        } catch (error) {
+            console.error("Error renaming conversation:", error);
+        }
+        refreshConversations();
+    };
+
+    const handleArchive = async (id, archived) => {
+        try {
+            await setConversationArchived(id, archived);
+            if (archived && id === activeConversationId) setActiveConversationId(null);
+        } catch (error) {
+            console.error("Error archiving conversation:", error);
+        }
+        refreshConversations();
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteConversation(id, session.access_token);
+            if (id === activeConversationId) setActiveConversationId(null);
+        } catch (error) {
+            console.error("Error deleting conversation:", error);
         }
+        refreshConversations();
+    };
+
+    const handleImport = async (file) => {
+        try {
+            const imported = validateImport(JSON.parse(await file.text()));
+            if (imported.conversation.track_id && !tracks.some(track => track.id === imported.conversation.track_id)) {
+                imported.conversation.track_id = null;
+            }
+            const created = await importConversation(imported);
+            if (created.mode !== currentMode) {
+                // Switching modes reopens the most recent conversation, which is the one just imported.
+                switchMode(created.mode);
+            } else {
+                setShowArchived(false);
+                setActiveConversationId(created.id);
+                refreshConversations();
+            }
+        } catch (error) {
+            console.error("Error importing conversation:", error);
+            window.alert(error instanceof SyntaxError ? 'Invalid conversation file: not valid JSON.' : error.message);
+        }
+    };
+
+    // Opens a search result's conversation at the matching message, switching mode when it belongs to the other one.
+    const handleOpenSearchResult = (result) => {
+        setShowSearch(false);
+        setFocusMessage({ messageId: result.message_id });
+        if (result.mode !== currentMode) {
+            setCurrentMode(result.mode);
+            onModeChange(result.mode);
+        }
+        setShowArchived(Boolean(result.archived_at));
+        setActiveConversationId(result.conversation_id);
     };
 
     const isMentorMode = currentMode === 'mentor';
+    const currentTrack = tracks.find(track => track.id === currentTrackId && track.persona === currentMode) || null;
     return (
         <div className={`flex flex-col h-screen text-gray-100 font-sans ${isMentorMode ? 'bg-gray-800' : 'bg-purple-900'}`}>
             <header className={`p-4 border-b flex items-center justify-between ${isMentorMode ? 'bg-gray-900 border-gray-700' : 'bg-purple-950 border-purple-800'}`}>
@@ -173,6 +444,21 @@ function MainInterface({ session, initialMode, onModeChange, onLogout }) {
                     </div>
                 </div>
                 <div className="flex items-center gap-1 sm:gap-4">
+                    {tracks.length > 0 && (
+                        <select
+                            value={currentTrack?.id || ''}
+                            onChange={e => handleTrackChange(e.target.value)}
+                            className="max-w-[9rem] sm:max-w-none bg-gray-700 text-white text-sm rounded-md px-2 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            title="Track for new conversations"
+                        >
+                            {!currentTrack && <option value="">Choose a track</option>}
+                            {PERSONAS.map(persona => (
+                                <optgroup key={persona.id} label={persona.name}>
+                                    {tracks.filter(track => track.persona === persona.id).map(track => <option key={track.id} value={track.id}>{track.name}</option>)}
+                                </optgroup>
+                            ))}
+                        </select>
+                    )}
                      <button 
                         onClick={handleNewConversation} 
                         className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors bg-gray-700 hover:bg-gray-600 text-white" 
@@ -181,141 +467,461 @@ function MainInterface({ session, initialMode, onModeChange, onLogout }) {
                         <PlusCircle size={18} />
                         <span className="hidden sm:inline">New Chat</span>
                     </button>
-                    <NavButton icon={<MessageSquare size={18}/>} label="Mentor" active={currentMode === 'mentor'} onClick={() => handleNavClick('mentor')} mode="mentor" />
-                    <NavButton icon={<GitBranch size={18}/>} label="Coach" active={currentMode === 'coach'} onClick={() => handleNavClick('coach')} mode="coach" />
+                    <button
+                        onClick={() => setShowActionPlan(prev => !prev)}
+                        className={`hidden lg:flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors ${showActionPlan ? 'bg-gray-600 text-white' : 'text-gray-300 hover:bg-gray-700 hover:text-white'}`}
+                        title={showActionPlan ? 'Hide action plan' : 'Show action plan'}
+                    >
+                        <ClipboardList size={18} />
+                        <span className="hidden xl:inline">Action Plan</span>
+                    </button>
+                    <button
+                        onClick={() => setShowSearch(true)}
+                        className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors text-gray-300 hover:bg-gray-700 hover:text-white"
+                        title="Search all your conversations"
+                    >
+                        <Search size={18} />
+                        <span className="hidden xl:inline">Search</span>
+                    </button>
+                    <button
+                        onClick={() => setShowMemory(true)}
+                        className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors text-gray-300 hover:bg-gray-700 hover:text-white"
+                        title="Review what your mentor and coach remember about you"
+                    >
+                        <Brain size={18} />
+                        <span className="hidden xl:inline">Memory</span>
+                    </button>
+                    <button
+                        onClick={() => setShowPrivacy(true)}
+                        className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors text-gray-300 hover:bg-gray-700 hover:text-white"
+                        title="Privacy and redaction settings"
+                    >
+                        <ShieldCheck size={18} />
+                        <span className="hidden xl:inline">Privacy</span>
+                    </button>
                     <button onClick={onLogout} className="text-gray-400 hover:text-white" title="Sign Out"><LogOut size={20}/></button>
                 </div>
             </header>
-            <div className="flex-1 overflow-y-hidden">
-                <ChatInterface ref={chatRef} mode={currentMode} session={session} key={currentMode} />
+            <div className="flex flex-1 overflow-y-hidden">
+                <ConversationSidebar
+                    mode={currentMode}
+                    conversations={conversations}
+                    activeId={activeConversationId}
+                    showArchived={showArchived}
+                    isLoading={historyLoading}
+                    onSelect={setActiveConversationId}
+                    onRename={handleRename}
+                    onArchive={handleArchive}
+                    onDelete={handleDelete}
+                    onToggleArchived={() => setShowArchived(prev => !prev)}
+                    onImport={handleImport}
+                />
+                <div className="flex-1 min-w-0">
+                    {activeConversationId === undefined
+                        ? <div className="flex items-center justify-center h-full"><Loader2 className="animate-spin mr-2" /> Loading...</div>
+                        : <ChatInterface
+                            mode={currentMode}
+                            track={currentTrack}
+                            session={session}
+                            key={`${currentMode}:${currentTrack?.id || ''}`}
+                            conversationId={activeConversationId}
+                            focus={focusMessage}
+                            onConversationCreated={setActiveConversationId}
+                            onConversationUpdated={refreshConversations}
+                          />}
+                </div>
+                {showActionPlan && activeConversationId !== undefined && (
+                    <ActionPlanPanel mode={currentMode} session={session} conversationId={activeConversationId} />
+                )}
             </div>
+            {showPrivacy && <PrivacySettings session={session} onClose={() => setShowPrivacy(false)} />}
+            {showMemory && <ProfileMemory session={session} onClose={() => setShowMemory(false)} />}
+            {showSearch && <ConversationSearch initialMode={currentMode} onOpen={handleOpenSearchResult} onClose={() => setShowSearch(false)} />}
         </div>
     );
 }
 
 // --- CHAT INTERFACE ---
-const ChatInterface = forwardRef(({ mode, session }, ref) => {
+// A general track (no prompt extension) is the persona on its own, so it isn't named.
+const welcomeMessageFor = (mode, track) => ({
+    role: 'assistant',
+    content: track?.prompt_extension
+        ? `Hello! I'm your AI ${mode} for ${track.name}. Our conversation is confidential. What's on your mind today?`
+        : `Hello! I'm your AI ${mode}. Our conversation is confidential. What's on your mind today?`
+});
+
+// The structured coaching session state of a conversation row or server reply, or null for an open-ended chat.
+const sessionOf = (conversation) => (conversation?.session_minutes ? {
+    session_minutes: conversation.session_minutes,
+    session_phase: conversation.session_phase,
+    session_started_at: conversation.session_started_at,
+    closing_summary: conversation.closing_summary,
+} : null);
+
+function ChatInterface({ mode, track, session, conversationId, focus, onConversationCreated, onConversationUpdated }) {
+    // The branch on screen, oldest first; it may end with messages that are not saved yet.
     const [messages, setMessages] = useState([]);
+    // Every saved message in the conversation, across all branches.
+    const [nodes, setNodes] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [input, setInput] = useState('');
-    const [conversationId, setConversationId] = useState(null);
+    const [editingIndex, setEditingIndex] = useState(null);
+    const [editDraft, setEditDraft] = useState('');
+    // Text of the reply currently streaming in, or null when no stream is open.
+    const [streamingText, setStreamingText] = useState(null);
+    const [quota, setQuota] = useState(null);
+    // The outbox entry waiting for the connection to come back; new messages wait until it has gone through.
+    const [queuedEntry, setQueuedEntry] = useState(null);
+    // Length picked for a new coach conversation; null starts an open-ended chat instead of a structured session.
+    const [sessionMinutes, setSessionMinutes] = useState(null);
+    const [coachingSession, setCoachingSession] = useState(null);
+    // A message opened from search, outlined for a moment once it is on screen.
+    const [highlightedId, setHighlightedId] = useState(null);
+    // Documents uploaded for the next message, and how many are still uploading.
+    const [attachments, setAttachments] = useState([]);
+    const [uploadingCount, setUploadingCount] = useState(0);
+    const [attachmentError, setAttachmentError] = useState('');
+    const fileInputRef = useRef(null);
+    const mainRef = useRef(null);
+    // The message to scroll to on the next render instead of the end of the conversation.
+    const scrollTargetRef = useRef(null);
     const messagesEndRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    // The id of a conversation this component just created, so the prop round-trip does not reload it.
+    const createdConversationIdRef = useRef(null);
+    // The conversation being written to. Set as soon as a new conversation is created, before the prop catches up.
+    const conversationIdRef = useRef(conversationId);
+    // This render's handlers and track, for timers, listeners and effects registered by earlier renders.
+    const latestRef = useRef({});
 
-    const startNewConversation = useCallback(async () => {
-        if (conversationId) {
-            const { error } = await supabase
-                .from('conversations')
-                .delete()
-                .eq('id', conversationId);
-
-            if (error) {
-                console.error("Error deleting conversation:", error);
-            }
+    // Depends on the track's id, not the object: refreshing the track list is not a reason to reload the conversation.
+    useEffect(() => {
+        if (conversationId && conversationId === createdConversationIdRef.current) {
+            createdConversationIdRef.current = null;
+            return undefined;
         }
 
-        const welcomeMessage = {
-            role: 'assistant',
-            content: `Hello! I'm your AI ${mode}. Our conversation is confidential. What's on your mind today?`
-        };
-        setMessages([welcomeMessage]);
-        setConversationId(null);
-    }, [mode, conversationId]);
-    
-    useImperativeHandle(ref, () => ({
-        startNewConversation
-    }));
+        conversationIdRef.current = conversationId;
+        setEditingIndex(null);
+        setQueuedEntry(null);
+        setAttachments([]);
+        setAttachmentError('');
 
-    useEffect(() => {
+        let cancelled = false;
         const loadConversation = async () => {
             setIsLoading(true);
-            const { data, error } = await supabase
-                .from('conversations')
-                .select('id, messages')
-                .eq('user_id', session.user.id)
-                .eq('mode', mode)
-                .order('updated_at', { ascending: false })
-                .limit(1);
-
-            if (error) {
+            let data = [];
+            let path = [];
+            let loadedSession = null;
+            try {
+                if (conversationId) {
+                    const [rows, conversation] = await Promise.all([fetchMessages(conversationId), getConversation(conversationId)]);
+                    data = rows;
+                    // A search result may sit on another branch; open the branch that contains it.
+                    const focusId = rows.some(row => row.id === focus?.messageId) ? focus.messageId : null;
+                    path = activePath(rows, focusId ? latestLeafUnder(rows, focusId) : conversation.active_leaf_id);
+                    scrollTargetRef.current = focusId;
+                    loadedSession = sessionOf(conversation);
+                }
+            } catch (error) {
                 console.error("Error loading conversation:", error);
             }
+            // A message that was still on its way when the page was closed picks up where it left off.
+            const pending = await resumableSend(session.user.id, conversationId, mode, path).catch(() => null);
+            if (cancelled) return;
 
-            if (data && data.length > 0 && data[0].messages) {
-                setMessages(data[0].messages);
-                setConversationId(data[0].id);
-            } else {
-                startNewConversation();
-            }
+            setNodes(data);
+            setCoachingSession(loadedSession);
+            setHighlightedId(scrollTargetRef.current);
+            setMessages(path.length > 0 ? path : [welcomeMessageFor(mode, latestRef.current.track)]);
             setIsLoading(false);
+            if (pending) latestRef.current.sendBranch(pending.branch, pending.entry);
         };
 
         loadConversation();
-    }, [mode, session.user.id, startNewConversation]);
+        return () => { cancelled = true; };
+    }, [mode, track?.id, conversationId, focus, session.user.id]);
 
+    // Swaps the saved rows (which carry database ids) in for the in-memory messages they were created from.
+    const markSaved = (unsaved, saved) => {
+        const savedByMessage = new Map(unsaved.map((msg, index) => [msg, saved[index]]));
+        setMessages(prev => prev.map(msg => savedByMessage.get(msg) || msg));
+        setNodes(prev => [...prev, ...saved]);
+        return savedByMessage;
+    };
 
-    useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
+    // Saves the unsaved tail of a branch under its last saved message (a new conversation also stores the
+    // greeting) and returns the branch with the saved rows in place. Throws if the save fails.
+    const persistBranch = async (branch) => {
+        const unsaved = branch.filter(msg => !msg.id && !msg.isError);
+        if (unsaved.length === 0) return branch;
+        const parentId = branch.filter(msg => msg.id).pop()?.id ?? null;
 
-    const handleSend = async () => {
-        if (input.trim() === '' || isLoading) return;
-        
-        const userMessage = { role: 'user', content: input };
-        const newMessages = [...messages, userMessage];
-        setMessages(newMessages);
-        setInput('');
-        setIsLoading(true);
+        let savedByMessage;
+        if (conversationIdRef.current) {
+            savedByMessage = markSaved(unsaved, await appendMessages(conversationIdRef.current, unsaved, parentId));
+            onConversationUpdated();
+        } else {
+            const firstUserMessage = unsaved.find(msg => msg.role === 'user');
+            const conversation = await createConversation(session.user.id, mode, generateTitle(firstUserMessage?.content), track?.id, mode === 'coach' ? sessionMinutes : null);
+            conversationIdRef.current = conversation.id;
+            setCoachingSession(sessionOf(conversation));
+            savedByMessage = markSaved(unsaved, await appendMessages(conversation.id, unsaved));
+            createdConversationIdRef.current = conversation.id;
+            onConversationCreated(conversation.id);
+            onConversationUpdated();
+        }
+        return branch.map(msg => savedByMessage.get(msg) || msg);
+    };
 
-        const systemPrompt = mode === 'coach' 
-            ? `You are an AI Coach that strictly adheres to the ICF Core Competencies and PCC Markers. Your primary goal is to help the user find their own solutions through powerful questioning and active listening. **Core Principles:** 1. **One Question at a Time:** You MUST only ask ONE open-ended question per response. This is your most important rule. 2. **Listen Actively:** Reflect back the user's language and emotions before asking your question. Use phrases like, "What I'm hearing is..." or "It sounds like you're feeling..." 3. **Evoke Awareness:** Ask questions about the user's way of thinking, their assumptions, values, and needs. 4. **No Advice:** NEVER give direct advice, solutions, or opinions.`
-            : `You are an AI Mentor. Your purpose is to provide expert advice and actionable guidance. Your methodology is to first **Inquire**, then **Advise**. **Your Process:** 1. **Inquire First:** When the user presents a problem, your first priority is to understand their context. Ask 1-2 powerful, open-ended questions to clarify the situation, the goals, and the obstacles. Do NOT offer any advice at this stage. 2. **Identify Context:** Based on the user's answers, determine if their challenge relates to Project Management, IT Consulting, Facilitation, or Sales. 3. **Advise Second:** Once you have a clear understanding, transition to providing direct advice. Your recommendations should be clear, actionable, and framed within the context you have identified.`;
+    useEffect(() => {
+        const target = scrollTargetRef.current && mainRef.current?.querySelector(`[data-message-id="${scrollTargetRef.current}"]`);
+        if (target) {
+            scrollTargetRef.current = null;
+            target.scrollIntoView({ block: 'center' });
+            return;
+        }
+        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [messages, streamingText]);
 
-        try {
-            const response = await fetch('/.netlify/functions/callGemini', {
-                method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${session.access_token}`
-                },
-                body: JSON.stringify({ history: newMessages, systemPrompt }),
-            });
+    useEffect(() => {
+        if (!highlightedId) return undefined;
+        const timer = setTimeout(() => setHighlightedId(null), 3000);
+        return () => clearTimeout(timer);
+    }, [highlightedId]);
 
-            if (!response.ok) {
-                const err = await response.json();
-                throw new Error(err.error || 'Failed to get a response from the server.');
+    useEffect(() => {
+        const loadQuota = async () => {
+            try {
+                const response = await fetch('/.netlify/functions/getUsage', {
+                    headers: { 'Authorization': `Bearer ${session.access_token}` }
+                });
+                if (!response.ok) return;
+                const data = await response.json();
+                setQuota(data.quota);
+            } catch (error) {
+                console.error("Error loading usage quota:", error);
             }
+        };
+        loadQuota();
+    }, [session.access_token]);
 
-            const data = await response.json();
-            const assistantMessage = { role: 'assistant', content: data.response };
-            const finalMessages = [...newMessages, assistantMessage];
-            setMessages(finalMessages);
-
-            if (conversationId) {
-                const { error } = await supabase
-                    .from('conversations')
-                    .update({ messages: finalMessages })
-                    .eq('id', conversationId);
-                if (error) console.error("Error updating conversation:", error);
-            } else {
-                const { data: newData, error } = await supabase
-                    .from('conversations')
-                    .insert({
-                        user_id: session.user.id,
-                        mode: mode,
-                        messages: finalMessages
-                    })
-                    .select('id')
-                    .single(); // Using .single() here is safe because we expect one row back after insert
-                if (error) console.error("Error creating conversation:", error);
-                if (newData) setConversationId(newData.id);
+    // Cancel any in-flight generation when leaving the conversation.
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+    // Retries a queued send with backoff, or straight away when the browser reports the connection is back.
+    useEffect(() => {
+        if (!queuedEntry) return undefined;
+        const resume = () => latestRef.current.resumeQueued();
+        const timer = setTimeout(resume, retryDelay(queuedEntry.attempts));
+        window.addEventListener('online', resume);
+        return () => {
+            clearTimeout(timer);
+            window.removeEventListener('online', resume);
+        };
+    }, [queuedEntry]);
+
+    // Streams the model's reply to a saved branch and saves it. Failures are thrown as SendErrors.
+    const streamReply = async (branch) => {
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let partial = '';
+        let personaVersion = null;
+        let guardrailEventId = null;
+        let safety = null;
+        let redaction = null;
+        let stopped = false;
+
+        const response = await fetch('/.netlify/functions/callGemini', {
+            method: 'POST',
+            headers: { 
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`
+            },
+            body: JSON.stringify({ history: branch, persona: mode, track: track?.id, conversationId: conversationIdRef.current, stream: true }),
+            signal: controller.signal,
+        });
+
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}));
+            if (err.quota) setQuota(err.quota);
+            throw new SendError(err.code || 'internal_error', err.error);
+        }
+
+        setStreamingText('');
+        try {
+            for await (const streamEvent of readEventStream(response)) {
+                if (streamEvent.type === 'delta') {
+                    partial += streamEvent.text;
+                    setStreamingText(partial);
+                } else if (streamEvent.type === 'safety') {
+                    safety = streamEvent.safety;
+                } else if (streamEvent.type === 'done') {
+                    personaVersion = streamEvent.persona;
+                    guardrailEventId = streamEvent.compliance?.id ?? null;
+                    redaction = streamEvent.redaction?.count ? streamEvent.redaction : null;
+                    if (streamEvent.session) setCoachingSession(sessionOf(streamEvent.session));
+                    if (streamEvent.quota) setQuota(streamEvent.quota);
+                } else if (streamEvent.type === 'error') {
+                    throw new SendError(streamEvent.code || 'stream_interrupted', streamEvent.error);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+            stopped = true;
+        }
+        setStreamingText(null);
+
+        // A safety response replaces the reply; a stopped reply keeps whatever had arrived; an empty one leaves only the user's turn.
+        const content = safety ? safety.message : partial || (stopped ? '' : "Sorry, I couldn't get a response.");
+        if (!content) return;
+        const assistantMessage = { role: 'assistant', content, persona_version: personaVersion, guardrail_event_id: guardrailEventId, safety };
+        // The user's message was saved before the call, so the redaction note is added to it afterwards.
+        const last = branch[branch.length - 1];
+        const noted = redaction && last.role === 'user' ? { ...last, redaction } : last;
+        if (noted !== last) {
+            setNodes(prev => prev.map(node => (node.id === last.id ? noted : node)));
+            setMessageRedaction(last.id, redaction).catch(error => console.error("Error saving redaction note:", error));
+        }
+        const finalMessages = [...branch.slice(0, -1), noted, assistantMessage];
+        setMessages(finalMessages);
+        try {
+            await persistBranch(finalMessages);
+        } catch (error) {
+            console.error("Error saving reply:", error);
+        }
+    };
+
+    // The send pipeline: the unsaved tail of `branch` (the user's new message) is queued on this device and saved
+    // before the model is called, so neither a failed call nor a reload loses it. Connection failures stay queued
+    // and are retried; anything else shows an error with a Retry action.
+    const sendBranch = async (branch, existingEntry = null) => {
+        setQueuedEntry(null);
+        setMessages(branch);
+        setIsLoading(true);
+
+        const unsaved = branch.filter(msg => !msg.id && !msg.isError);
+        const newMessage = unsaved.find(msg => msg.client_id);
+        let entry = existingEntry || (newMessage && {
+            clientId: newMessage.client_id,
+            userId: session.user.id,
+            conversationId: conversationIdRef.current ?? null,
+            mode,
+            trackId: track?.id ?? null,
+            parentId: branch.filter(msg => msg.id).pop()?.id ?? null,
+            messages: unsaved,
+            saved: false,
+            attempts: 0,
+            createdAt: Date.now(),
+        });
+        const saveEntry = (next) => putSend(next).catch(error => console.error("Error updating outbox:", error));
+
+        try {
+            if (entry && !existingEntry) await saveEntry(entry);
+
+            let savedBranch = branch;
+            if (unsaved.length > 0) {
+                try {
+                    savedBranch = await persistBranch(branch);
+                } catch (error) {
+                    throw toSendError(error, 'save_failed');
+                }
+                if (entry) {
+                    entry = { ...entry, conversationId: conversationIdRef.current, messages: [], saved: true };
+                    await saveEntry(entry);
+                }
             }
 
+            await streamReply(savedBranch);
+            if (entry) await deleteSend(entry.clientId).catch(error => console.error("Error updating outbox:", error));
         } catch (error) {
-            console.error("Error calling Netlify function:", error);
-            const errorMessage = { role: 'assistant', content: `Sorry, there was an error: ${error.message}` };
-            setMessages(prev => [...prev, errorMessage]);
+            setStreamingText(null);
+            const sendError = error.name === 'AbortError' ? null : toSendError(error);
+            if (entry && sendError && isConnectionError(sendError.code)) {
+                const queued = { ...entry, attempts: entry.attempts + 1 };
+                await saveEntry(queued);
+                setQueuedEntry(queued);
+            } else if (entry) {
+                deleteSend(entry.clientId).catch(err => console.error("Error updating outbox:", err));
+            }
+            if (!sendError) return;
+            console.error("Error sending message:", error);
+            const errorMessage = { role: 'assistant', content: sendError.message, code: sendError.code, isError: true };
+            setMessages(prev => [...prev.filter(msg => !msg.isError), errorMessage]);
         } finally {
+            abortControllerRef.current = null;
             setIsLoading(false);
         }
     };
+
+    const resumeQueued = () => {
+        if (queuedEntry && !isLoading) sendBranch(messages.filter(msg => !msg.isError), queuedEntry);
+    };
+
+    latestRef.current = { sendBranch, resumeQueued, track };
+
+    const newUserMessage = (content, attached = null) => ({ role: 'user', content, client_id: crypto.randomUUID(), attachments: attached?.length ? attached : null });
+
+    const handleSend = () => {
+        if (input.trim() === '' || isLoading || queuedEntry || uploadingCount > 0) return;
+        setInput('');
+        setAttachments([]);
+        setAttachmentError('');
+        sendBranch([...messages.filter(msg => !msg.isError), newUserMessage(input, attachments)]);
+    };
+
+    // Files are uploaded as soon as they are picked, so sending does not wait for text extraction.
+    const handleAttachFiles = async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        const room = MAX_ATTACHMENTS - attachments.length - uploadingCount;
+        const problem = files.length > room
+            ? `You can attach up to ${MAX_ATTACHMENTS} documents to a message.`
+            : files.map(attachmentProblem).find(Boolean);
+        setAttachmentError(problem || '');
+        if (problem) return;
+
+        setUploadingCount(count => count + files.length);
+        await Promise.all(files.map(async (file) => {
+            try {
+                const attachment = await uploadAttachment(file, session.access_token);
+                setAttachments(prev => [...prev, attachment]);
+            } catch (error) {
+                console.error("Error uploading attachment:", error);
+                setAttachmentError(error.message);
+            } finally {
+                setUploadingCount(count => count - 1);
+            }
+        }));
+    };
+
+    // Editing a user message sends the new text as a sibling of the original, so the old branch stays reachable.
+    const handleEditSubmit = (index) => {
+        const content = editDraft.trim();
+        setEditingIndex(null);
+        if (!content || isLoading || queuedEntry || content === messages[index].content) return;
+        sendBranch([...messages.slice(0, index).filter(msg => !msg.isError), newUserMessage(content, messages[index].attachments)]);
+    };
+
+    // Regenerating asks for a new reply to the same history; it becomes a sibling of the reply it replaces.
+    // Retrying an error or an unanswered message is the same request.
+    const handleRegenerate = (index) => {
+        if (isLoading || queuedEntry) return;
+        sendBranch(messages.slice(0, index).filter(msg => !msg.isError));
+    };
+
+    const handleSwitchBranch = (msg, offset) => {
+        const siblings = siblingsOf(nodes, msg);
+        const target = siblings[siblings.findIndex(sibling => sibling.id === msg.id) + offset];
+        if (!target || isLoading) return;
+        const leafId = latestLeafUnder(nodes, target.id);
+        setMessages(activePath(nodes, leafId));
+        setActiveLeaf(conversationIdRef.current, leafId).catch(error => console.error("Error saving active branch:", error));
+    };
+
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+    };
     
     const isMentorMode = mode === 'mentor';
     const bgColor = isMentorMode ? 'bg-gray-800' : 'bg-purple-50';
@@ -329,60 +935,199 @@ const ChatInterface = forwardRef(({ mode, session }, ref) => {
 
     return (
         <div className={`flex flex-col h-full ${bgColor} ${textColor}`}>
-            <main className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-6">
-                {messages.map((msg, index) => (
-                    <div key={index} className={`flex items-start gap-3 ${msg.role === 'user' ? 'justify-end' : ''}`}>
-                        {msg.role === 'assistant' && <div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${isMentorMode ? 'bg-blue-500' : 'bg-white border-2 border-purple-200'}`}>{isMentorMode ? <Bot className="text-white" /> : <GitBranch className="text-purple-600" />}</div>}
-                        <div className={`max-w-md p-3 rounded-2xl ${msg.role === 'user' ? userBubbleBg : assistantBubbleBg}`}>
+            <div className="flex justify-end gap-2 px-4 pt-2">
+                <EndSessionReview session={session} conversationId={conversationId} isMentorMode={isMentorMode} />
+                <ExportMenu conversationId={conversationId} messages={messages} isMentorMode={isMentorMode} />
+            </div>
+            {coachingSession && (
+                <SessionProgress session={session} conversationId={conversationId} coachingSession={coachingSession} disabled={isLoading} onChange={setCoachingSession} />
+            )}
+            <main ref={mainRef} className="flex-1 overflow-y-auto p-4 sm:p-6 space-y-6">
+                {messages.map((msg, index) => {
+                    const siblings = siblingsOf(nodes, msg);
+                    const isUser = msg.role === 'user';
+                    const canEdit = isUser && msg.id && !isLoading;
+                    const canRegenerate = !isUser && messages[index - 1]?.role === 'user' && msg.id && !isLoading;
+                    return (
+                    <div key={index} data-message-id={msg.id} className={`group flex items-start gap-3 ${isUser ? 'justify-end' : ''}`}>
+                        {!isUser && <div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${isMentorMode ? 'bg-blue-500' : 'bg-white border-2 border-purple-200'}`}>{isMentorMode ? <Bot className="text-white" /> : <GitBranch className="text-purple-600" />}</div>}
+                        <div className="max-w-md">
+                        {editingIndex === index ? (
+                            <div className={`p-3 rounded-2xl ${userBubbleBg}`}>
+                                <textarea
+                                    autoFocus
+                                    value={editDraft}
+                                    onChange={e => setEditDraft(e.target.value)}
+                                    onKeyDown={e => {
+                                        if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleEditSubmit(index); }
+                                        if (e.key === 'Escape') setEditingIndex(null);
+                                    }}
+                                    rows={3}
+                                    className="w-full min-w-[16rem] bg-transparent text-sm focus:outline-none"
+                                />
+                                <div className="flex justify-end gap-2 text-xs">
+                                    <button onClick={() => setEditingIndex(null)} className="px-2 py-1 rounded-md hover:bg-black hover:bg-opacity-20">Cancel</button>
+                                    <button onClick={() => handleEditSubmit(index)} className="px-2 py-1 rounded-md font-bold bg-black bg-opacity-20 hover:bg-opacity-30">Send</button>
+                                </div>
+                            </div>
+                        ) : msg.isError ? (
+                            <div className="p-3 rounded-2xl bg-red-800 border border-red-600 text-white">
+                                <p className="text-sm flex items-start"><AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />{msg.content}</p>
+                                {(queuedEntry || isRetryable(msg.code)) && (
+                                    <button onClick={() => (queuedEntry ? resumeQueued() : handleRegenerate(index))} disabled={isLoading} className="mt-2 flex items-center gap-1 text-xs font-bold hover:underline disabled:opacity-50">
+                                        <RefreshCw size={12} /> {queuedEntry ? 'Retry now' : 'Retry'}
+                                    </button>
+                                )}
+                            </div>
+                        ) : msg.safety ? <SafetyCard safety={msg.safety} /> : (
+                        <div className={`p-3 rounded-2xl ${isUser ? userBubbleBg : assistantBubbleBg} ${msg.id && msg.id === highlightedId ? 'ring-2 ring-yellow-400' : ''}`}>
                            <p className="text-sm" style={{ whiteSpace: 'pre-wrap' }}>{msg.content}</p>
+                           <AttachmentChips attachments={msg.attachments} className="mt-2" />
+                           {msg.redaction && (
+                               <p className="mt-1 flex items-center gap-1 text-xs opacity-75" title="Replaced with placeholders before it reached the AI model and restored in the reply">
+                                   <ShieldCheck size={12} /> {msg.redaction.count} {msg.redaction.count === 1 ? 'detail' : 'details'} redacted before sending
+                               </p>
+                           )}
+                        </div>
+                        )}
+                        {editingIndex !== index && (
+                            <MessageActions
+                                isUser={isUser}
+                                branchIndex={siblings.findIndex(sibling => sibling === msg || (msg.id && sibling.id === msg.id))}
+                                branchCount={siblings.length}
+                                disabled={isLoading}
+                                onSwitchBranch={offset => handleSwitchBranch(msg, offset)}
+                                onEdit={canEdit ? () => { setEditingIndex(index); setEditDraft(msg.content); } : null}
+                                onRegenerate={canRegenerate ? () => handleRegenerate(index) : null}
+                            />
+                        )}
                         </div>
-                         {msg.role === 'user' && <div className="h-8 w-8 rounded-full bg-gray-600 flex items-center justify-center flex-shrink-0"><User className="text-white" size={20}/></div>}
+                         {isUser && <div className="h-8 w-8 rounded-full bg-gray-600 flex items-center justify-center flex-shrink-0"><User className="text-white" size={20}/></div>}
+                    </div>
+                    );
+                })}
+                {!isLoading && !queuedEntry && messages[messages.length - 1]?.role === 'user' && messages[messages.length - 1].id && (
+                    <div className="flex items-center gap-2 pl-11 text-sm text-gray-400">
+                        This message hasn't been answered yet.
+                        <button onClick={() => handleRegenerate(messages.length)} className="flex items-center gap-1 font-bold hover:underline"><RefreshCw size={12} /> Retry</button>
                     </div>
-                ))}
-                {isLoading && <div className="flex items-start gap-3"><div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${isMentorMode ? 'bg-blue-500' : 'bg-white border-2 border-purple-200'}`}><Loader2 className="animate-spin" /></div><div className={`max-w-md p-3 rounded-2xl ${assistantBubbleBg}`}><p className="text-sm">...</p></div></div>}
+                )}
+                {(track?.starter_prompts.length > 0 || track?.frameworks.length > 0) && !conversationId && messages.length === 1 && !isLoading && (
+                    <div className="pl-11 space-y-2">
+                        <div className="flex flex-wrap gap-2">
+                            {track.starter_prompts.map(prompt => (
+                                <button key={prompt} onClick={() => setInput(prompt)} className={`text-left text-sm px-3 py-2 rounded-lg border transition-colors ${isMentorMode ? 'border-gray-600 hover:bg-gray-700' : 'border-purple-300 hover:bg-purple-100'}`}>
+                                    {prompt}
+                                </button>
+                            ))}
+                        </div>
+                        {track.frameworks.length > 0 && <p className="text-xs text-gray-400">Frameworks: {track.frameworks.join(' · ')}</p>}
+                    </div>
+                )}
+                {mode === 'coach' && !conversationId && messages.length === 1 && !isLoading && (
+                    <div className="pl-11 flex flex-wrap items-center gap-2 text-sm text-purple-900">
+                        <label className="flex items-center gap-2">
+                            <input type="checkbox" checked={sessionMinutes !== null} onChange={e => setSessionMinutes(e.target.checked ? DEFAULT_SESSION_MINUTES : null)} className="accent-purple-600" />
+                            Structured session
+                        </label>
+                        {sessionMinutes !== null && (
+                            <select value={sessionMinutes} onChange={e => setSessionMinutes(Number(e.target.value))} className="px-2 py-1 rounded-md border border-purple-300 bg-white text-sm">
+                                {SESSION_LENGTHS.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                            </select>
+                        )}
+                        <span className="text-xs text-purple-700">Agreement, exploration, action design and close, paced to the time you have.</span>
+                    </div>
+                )}
+                {coachingSession?.closing_summary && <div className="pl-11"><ClosingSummary summary={coachingSession.closing_summary} /></div>}
+                {isLoading && <div className="flex items-start gap-3"><div className={`h-8 w-8 rounded-full flex items-center justify-center flex-shrink-0 ${isMentorMode ? 'bg-blue-500' : 'bg-white border-2 border-purple-200'}`}><Loader2 className="animate-spin" /></div><div className={`max-w-md p-3 rounded-2xl ${assistantBubbleBg}`}><p className="text-sm" style={{ whiteSpace: 'pre-wrap' }}>{streamingText || '...'}</p></div></div>}
                 <div ref={messagesEndRef} />
             </main>
             <footer className={`p-2 sm:p-4 ${footerBg}`}>
+                {attachmentError && (
+                    <p className="mb-2 flex items-center text-xs text-red-500"><AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" />{attachmentError}</p>
+                )}
+                {(attachments.length > 0 || uploadingCount > 0) && (
+                    <div className="mb-2 flex flex-wrap items-center gap-2">
+                        <AttachmentChips attachments={attachments} onRemove={attachment => setAttachments(prev => prev.filter(item => item.id !== attachment.id))} />
+                        {uploadingCount > 0 && <span className="flex items-center gap-1 text-xs text-gray-400"><Loader2 className="animate-spin" size={12} /> Reading {uploadingCount === 1 ? 'document' : `${uploadingCount} documents`}...</span>}
+                    </div>
+                )}
                 <div className={`flex items-center rounded-lg p-2 ${inputBg}`}>
-                    <input type="text" value={input} onChange={e => setInput(e.value)} onKeyPress={e => e.key === 'Enter' && handleSend()} placeholder="Type your message..." className={`flex-1 bg-transparent focus:outline-none px-2 ${isMentorMode ? 'text-white' : 'text-gray-800'}`} disabled={isLoading} />
-                    <button onClick={handleSend} disabled={isLoading || !input.trim()} className={`p-2 ml-2 rounded-md text-white disabled:bg-gray-500 transition-colors ${sendButtonBg}`}><Send size={20} /></button>
+                    <input ref={fileInputRef} type="file" multiple accept={ACCEPTED_EXTENSIONS.join(',')} onChange={handleAttachFiles} className="hidden" />
+                    <button onClick={() => fileInputRef.current?.click()} disabled={isLoading || Boolean(queuedEntry) || attachments.length + uploadingCount >= MAX_ATTACHMENTS} className="p-2 mr-1 rounded-md text-gray-400 hover:text-gray-200 disabled:opacity-50" title="Attach a document (text, Markdown, Word or PDF)"><Paperclip size={20} /></button>
+                    <input type="text" value={input} onChange={e => setInput(e.target.value)} onKeyPress={e => e.key === 'Enter' && handleSend()} placeholder="Type your message..." className={`flex-1 bg-transparent focus:outline-none px-2 ${isMentorMode ? 'text-white' : 'text-gray-800'}`} disabled={isLoading || Boolean(queuedEntry)} />
+                    {streamingText !== null
+                        ? <button onClick={handleStop} className="p-2 ml-2 rounded-md text-white bg-red-600 hover:bg-red-700 transition-colors" title="Stop generating"><Square size={20} /></button>
+                        : <button onClick={handleSend} disabled={isLoading || Boolean(queuedEntry) || uploadingCount > 0 || !input.trim()} className={`p-2 ml-2 rounded-md text-white disabled:bg-gray-500 transition-colors ${sendButtonBg}`}><Send size={20} /></button>}
                 </div>
+                {quota && (
+                    <p className={`mt-1 text-xs text-right ${quota.tokensRemaining === 0 ? 'text-red-500' : 'text-gray-400'}`}>
+                        {quota.tokensRemaining.toLocaleString()} of {quota.tokensLimit.toLocaleString()} tokens left this month
+                    </p>
+                )}
             </footer>
         </div>
     );
-});
+}
+
+// --- MODE SELECTION & OTHER COMPONENTS ---
+function ModeSelection({ tracks, isAdmin, onSelect, onManageTracks, onOpenAnalytics, onLinkMicrosoft, onLogout }) {
+    const [linkStatus, setLinkStatus] = useState('');
+
+    const handleLinkMicrosoft = async () => {
+        setLinkStatus('');
+        try {
+            await onLinkMicrosoft();
+            setLinkStatus('Your Microsoft account is linked.');
+        } catch (error) {
+            console.error("Error linking Microsoft account:", error);
+            setLinkStatus(error.message || 'Could not link your Microsoft account.');
+        }
+    };
 
-// --- MODE SELECTION & OTHER COMPONENTS (No changes) ---
-function ModeSelection({ onSelect, onLogout }) {
     return (
         <div className="flex flex-col items-center justify-center h-screen bg-gray-900 text-white p-4">
-            <div className="absolute top-4 right-4">
+            <div className="absolute top-4 right-4 flex items-center gap-4">
+              {linkStatus && <span className="text-sm text-gray-400">{linkStatus}</span>}
+              {onLinkMicrosoft && <button onClick={handleLinkMicrosoft} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm" title="Sign in with Microsoft to this account from now on"><Link2 size={16}/> Link Microsoft account</button>}
+              {isAdmin && <button onClick={onOpenAnalytics} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm" title="Usage analytics"><BarChart3 size={16}/> Analytics</button>}
+              {isAdmin && <button onClick={onManageTracks} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm" title="Manage tracks"><Settings size={16}/> Tracks</button>}
               <button onClick={onLogout} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm" title="Sign Out"><LogOut size={16}/> Sign Out</button>
             </div>
             <h1 className="text-4xl font-bold mb-4 text-center">Welcome to the AI Suite</h1>
             <p className="text-lg text-gray-400 mb-12 text-center">Choose your path for today's session.</p>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8 w-full max-w-4xl">
-                <ModeCard
-                    icon={<UserCheck className="h-12 w-12 text-blue-400 mb-4" />}
-                    title="AI Mentor"
-                    description="Seek guidance, get expert advice, and learn proven frameworks for your professional challenges."
-                    buttonText="Start Mentoring"
-                    onClick={() => onSelect('mentor')}
-                    color="blue"
-                />
-                <ModeCard
-                    icon={<Lightbulb className="h-12 w-12 text-purple-400 mb-4" />}
-                    title="AI Coach"
-                    description="Explore your own thinking, uncover new perspectives, and find your own solutions to complex issues."
-                    buttonText="Start Coaching"
-                    onClick={() => onSelect('coach')}
-                    color="purple"
-                />
-            </div>
+            {tracks === null ? (
+                <div className="flex items-center text-gray-400"><Loader2 className="animate-spin mr-2" /> Loading...</div>
+            ) : tracks.length === 0 ? (
+                <p className="text-gray-400 text-center">No tracks are available yet. Please try again later.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 w-full max-w-6xl overflow-y-auto">
+                    {tracks.map(track => {
+                        const style = PERSONA_STYLES[track.persona] || PERSONA_STYLES.mentor;
+                        return (
+                            <ModeCard
+                                key={track.id}
+                                icon={style.icon}
+                                title={track.name}
+                                description={track.description}
+                                buttonText={style.buttonText}
+                                onClick={() => onSelect(track)}
+                                color={style.color}
+                            />
+                        );
+                    })}
+                </div>
+            )}
         </div>
     );
 }
 
+// How each persona's tracks look on the selection screen.
+const PERSONA_STYLES = {
+    mentor: { icon: <UserCheck className="h-12 w-12 text-blue-400 mb-4" />, buttonText: 'Start Mentoring', color: 'blue' },
+    coach: { icon: <Lightbulb className="h-12 w-12 text-purple-400 mb-4" />, buttonText: 'Start Coaching', color: 'purple' },
+};
+
 const ModeCard = ({ icon, title, description, buttonText, onClick, color }) => (
     <div className={`bg-gray-800 rounded-2xl p-8 flex flex-col items-center text-center border border-gray-700 hover:border-${color}-500 transition-all duration-300 transform hover:-translate-y-2`}>
         {icon}
@@ -394,15 +1139,3 @@ const ModeCard = ({ icon, title, description, buttonText, onClick, color }) => (
     </div>
 );
 
-const NavButton = ({ icon, label, active, onClick, mode }) => {
-    const mentorActive = 'bg-blue-600 text-white';
-    const coachActive = 'bg-purple-600 text-white';
-    const inactive = 'text-gray-300 hover:bg-gray-700 hover:text-white';
-    const activeClass = mode === 'mentor' ? mentorActive : coachActive;
-    return (
-        <button onClick={onClick} className={`flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md transition-colors ${active ? activeClass : inactive}`}>
-            <span className="hidden sm:inline">{label}</span>
-        </button>
-    );
-};
-
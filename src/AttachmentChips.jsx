@@ -0,0 +1,37 @@
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+import { formatSize, getAttachmentUrl } from './attachmentStore';
+
+// The link is only known after a round-trip, so the tab is opened first to stay clear of popup blockers.
+const openAttachment = async (attachment) => {
+    const tab = window.open('', '_blank');
+    try {
+        const url = await getAttachmentUrl(attachment.id);
+        if (tab) tab.location.href = url;
+    } catch (error) {
+        tab?.close();
+        console.error("Error opening attachment:", error);
+    }
+};
+
+// Attached documents, on a sent message or waiting in the footer; `onRemove` adds a remove button to each chip.
+export default function AttachmentChips({ attachments, onRemove, className = '' }) {
+    if (!attachments || attachments.length === 0) return null;
+
+    return (
+        <div className={`flex flex-wrap gap-2 ${className}`}>
+            {attachments.map(attachment => (
+                <span key={attachment.id} className="flex items-center gap-1 max-w-[14rem] pl-2 pr-1 py-1 rounded-md text-xs bg-black bg-opacity-20">
+                    <button onClick={() => openAttachment(attachment)} className="flex items-center gap-1 min-w-0 hover:underline" title={`Open ${attachment.name}`}>
+                        <FileText size={12} className="flex-shrink-0" />
+                        <span className="truncate">{attachment.name}</span>
+                        <span className="opacity-75 flex-shrink-0">{formatSize(attachment.size_bytes)}</span>
+                    </button>
+                    {onRemove && (
+                        <button onClick={() => onRemove(attachment)} className="p-0.5 rounded hover:bg-black hover:bg-opacity-20" title="Remove attachment"><X size={12} /></button>
+                    )}
+                </span>
+            ))}
+        </div>
+    );
+}
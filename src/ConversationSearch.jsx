@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Archive, Loader2, Search, X } from 'lucide-react';
+import { searchConversations, highlightParts } from './conversationStore';
+
+const SEARCH_DELAY_MS = 300;
+
+const modeLabel = (mode) => (mode === 'coach' ? 'Coach' : 'Mentor');
+
+// --- CONVERSATION SEARCH ---
+// Searches every stored message across the user's conversations; choosing a result opens it at that message.
+export default function ConversationSearch({ initialMode, onOpen, onClose }) {
+    const [query, setQuery] = useState('');
+    const [mode, setMode] = useState(initialMode || '');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [results, setResults] = useState(null);
+    const [isSearching, setIsSearching] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!query.trim()) {
+            setResults(null);
+            return undefined;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setIsSearching(true);
+            setError('');
+            try {
+                const data = await searchConversations({ query: query.trim(), mode: mode || null, from: from || null, to: to || null });
+                if (!cancelled) setResults(data);
+            } catch (err) {
+                if (!cancelled) setError(err.message || 'Search failed.');
+            }
+            if (!cancelled) setIsSearching(false);
+        }, SEARCH_DELAY_MS);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query, mode, from, to]);
+
+    const fieldClass = 'px-2 py-1 bg-gray-900 border border-gray-700 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-60 p-4">
+            <div className="w-full max-w-2xl max-h-full flex flex-col p-6 bg-gray-800 text-white rounded-2xl border border-gray-700">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="flex items-center gap-2 text-lg font-bold"><Search size={20} /> Search conversations</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close"><X size={20} /></button>
+                </div>
+
+                <div className="relative mb-3">
+                    <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                    <input
+                        autoFocus
+                        value={query}
+                        onChange={e => setQuery(e.target.value)}
+                        onKeyDown={e => e.key === 'Escape' && onClose()}
+                        placeholder='e.g. stakeholder mapping, "sponsor meeting", -budget'
+                        className="w-full pl-9 pr-3 py-2 bg-gray-900 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+                <div className="flex flex-wrap items-center gap-2 mb-4 text-sm text-gray-400">
+                    <select value={mode} onChange={e => setMode(e.target.value)} className={fieldClass}>
+                        <option value="">All modes</option>
+                        <option value="mentor">Mentor</option>
+                        <option value="coach">Coach</option>
+                    </select>
+                    <label className="flex items-center gap-1">From <input type="date" value={from} max={to || undefined} onChange={e => setFrom(e.target.value)} className={fieldClass} /></label>
+                    <label className="flex items-center gap-1">To <input type="date" value={to} min={from || undefined} onChange={e => setTo(e.target.value)} className={fieldClass} /></label>
+                    {(from || to) && <button onClick={() => { setFrom(''); setTo(''); }} className="hover:text-white">Clear dates</button>}
+                </div>
+
+                {error && (
+                    <div className="mb-4 p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                        <AlertTriangle className="h-5 w-5 mr-2" />
+                        {error}
+                    </div>
+                )}
+
+                <div className="flex-1 overflow-y-auto">
+                    {isSearching && <Loader2 className="animate-spin mx-auto" />}
+                    {!isSearching && results?.length === 0 && <p className="text-sm text-gray-400">No messages match your search.</p>}
+                    {!isSearching && results?.length > 0 && (
+                        <ul className="space-y-2">
+                            {results.map(result => (
+                                <li key={result.message_id}>
+                                    <button onClick={() => onOpen(result)} className="w-full text-left p-3 rounded-md bg-gray-900 border border-gray-700 hover:border-blue-500">
+                                        <div className="flex items-center gap-2 text-xs text-gray-400 mb-1">
+                                            <span className={`px-1.5 rounded ${result.mode === 'coach' ? 'bg-purple-800 text-purple-100' : 'bg-blue-900 text-blue-100'}`}>{modeLabel(result.mode)}</span>
+                                            <span className="truncate font-medium text-gray-200">{result.title || 'Untitled conversation'}</span>
+                                            {result.archived_at && <span title="Archived"><Archive size={12} /></span>}
+                                            <span className="ml-auto flex-shrink-0">{new Date(result.created_at).toLocaleDateString()}</span>
+                                        </div>
+                                        <p className="text-sm text-gray-300">
+                                            <span className="text-gray-500">{result.role === 'user' ? 'You: ' : `${modeLabel(result.mode)}: `}</span>
+                                            {highlightParts(result.snippet).map((part, index) => (part.match
+                                                ? <mark key={index} className="bg-yellow-300 text-gray-900 rounded px-0.5">{part.text}</mark>
+                                                : <span key={index}>{part.text}</span>))}
+                                        </p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
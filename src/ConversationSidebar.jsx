@@ -0,0 +1,103 @@
+import React, { useState, useRef } from 'react';
+import { Archive, ArchiveRestore, Check, History, Pencil, Trash2, Upload, X } from 'lucide-react';
+
+const formatDate = (value) => {
+    const date = new Date(value);
+    const now = new Date();
+    if (date.toDateString() === now.toDateString()) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+    return date.toLocaleDateString([], { month: 'short', day: 'numeric', year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric' });
+};
+
+// --- CONVERSATION HISTORY SIDEBAR ---
+export default function ConversationSidebar({ mode, conversations, activeId, showArchived, isLoading, onSelect, onRename, onArchive, onDelete, onToggleArchived, onImport }) {
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+    const fileInputRef = useRef(null);
+
+    const isMentorMode = mode === 'mentor';
+    const panelBg = isMentorMode ? 'bg-gray-900 border-gray-700' : 'bg-purple-950 border-purple-800';
+    const activeItem = isMentorMode ? 'bg-gray-700' : 'bg-purple-800';
+    const hoverItem = isMentorMode ? 'hover:bg-gray-800' : 'hover:bg-purple-900';
+
+    const beginRename = (conversation) => {
+        setEditingId(conversation.id);
+        setDraftTitle(conversation.title || '');
+    };
+
+    const commitRename = () => {
+        const title = draftTitle.trim();
+        if (title) onRename(editingId, title);
+        setEditingId(null);
+    };
+
+    const handleDelete = (conversation) => {
+        if (window.confirm(`Delete "${conversation.title || 'this conversation'}"? This cannot be undone.`)) {
+            onDelete(conversation.id);
+        }
+    };
+
+    return (
+        <aside className={`hidden md:flex flex-col w-64 flex-shrink-0 border-r ${panelBg}`}>
+            <div className="p-3 flex items-center justify-between text-xs uppercase tracking-wide text-gray-400">
+                <span className="flex items-center gap-2"><History size={14} /> {showArchived ? 'Archived' : 'History'}</span>
+                <div className="flex items-center gap-3">
+                    <button onClick={() => fileInputRef.current?.click()} className="hover:text-white" title="Import a conversation (JSON export)"><Upload size={14} /></button>
+                    <button onClick={onToggleArchived} className="normal-case hover:text-white" title={showArchived ? 'Show active conversations' : 'Show archived conversations'}>
+                        {showArchived ? 'Active' : 'Archived'}
+                    </button>
+                </div>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    onChange={e => {
+                        if (e.target.files[0]) onImport(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                />
+            </div>
+            <nav className="flex-1 overflow-y-auto px-2 pb-2 space-y-1">
+                {!isLoading && conversations.length === 0 && (
+                    <p className="px-2 py-4 text-sm text-gray-400">{showArchived ? 'No archived conversations.' : 'No past conversations yet.'}</p>
+                )}
+                {conversations.map(conversation => (
+                    <div key={conversation.id} className={`group rounded-md px-2 py-2 text-sm ${conversation.id === activeId ? activeItem : hoverItem}`}>
+                        {editingId === conversation.id ? (
+                            <div className="flex items-center gap-1">
+                                <input
+                                    autoFocus
+                                    value={draftTitle}
+                                    onChange={e => setDraftTitle(e.target.value)}
+                                    onKeyDown={e => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                    className="flex-1 min-w-0 bg-gray-800 text-white rounded px-1 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                                />
+                                <button onClick={commitRename} className="text-gray-300 hover:text-white" title="Save"><Check size={14} /></button>
+                                <button onClick={() => setEditingId(null)} className="text-gray-300 hover:text-white" title="Cancel"><X size={14} /></button>
+                            </div>
+                        ) : (
+                            <div className="flex items-start gap-1">
+                                <button onClick={() => onSelect(conversation.id)} className="flex-1 min-w-0 text-left">
+                                    <p className="truncate text-white">{conversation.title || 'Untitled conversation'}</p>
+                                    <p className="text-xs text-gray-400">{formatDate(conversation.updated_at)}</p>
+                                </button>
+                                <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <button onClick={() => beginRename(conversation)} className="text-gray-400 hover:text-white" title="Rename"><Pencil size={14} /></button>
+                                    <button onClick={() => onArchive(conversation.id, !showArchived)} className="text-gray-400 hover:text-white" title={showArchived ? 'Unarchive' : 'Archive'}>
+                                        {showArchived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+                                    </button>
+                                    <button onClick={() => handleDelete(conversation)} className="text-gray-400 hover:text-red-400" title="Delete"><Trash2 size={14} /></button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </nav>
+        </aside>
+    );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Brain, Check, Flag, Loader2, X } from 'lucide-react';
+import { addMemories, proposeMemories } from './memoryStore';
+
+// --- END OF SESSION MEMORY REVIEW ---
+// Asks the model what from this conversation is worth remembering and lets the user approve each suggestion.
+export default function EndSessionReview({ session, conversationId, isMentorMode }) {
+    const [proposals, setProposals] = useState(null);
+    const [approved, setApproved] = useState(new Set());
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleEndSession = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const suggested = await proposeMemories(conversationId, session.access_token);
+            setProposals(suggested);
+            setApproved(new Set(suggested));
+        } catch (err) {
+            setProposals([]);
+            setError(err.message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const toggle = (fact) => {
+        setApproved(prev => {
+            const next = new Set(prev);
+            if (next.has(fact)) next.delete(fact); else next.add(fact);
+            return next;
+        });
+    };
+
+    const handleSave = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            const facts = proposals.filter(fact => approved.has(fact));
+            if (facts.length > 0) await addMemories(session.user.id, facts, { source: 'model', conversationId });
+            setProposals(null);
+        } catch (err) {
+            setError(err.message || 'Could not save what to remember.');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const buttonBg = isMentorMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-purple-600 hover:bg-purple-700';
+
+    return (
+        <>
+            <button
+                onClick={handleEndSession}
+                disabled={!conversationId || isWorking}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded-md text-gray-400 hover:text-current disabled:opacity-50"
+                title={conversationId ? 'End the session and review what to remember' : 'Send a message first'}
+            >
+                {isWorking && proposals === null ? <Loader2 size={14} className="animate-spin" /> : <Flag size={14} />} End session
+            </button>
+            {proposals !== null && (
+                <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-60 p-4">
+                    <div className="w-full max-w-lg p-6 bg-gray-800 text-white rounded-2xl border border-gray-700 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h2 className="flex items-center gap-2 text-lg font-bold"><Brain size={20} /> Remember for next time?</h2>
+                            <button onClick={() => setProposals(null)} className="text-gray-400 hover:text-white" title="Close"><X size={20} /></button>
+                        </div>
+                        {error && (
+                            <div className="p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                                <AlertTriangle className="h-5 w-5 mr-2" />
+                                {error}
+                            </div>
+                        )}
+                        {proposals.length === 0 && !error && <p className="text-sm text-gray-400">Nothing new to remember from this session.</p>}
+                        {proposals.length > 0 && (
+                            <>
+                                <p className="text-sm text-gray-400">Untick anything you don't want remembered. Only the ticked facts are saved.</p>
+                                <ul className="space-y-2">
+                                    {proposals.map(fact => (
+                                        <li key={fact}>
+                                            <label className="flex items-start gap-3 p-3 bg-gray-900 rounded-lg border border-gray-700 cursor-pointer">
+                                                <input type="checkbox" checked={approved.has(fact)} onChange={() => toggle(fact)} className="mt-1" />
+                                                <span className="text-sm">{fact}</span>
+                                            </label>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                        <div className="flex justify-end gap-2">
+                            <button onClick={() => setProposals(null)} className="px-4 py-2 text-sm rounded-md text-gray-300 hover:bg-gray-700">{proposals.length > 0 ? 'Skip' : 'Close'}</button>
+                            {proposals.length > 0 && (
+                                <button onClick={handleSave} disabled={isWorking} className={`flex items-center gap-2 px-4 py-2 text-sm font-bold rounded-md disabled:bg-gray-500 ${buttonBg}`}>
+                                    {isWorking ? <Loader2 className="animate-spin" size={16} /> : <Check size={16} />} Remember {approved.size} of {proposals.length}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, FileJson, FileText, Loader2, Printer } from 'lucide-react';
+import { getConversation } from './conversationStore';
+import { listActionItems } from './actionPlanStore';
+import { buildExport, toMarkdown, downloadFile, exportFilename, openPrintView } from './conversationExport';
+
+// --- EXPORT MENU ---
+export default function ExportMenu({ conversationId, messages, isMentorMode }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        const handleClickOutside = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    const handleExport = async (format) => {
+        setIsOpen(false);
+        setIsExporting(true);
+        const printWindow = format === 'print' ? window.open('', '_blank') : null;
+        try {
+            const [conversation, actionItems] = await Promise.all([getConversation(conversationId), listActionItems(conversationId)]);
+            const doc = buildExport(conversation, messages, actionItems);
+            if (format === 'markdown') {
+                downloadFile(exportFilename(doc, 'md'), toMarkdown(doc), 'text/markdown');
+            } else if (format === 'json') {
+                downloadFile(exportFilename(doc, 'json'), JSON.stringify(doc, null, 2), 'application/json');
+            } else {
+                openPrintView(printWindow, doc);
+            }
+        } catch (error) {
+            printWindow?.close();
+            console.error("Error exporting conversation:", error);
+            window.alert(error.message || 'Could not export this conversation.');
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const menuBg = isMentorMode ? 'bg-gray-900 border-gray-700 text-gray-100' : 'bg-white border-purple-200 text-gray-900';
+    const itemHover = isMentorMode ? 'hover:bg-gray-700' : 'hover:bg-purple-100';
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen(prev => !prev)}
+                disabled={!conversationId || isExporting}
+                className="flex items-center gap-1 px-2 py-1 text-xs rounded-md text-gray-400 hover:text-current disabled:opacity-50"
+                title={conversationId ? 'Export this conversation' : 'Send a message first'}
+            >
+                {isExporting ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />} Export
+            </button>
+            {isOpen && (
+                <div className={`absolute right-0 mt-1 w-48 rounded-md border shadow-lg z-10 py-1 text-sm ${menuBg}`}>
+                    <button onClick={() => handleExport('markdown')} className={`w-full flex items-center gap-2 px-3 py-2 text-left ${itemHover}`}><FileText size={14} /> Markdown</button>
+                    <button onClick={() => handleExport('json')} className={`w-full flex items-center gap-2 px-3 py-2 text-left ${itemHover}`}><FileJson size={14} /> JSON</button>
+                    <button onClick={() => handleExport('print')} className={`w-full flex items-center gap-2 px-3 py-2 text-left ${itemHover}`}><Printer size={14} /> Print / PDF</button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight, Pencil, RefreshCw } from 'lucide-react';
+
+// --- MESSAGE ACTIONS ---
+// Branch arrows plus edit (user messages) or regenerate (assistant replies). Both create a sibling branch.
+export default function MessageActions({ isUser, branchIndex, branchCount, disabled, onSwitchBranch, onEdit, onRegenerate }) {
+    if (branchCount <= 1 && !onEdit && !onRegenerate) return null;
+
+    return (
+        <div className={`flex items-center gap-1 mt-1 text-xs text-gray-400 ${isUser ? 'justify-end' : ''}`}>
+            {branchCount > 1 && (
+                <>
+                    <button onClick={() => onSwitchBranch(-1)} disabled={disabled || branchIndex === 0} className="hover:text-current disabled:opacity-40" title="Previous version"><ChevronLeft size={14} /></button>
+                    <span>{branchIndex + 1} / {branchCount}</span>
+                    <button onClick={() => onSwitchBranch(1)} disabled={disabled || branchIndex === branchCount - 1} className="hover:text-current disabled:opacity-40" title="Next version"><ChevronRight size={14} /></button>
+                </>
+            )}
+            {onEdit && (
+                <button onClick={onEdit} disabled={disabled} className="ml-1 opacity-0 group-hover:opacity-100 hover:text-current disabled:opacity-0" title="Edit and resend"><Pencil size={14} /></button>
+            )}
+            {onRegenerate && (
+                <button onClick={onRegenerate} disabled={disabled} className="ml-1 opacity-0 group-hover:opacity-100 hover:text-current disabled:opacity-0" title="Regenerate this reply"><RefreshCw size={14} /></button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Loader2, ShieldCheck, X } from 'lucide-react';
+import { REDACTION_LEVELS, getPrivacySettings, savePrivacySettings } from './privacyStore';
+
+const linesOf = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// --- PRIVACY SETTINGS ---
+export default function PrivacySettings({ session, onClose }) {
+    const [level, setLevel] = useState(null);
+    const [terms, setTerms] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadSettings = async () => {
+            try {
+                const settings = await getPrivacySettings(session.user.id);
+                setLevel(settings.redaction_level);
+                setTerms(settings.sensitive_terms.join('\n'));
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        loadSettings();
+    }, [session.user.id]);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        try {
+            await savePrivacySettings(session.user.id, { redaction_level: level, sensitive_terms: linesOf(terms) });
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Could not save your privacy settings.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-60 p-4">
+            <form onSubmit={handleSave} className="w-full max-w-lg p-6 bg-gray-800 text-white rounded-2xl border border-gray-700 space-y-4">
+                <div className="flex items-center justify-between">
+                    <h2 className="flex items-center gap-2 text-lg font-bold"><ShieldCheck size={20} /> Privacy</h2>
+                    <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" title="Close"><X size={20} /></button>
+                </div>
+                <p className="text-sm text-gray-400">
+                    Personal details are replaced with placeholders such as [PERSON_1] before your messages reach the AI model, and put back in its replies. Your saved history keeps the original text.
+                </p>
+
+                {error && (
+                    <div className="p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                        <AlertTriangle className="h-5 w-5 mr-2" />
+                        {error}
+                    </div>
+                )}
+
+                {level === null && !error ? <Loader2 className="animate-spin mx-auto" /> : (
+                    <>
+                        <fieldset className="space-y-2">
+                            <legend className="text-sm text-gray-400 mb-1">Redaction</legend>
+                            {REDACTION_LEVELS.map(option => (
+                                <label key={option.id} className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer ${level === option.id ? 'border-blue-500 bg-gray-700' : 'border-gray-700 hover:bg-gray-700'}`}>
+                                    <input type="radio" name="redaction_level" value={option.id} checked={level === option.id} onChange={() => setLevel(option.id)} className="mt-1" />
+                                    <span>
+                                        <span className="block text-sm font-semibold">{option.label}</span>
+                                        <span className="block text-xs text-gray-400">{option.description}</span>
+                                    </span>
+                                </label>
+                            ))}
+                        </fieldset>
+                        <label className="block text-sm text-gray-400">Sensitive terms (one per line, e.g. project code names or client names)
+                            <textarea
+                                value={terms}
+                                onChange={e => setTerms(e.target.value)}
+                                rows={4}
+                                disabled={level === 'off'}
+                                className="w-full mt-1 px-3 py-2 bg-gray-900 border border-gray-700 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                            />
+                        </label>
+                    </>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <button type="button" onClick={onClose} className="px-4 py-2 text-sm rounded-md text-gray-300 hover:bg-gray-700">Cancel</button>
+                    <button type="submit" disabled={isSaving || level === null} className="px-4 py-2 text-sm font-bold rounded-md bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500">
+                        {isSaving ? <Loader2 className="animate-spin" size={16} /> : 'Save'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
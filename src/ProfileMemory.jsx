@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Brain, Loader2, PlusCircle, Sparkles, Trash2, X } from 'lucide-react';
+import { MAX_FACT_LENGTH, listMemories, addMemories, deleteMemory } from './memoryStore';
+
+// --- PROFILE MEMORY ---
+export default function ProfileMemory({ session, onClose }) {
+    const [facts, setFacts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [draft, setDraft] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadFacts = async () => {
+            try {
+                setFacts(await listMemories(session.user.id));
+            } catch (err) {
+                setError(err.message);
+            }
+            setIsLoading(false);
+        };
+        loadFacts();
+    }, [session.user.id]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        setError('');
+        try {
+            const saved = await addMemories(session.user.id, [draft]);
+            setFacts(prev => [...prev, ...saved]);
+            setDraft('');
+        } catch (err) {
+            setError(err.message || 'Could not save this fact.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteMemory(id);
+            setFacts(prev => prev.filter(fact => fact.id !== id));
+        } catch (err) {
+            setError(err.message || 'Could not delete this fact.');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-60 p-4">
+            <div className="w-full max-w-2xl max-h-full flex flex-col p-6 bg-gray-800 text-white rounded-2xl border border-gray-700">
+                <div className="flex items-center justify-between mb-2">
+                    <h2 className="flex items-center gap-2 text-lg font-bold"><Brain size={20} /> What I remember about you</h2>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white" title="Close"><X size={20} /></button>
+                </div>
+                <p className="text-sm text-gray-400 mb-4">
+                    Your mentor and coach read these notes at the start of every session. Add anything you want them to know, and delete whatever should be forgotten.
+                </p>
+
+                {error && (
+                    <div className="mb-4 p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                        <AlertTriangle className="h-5 w-5 mr-2" />
+                        {error}
+                    </div>
+                )}
+
+                <form onSubmit={handleAdd} className="flex gap-2 mb-4">
+                    <input
+                        value={draft}
+                        onChange={e => setDraft(e.target.value)}
+                        maxLength={MAX_FACT_LENGTH}
+                        placeholder="e.g. I lead a team of six product designers"
+                        className="flex-1 px-3 py-2 bg-gray-900 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button type="submit" disabled={!draft.trim()} className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500"><PlusCircle size={16} /> Add</button>
+                </form>
+
+                <div className="flex-1 overflow-y-auto">
+                    {isLoading ? <Loader2 className="animate-spin mx-auto" /> : (
+                        facts.length === 0
+                            ? <p className="text-sm text-gray-400">Nothing remembered yet. Add a fact above, or use End session after a conversation to review suggestions.</p>
+                            : (
+                                <ul className="space-y-2">
+                                    {facts.map(fact => (
+                                        <li key={fact.id} className="group flex items-start gap-3 p-3 bg-gray-900 rounded-lg border border-gray-700">
+                                            {fact.source === 'model'
+                                                ? <Sparkles size={14} className="mt-1 flex-shrink-0 text-gray-400" />
+                                                : <Brain size={14} className="mt-1 flex-shrink-0 text-gray-400" />}
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-sm">{fact.fact}</p>
+                                                <p className="text-xs text-gray-500">{new Date(fact.created_at).toLocaleDateString()}{fact.source === 'model' ? ' · suggested at the end of a session' : ''}</p>
+                                            </div>
+                                            <button onClick={() => handleDelete(fact.id)} className="text-gray-400 hover:text-red-400" title="Forget this"><Trash2 size={14} /></button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { ExternalLink, LifeBuoy } from 'lucide-react';
+
+// --- SAFETY RESOURCES CARD ---
+// Shown in place of a normal reply when a message is escalated by the safety screen.
+export default function SafetyCard({ safety }) {
+    return (
+        <div className="max-w-md p-4 rounded-2xl bg-amber-50 border-2 border-amber-400 text-gray-900" role="alert">
+            <div className="flex items-center gap-2 mb-2">
+                <LifeBuoy className="h-5 w-5 text-amber-600 flex-shrink-0" />
+                <h3 className="font-bold text-sm">{safety.title}</h3>
+            </div>
+            <p className="text-sm mb-3" style={{ whiteSpace: 'pre-wrap' }}>{safety.message}</p>
+            <ul className="space-y-2">
+                {safety.resources.map(resource => (
+                    <li key={resource.name} className="text-sm">
+                        {resource.url
+                            ? <a href={resource.url} target="_blank" rel="noopener noreferrer" className="font-semibold text-amber-800 hover:underline inline-flex items-center gap-1">{resource.name} <ExternalLink size={12} /></a>
+                            : <span className="font-semibold">{resource.name}</span>}
+                        {resource.detail && <span className="block text-gray-600">{resource.detail}</span>}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
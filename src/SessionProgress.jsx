@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Check, CheckCircle, Clock, Loader2, SkipForward } from 'lucide-react';
+import { SESSION_PHASES, minutesRemaining, updateSession } from './sessionStore';
+
+// --- STRUCTURED SESSION PROGRESS ---
+// The phase indicator and timer for a structured coaching session, with controls to move on early or finish.
+export default function SessionProgress({ session, conversationId, coachingSession, disabled, onChange }) {
+    const [isWorking, setIsWorking] = useState(false);
+    const [error, setError] = useState('');
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 30000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const phase = coachingSession.session_phase || 'agreement';
+    const currentIndex = phase === 'closed' ? SESSION_PHASES.length : SESSION_PHASES.findIndex(step => step.id === phase);
+    const remaining = minutesRemaining(coachingSession, now);
+
+    const handleUpdate = async (action) => {
+        setIsWorking(true);
+        setError('');
+        try {
+            onChange(await updateSession(conversationId, action, session.access_token));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <div className="px-4 pt-2 text-xs text-purple-900">
+            <div className="flex flex-wrap items-center gap-2">
+                <ol className="flex flex-1 items-center gap-1">
+                    {SESSION_PHASES.map((step, index) => (
+                        <li key={step.id} className="flex flex-1 flex-col gap-1 min-w-0">
+                            <div className={`h-1.5 rounded-full ${index < currentIndex ? 'bg-purple-600' : index === currentIndex ? 'bg-purple-400' : 'bg-purple-200'}`} />
+                            <span className={`flex items-center gap-1 truncate ${index === currentIndex ? 'font-bold' : 'text-purple-700'}`}>
+                                {index < currentIndex && <Check size={12} />} {step.label}
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+                {phase !== 'closed' && (
+                    <>
+                        <span className={`flex items-center gap-1 ${remaining === 0 ? 'text-red-600 font-bold' : ''}`} title={`${coachingSession.session_minutes}-minute session`}>
+                            <Clock size={12} /> {remaining === 0 ? 'Time is up' : `${remaining} min left`}
+                        </span>
+                        {phase !== 'close' && (
+                            <button onClick={() => handleUpdate('advance')} disabled={disabled || isWorking || !conversationId} className="flex items-center gap-1 px-2 py-1 rounded-md hover:bg-purple-100 disabled:opacity-50" title="Move on to the next phase">
+                                <SkipForward size={12} /> Next phase
+                            </button>
+                        )}
+                        <button onClick={() => handleUpdate('close')} disabled={disabled || isWorking || !conversationId} className="flex items-center gap-1 px-2 py-1 rounded-md font-bold text-white bg-purple-600 hover:bg-purple-700 disabled:opacity-50" title="Close the session and summarize insights and commitments">
+                            {isWorking ? <Loader2 size={12} className="animate-spin" /> : <CheckCircle size={12} />} Finish session
+                        </button>
+                    </>
+                )}
+            </div>
+            {error && (
+                <div className="mt-2 p-2 bg-red-800 border border-red-600 rounded-md text-white flex items-center">
+                    <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+                    <span>{error}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// The summary stored when a structured session is closed.
+export function ClosingSummary({ summary }) {
+    return (
+        <div className="p-4 rounded-2xl bg-white border border-purple-200 text-purple-900 text-sm space-y-3">
+            <h3 className="flex items-center gap-2 font-bold"><CheckCircle size={16} /> Session summary</h3>
+            <div>
+                <h4 className="font-bold text-xs uppercase tracking-wide text-purple-700">Insights</h4>
+                {summary.insights.length > 0
+                    ? <ul className="list-disc pl-5">{summary.insights.map(insight => <li key={insight}>{insight}</li>)}</ul>
+                    : <p className="text-purple-700">No insights were recorded.</p>}
+            </div>
+            <div>
+                <h4 className="font-bold text-xs uppercase tracking-wide text-purple-700">Commitments</h4>
+                {summary.commitments.length > 0
+                    ? <ul className="list-disc pl-5">{summary.commitments.map(commitment => <li key={commitment}>{commitment}</li>)}</ul>
+                    : <p className="text-purple-700">No commitments were made.</p>}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, ArrowLeft, Loader2, PlusCircle } from 'lucide-react';
+import { PERSONAS, listTracks, saveTrack } from './tracksStore';
+
+const EMPTY_TRACK = { id: '', name: '', persona: 'mentor', description: '', prompt_extension: '', starter_prompts: [], frameworks: [], sort_order: 0, active: true };
+
+const linesOf = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+// --- TRACK ADMIN ---
+export default function TrackAdmin({ onBack, onTracksChanged }) {
+    const [tracks, setTracks] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [draft, setDraft] = useState(null);
+    const [isNew, setIsNew] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadTracks = async () => {
+            try {
+                setTracks(await listTracks({ includeInactive: true }));
+            } catch (err) {
+                setError(err.message);
+            }
+            setIsLoading(false);
+        };
+        loadTracks();
+    }, []);
+
+    const beginEdit = (track, creating = false) => {
+        setDraft({ ...track, starter_prompts: track.starter_prompts.join('\n'), frameworks: track.frameworks.join('\n') });
+        setIsNew(creating);
+        setError('');
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        try {
+            const saved = await saveTrack({
+                ...draft,
+                id: draft.id.trim(),
+                sort_order: Number(draft.sort_order) || 0,
+                starter_prompts: linesOf(draft.starter_prompts),
+                frameworks: linesOf(draft.frameworks),
+            }, { isNew });
+            setTracks(prev => [...prev.filter(track => track.id !== saved.id), saved].sort((a, b) => a.sort_order - b.sort_order));
+            setDraft(null);
+            onTracksChanged();
+        } catch (err) {
+            setError(err.message || 'Could not save the track.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const inputClass = 'w-full px-3 py-2 bg-gray-800 border border-gray-700 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-4 sm:p-8">
+            <div className="max-w-3xl mx-auto">
+                <button onClick={onBack} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm mb-6"><ArrowLeft size={16} /> Back</button>
+                <div className="flex items-center justify-between mb-6">
+                    <h1 className="text-2xl font-bold">Tracks</h1>
+                    <button onClick={() => beginEdit(EMPTY_TRACK, true)} className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-md bg-blue-600 hover:bg-blue-700"><PlusCircle size={16} /> New Track</button>
+                </div>
+
+                {error && (
+                    <div className="mb-4 p-3 bg-red-800 border border-red-600 rounded-md text-sm flex items-center">
+                        <AlertTriangle className="h-5 w-5 mr-2" />
+                        {error}
+                    </div>
+                )}
+
+                {draft && (
+                    <form onSubmit={handleSave} className="mb-8 p-4 bg-gray-800 rounded-2xl border border-gray-700 space-y-3">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <label className="text-sm text-gray-400">ID (lowercase, dashes)
+                                <input value={draft.id} onChange={e => setDraft({ ...draft, id: e.target.value })} disabled={!isNew} required pattern="[a-z0-9-]+" className={inputClass} />
+                            </label>
+                            <label className="text-sm text-gray-400">Name
+                                <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} required className={inputClass} />
+                            </label>
+                        </div>
+                        <label className="block text-sm text-gray-400">Persona
+                            <select value={draft.persona} onChange={e => setDraft({ ...draft, persona: e.target.value })} disabled={!isNew} className={inputClass}>
+                                {PERSONAS.map(persona => <option key={persona.id} value={persona.id}>{persona.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="block text-sm text-gray-400">Description
+                            <input value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} className={inputClass} />
+                        </label>
+                        <label className="block text-sm text-gray-400">Prompt extension (appended to the persona's system prompt; leave empty for the persona on its own)
+                            <textarea value={draft.prompt_extension} onChange={e => setDraft({ ...draft, prompt_extension: e.target.value })} rows={4} className={inputClass} />
+                        </label>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            <label className="text-sm text-gray-400">Starter prompts (one per line)
+                                <textarea value={draft.starter_prompts} onChange={e => setDraft({ ...draft, starter_prompts: e.target.value })} rows={4} className={inputClass} />
+                            </label>
+                            <label className="text-sm text-gray-400">Frameworks (one per line)
+                                <textarea value={draft.frameworks} onChange={e => setDraft({ ...draft, frameworks: e.target.value })} rows={4} className={inputClass} />
+                            </label>
+                        </div>
+                        <div className="flex items-center gap-6">
+                            <label className="text-sm text-gray-400">Sort order
+                                <input type="number" value={draft.sort_order} onChange={e => setDraft({ ...draft, sort_order: e.target.value })} className={`${inputClass} w-24`} />
+                            </label>
+                            <label className="flex items-center gap-2 text-sm text-gray-400">
+                                <input type="checkbox" checked={draft.active} onChange={e => setDraft({ ...draft, active: e.target.checked })} /> Active
+                            </label>
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 text-sm rounded-md text-gray-300 hover:bg-gray-700">Cancel</button>
+                            <button type="submit" disabled={isSaving} className="px-4 py-2 text-sm font-bold rounded-md bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500">
+                                {isSaving ? <Loader2 className="animate-spin" size={16} /> : 'Save Track'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {isLoading ? <Loader2 className="animate-spin mx-auto" /> : (
+                    <ul className="space-y-2">
+                        {tracks.map(track => (
+                            <li key={track.id} className="flex items-center justify-between p-4 bg-gray-800 rounded-lg border border-gray-700">
+                                <div>
+                                    <p className="font-semibold">{track.name} {!track.active && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}</p>
+                                    <p className="text-sm text-gray-400">{track.description}</p>
+                                    <p className="text-xs text-gray-500">{track.id} · {PERSONAS.find(persona => persona.id === track.persona)?.name || track.persona} · v{track.version}</p>
+                                </div>
+                                <button onClick={() => beginEdit(track)} className="text-sm text-blue-400 hover:text-blue-300">Edit</button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+import { supabase } from './supabaseClient';
+
+export const listActionItems = async (conversationId) => {
+    const { data, error } = await supabase
+        .from('action_items')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data;
+};
+
+export const updateActionItem = async (id, changes) => {
+    const { data, error } = await supabase
+        .from('action_items')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select('*')
+        .single();
+    if (error) throw error;
+    return data;
+};
+
+export const deleteActionItem = async (id) => {
+    const { error } = await supabase.from('action_items').delete().eq('id', id);
+    if (error) throw error;
+};
+
+// Asks the server to pull goals and action items out of the conversation; returns the full updated plan.
+export const extractActionPlan = async (conversationId, accessToken) => {
+    const response = await fetch('/.netlify/functions/extractActionPlan', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ conversationId }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to extract the action plan.');
+    }
+    return data.items;
+};
@@ -0,0 +1,33 @@
+import { supabase } from './supabaseClient';
+
+export const PERIODS = [
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+    { days: 90, label: 'Last 90 days' },
+];
+
+export const periodStart = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Aggregate usage since `since`. The function refuses anyone who is not an admin.
+export const getUsageSummary = async (since) => {
+    const { data, error } = await supabase.rpc('admin_usage_summary', { p_since: since });
+    if (error) throw error;
+    return data;
+};
+
+// Anonymized themes since `since`; each call also labels the next batch of new conversations.
+export const getThemes = async (since, accessToken) => {
+    const response = await fetch('/.netlify/functions/adminThemes', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ since }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to load themes.');
+    }
+    return data;
+};
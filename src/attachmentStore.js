@@ -0,0 +1,54 @@
+import { supabase } from './supabaseClient';
+
+// Documents attached to a message. They are uploaded as soon as they are picked; the message then carries
+// [{ id, name, mime_type, size_bytes }], and callGemini passes their relevant content to the model.
+export const ACCEPTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.docx', '.pdf'];
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 5;
+
+// Why a picked file cannot be attached, or null when it can.
+export const attachmentProblem = (file) => {
+    const name = file.name.toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.some(extension => name.endsWith(extension))) return `${file.name}: only text, Markdown, Word (.docx) and PDF files can be attached.`;
+    if (file.size > MAX_ATTACHMENT_BYTES) return `${file.name} is larger than 4 MB.`;
+    return null;
+};
+
+export const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Uploads a file; its text is extracted on the server. Returns the attachment to keep on the message.
+export const uploadAttachment = async (file, accessToken) => {
+    const response = await fetch('/.netlify/functions/uploadAttachment', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ name: file.name, data: await readAsBase64(file) }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Could not attach ${file.name}.`);
+    }
+    return data.attachment;
+};
+
+// A short-lived link to download the original file.
+export const getAttachmentUrl = async (attachmentId) => {
+    const { data, error } = await supabase.from('attachments').select('storage_path').eq('id', attachmentId).single();
+    if (error) throw error;
+    const { data: signed, error: signError } = await supabase.storage.from('attachments').createSignedUrl(data.storage_path, 60);
+    if (signError) throw signError;
+    return signed.signedUrl;
+};
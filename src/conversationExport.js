@@ -0,0 +1,241 @@
+// Conversation export and import.
+//
+// JSON export format ("smartlinks.conversation", version 1):
+//
+//   {
+//     "format": "smartlinks.conversation",
+//     "version": 1,
+//     "exported_at": "2026-10-19T09:30:00.000Z",       // ISO 8601
+//     "conversation": {
+//       "title": "Preparing for a difficult sponsor meeting",
+//       "mode": "mentor",                              // "mentor" | "coach"
+//       "track_id": "project-management",              // track id, or null
+//       "created_at": "2026-10-12T08:00:00.000Z",
+//       "updated_at": "2026-10-12T08:45:00.000Z",
+//       "closing_summary": {                           // structured coaching sessions only, once closed
+//         "insights": ["You realised the sponsor needs options, not reassurance"],
+//         "commitments": ["You will send the revised plan by Friday"]
+//       }
+//     },
+//     "messages": [                                    // the branch on screen, oldest first
+//       { "role": "assistant", "content": "Hello! ...", "created_at": "2026-10-12T08:00:00.000Z" },
+//       { "role": "user", "content": "My project is slipping...", "created_at": "..." }
+//     ],
+//     "action_items": [
+//       { "kind": "goal", "description": "Reset the timeline with the sponsor", "owner": null, "due_date": null, "done": false },
+//       { "kind": "action", "description": "Draft the revised plan", "owner": "me", "due_date": "2026-10-20", "done": false }
+//     ]
+//   }
+//
+// `created_at`, `track_id`, `closing_summary`, `owner` and `due_date` may be null. Import accepts exactly this
+// shape; the closing summary is kept in the file for reference and not restored.
+
+export const EXPORT_FORMAT = 'smartlinks.conversation';
+export const EXPORT_VERSION = 1;
+
+const MODES = ['mentor', 'coach'];
+const ROLES = ['user', 'assistant'];
+const ITEM_KINDS = ['goal', 'action'];
+const MAX_IMPORT_MESSAGES = 2000;
+// Matches the check on action_items.owner.
+const MAX_OWNER_LENGTH = 80;
+
+const modeLabel = (mode) => (mode === 'coach' ? 'AI Coach' : 'AI Mentor');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+export const buildExport = (conversation, messages, actionItems) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    conversation: {
+        title: conversation.title || null,
+        mode: conversation.mode,
+        track_id: conversation.track_id || null,
+        created_at: conversation.created_at || null,
+        updated_at: conversation.updated_at || null,
+        closing_summary: conversation.closing_summary
+            ? { insights: conversation.closing_summary.insights, commitments: conversation.closing_summary.commitments }
+            : null,
+    },
+    messages: messages
+        .filter(msg => !msg.isError)
+        .map(({ role, content, created_at }) => ({ role, content, created_at: created_at || null })),
+    action_items: actionItems.map(({ kind, description, owner, due_date, done }) => ({
+        kind, description, owner: owner || null, due_date: due_date || null, done: Boolean(done),
+    })),
+});
+
+export const toMarkdown = (doc) => {
+    const { conversation } = doc;
+    const lines = [
+        `# ${conversation.title || 'Conversation'}`,
+        '',
+        `- **Mode:** ${modeLabel(conversation.mode)}${conversation.track_id ? ` (${conversation.track_id})` : ''}`,
+        `- **Started:** ${formatDateTime(conversation.created_at)}`,
+        `- **Last activity:** ${formatDateTime(conversation.updated_at)}`,
+        `- **Exported:** ${formatDateTime(doc.exported_at)}`,
+        '',
+        '## Transcript',
+        '',
+    ];
+    doc.messages.forEach(msg => {
+        lines.push(`**${msg.role === 'user' ? 'You' : modeLabel(conversation.mode)}**${msg.created_at ? ` · ${formatDateTime(msg.created_at)}` : ''}`, '');
+        lines.push(msg.content, '');
+    });
+
+    const closing = conversation.closing_summary;
+    if (closing) {
+        lines.push('## Session Summary', '');
+        if (closing.insights.length > 0) lines.push('### Insights', '', ...closing.insights.map(insight => `- ${insight}`), '');
+        if (closing.commitments.length > 0) lines.push('### Commitments', '', ...closing.commitments.map(commitment => `- ${commitment}`), '');
+    }
+
+    const goals = doc.action_items.filter(item => item.kind === 'goal');
+    const actions = doc.action_items.filter(item => item.kind === 'action');
+    if (goals.length > 0 || actions.length > 0) {
+        lines.push('## Action Plan', '');
+        if (goals.length > 0) {
+            lines.push('### Goals', '', ...goals.map(goal => `- ${goal.description}`), '');
+        }
+        if (actions.length > 0) {
+            lines.push('### Action Items', '', ...actions.map(item => {
+                const details = [item.owner, item.due_date && `due ${item.due_date}`].filter(Boolean).join(', ');
+                return `- [${item.done ? 'x' : ' '}] ${item.description}${details ? ` (${details})` : ''}`;
+            }), '');
+        }
+    }
+    return lines.join('\n');
+};
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A self-contained, print-friendly HTML page; printing it to PDF gives the PDF export.
+export const toPrintableHtml = (doc) => {
+    const { conversation } = doc;
+    const messages = doc.messages.map(msg => `
+        <div class="message ${msg.role}">
+            <div class="who">${msg.role === 'user' ? 'You' : modeLabel(conversation.mode)}${msg.created_at ? ` <span>${escapeHtml(formatDateTime(msg.created_at))}</span>` : ''}</div>
+            <div class="content">${escapeHtml(msg.content)}</div>
+        </div>`).join('');
+    const items = doc.action_items.map(item => `
+        <li>${item.kind === 'action' ? (item.done ? '&#9745; ' : '&#9744; ') : '<strong>Goal:</strong> '}${escapeHtml(item.description)}${item.owner ? ` <em>(${escapeHtml(item.owner)})</em>` : ''}${item.due_date ? ` <em>due ${escapeHtml(item.due_date)}</em>` : ''}</li>`).join('');
+    const closing = conversation.closing_summary;
+    const closingList = (heading, entries) => (entries.length > 0
+        ? `<h3>${heading}</h3><ul>${entries.map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}</ul>`
+        : '');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(conversation.title || 'Conversation')}</title>
+<style>
+    body { font-family: 'Inter', -apple-system, 'Segoe UI', sans-serif; color: #111827; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    .meta { color: #6b7280; font-size: 0.875rem; margin-bottom: 1.5rem; }
+    .message { border-left: 3px solid #d1d5db; padding: 0.25rem 0 0.25rem 0.75rem; margin-bottom: 1rem; page-break-inside: avoid; }
+    .message.user { border-color: #7c3aed; }
+    .who { font-weight: 700; font-size: 0.875rem; }
+    .who span { font-weight: 400; color: #6b7280; }
+    .content { white-space: pre-wrap; font-size: 0.9rem; }
+    ul { padding-left: 1.25rem; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(conversation.title || 'Conversation')}</h1>
+    <div class="meta">
+        ${escapeHtml(modeLabel(conversation.mode))}${conversation.track_id ? ` &middot; ${escapeHtml(conversation.track_id)}` : ''}<br />
+        Started ${escapeHtml(formatDateTime(conversation.created_at))} &middot; Last activity ${escapeHtml(formatDateTime(conversation.updated_at))}
+    </div>
+    <h2>Transcript</h2>
+    ${messages}
+    ${closing ? `<h2>Session Summary</h2>${closingList('Insights', closing.insights)}${closingList('Commitments', closing.commitments)}` : ''}
+    ${items ? `<h2>Action Plan</h2><ul>${items}</ul>` : ''}
+</body>
+</html>`;
+};
+
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+export const exportFilename = (doc, extension) => {
+    const slug = (doc.conversation.title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+    return `${slug || 'conversation'}-${doc.exported_at.slice(0, 10)}.${extension}`;
+};
+
+// `printWindow` must be opened synchronously in the click handler, before any await, or pop-up blockers stop it.
+export const openPrintView = (printWindow, doc) => {
+    if (!printWindow) throw new Error('Allow pop-ups for this site to open the printable view.');
+    printWindow.document.write(toPrintableHtml(doc));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+};
+
+const isDateOrNull = (value) => value === null || value === undefined || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+const isStringOrNull = (value) => value === null || value === undefined || typeof value === 'string';
+
+// A YYYY-MM-DD day that exists in the calendar; Date rolls 2026-02-30 over to March, so compare the round trip.
+const isCalendarDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Collapses whitespace and control characters, as the owner is shown on one line.
+const normalizeOwner = (owner) => owner?.replace(/[\s\p{Cc}]+/gu, ' ').trim() || null;
+
+// Checks an imported document against the export format and returns it normalized; throws an Error naming the first problem.
+export const validateImport = (doc) => {
+    const fail = (reason) => { throw new Error(`Invalid conversation file: ${reason}`); };
+
+    if (!doc || typeof doc !== 'object') fail('not a JSON object.');
+    if (doc.format !== EXPORT_FORMAT) fail(`"format" must be "${EXPORT_FORMAT}".`);
+    if (doc.version !== EXPORT_VERSION) fail(`unsupported version ${doc.version}.`);
+
+    const { conversation, messages, action_items: actionItems = [] } = doc;
+    if (!conversation || typeof conversation !== 'object') fail('missing "conversation".');
+    if (!MODES.includes(conversation.mode)) fail(`"conversation.mode" must be one of ${MODES.join(', ')}.`);
+    if (!isStringOrNull(conversation.title)) fail('"conversation.title" must be a string.');
+    if (!isStringOrNull(conversation.track_id)) fail('"conversation.track_id" must be a string.');
+    if (!isDateOrNull(conversation.created_at)) fail('"conversation.created_at" is not a date.');
+
+    if (!Array.isArray(messages) || messages.length === 0) fail('"messages" must be a non-empty array.');
+    if (messages.length > MAX_IMPORT_MESSAGES) fail(`more than ${MAX_IMPORT_MESSAGES} messages.`);
+    messages.forEach((msg, index) => {
+        if (!msg || !ROLES.includes(msg.role)) fail(`messages[${index}].role must be "user" or "assistant".`);
+        if (typeof msg.content !== 'string') fail(`messages[${index}].content must be a string.`);
+        if (!isDateOrNull(msg.created_at)) fail(`messages[${index}].created_at is not a date.`);
+    });
+
+    if (!Array.isArray(actionItems)) fail('"action_items" must be an array.');
+    actionItems.forEach((item, index) => {
+        if (!item || !ITEM_KINDS.includes(item.kind)) fail(`action_items[${index}].kind must be "goal" or "action".`);
+        if (typeof item.description !== 'string' || !item.description.trim()) fail(`action_items[${index}].description must be a non-empty string.`);
+        if (!isStringOrNull(item.owner)) fail(`action_items[${index}].owner must be a string.`);
+        if (normalizeOwner(item.owner)?.length > MAX_OWNER_LENGTH) fail(`action_items[${index}].owner can be at most ${MAX_OWNER_LENGTH} characters.`);
+        if (item.due_date && !isCalendarDate(item.due_date)) fail(`action_items[${index}].due_date must be a date written YYYY-MM-DD.`);
+    });
+
+    return {
+        conversation: {
+            title: conversation.title || null,
+            mode: conversation.mode,
+            track_id: conversation.track_id || null,
+        },
+        messages: messages.map(({ role, content, created_at }) => ({ role, content, created_at: created_at || null })),
+        action_items: actionItems.map(({ kind, description, owner, due_date, done }) => ({
+            kind, description: description.trim(), owner: normalizeOwner(owner), due_date: due_date || null, done: Boolean(done),
+        })),
+    };
+};
@@ -0,0 +1,69 @@
+import { buildExport, validateImport, EXPORT_FORMAT, EXPORT_VERSION } from './conversationExport';
+
+const exported = () => buildExport(
+    { title: 'Sponsor meeting', mode: 'mentor', track_id: 'project-management', created_at: '2026-10-12T08:00:00.000Z' },
+    [
+        { role: 'assistant', content: 'Hello!', created_at: '2026-10-12T08:00:00.000Z' },
+        { role: 'user', content: 'My project is slipping.', created_at: '2026-10-12T08:01:00.000Z' },
+        { role: 'assistant', content: 'Something went wrong.', isError: true },
+    ],
+    [{ kind: 'action', description: 'Draft the revised plan', owner: 'me', due_date: '2026-10-20', done: false }]
+);
+const withItem = (item) => ({ ...exported(), action_items: [{ kind: 'action', description: 'Draft the plan', ...item }] });
+
+test('an export round-trips through validateImport', () => {
+    const doc = JSON.parse(JSON.stringify(exported()));
+    expect(doc.format).toBe(EXPORT_FORMAT);
+    expect(doc.version).toBe(EXPORT_VERSION);
+    expect(validateImport(doc)).toEqual({
+        conversation: { title: 'Sponsor meeting', mode: 'mentor', track_id: 'project-management' },
+        messages: [
+            { role: 'assistant', content: 'Hello!', created_at: '2026-10-12T08:00:00.000Z' },
+            { role: 'user', content: 'My project is slipping.', created_at: '2026-10-12T08:01:00.000Z' },
+        ],
+        action_items: [{ kind: 'action', description: 'Draft the revised plan', owner: 'me', due_date: '2026-10-20', done: false }],
+    });
+});
+
+test('rejects files in another format or version', () => {
+    expect(() => validateImport(null)).toThrow('not a JSON object');
+    expect(() => validateImport({ ...exported(), format: 'other' })).toThrow('"format"');
+    expect(() => validateImport({ ...exported(), version: 2 })).toThrow('unsupported version 2');
+});
+
+test('rejects unknown modes, roles and empty transcripts', () => {
+    const doc = exported();
+    expect(() => validateImport({ ...doc, conversation: { ...doc.conversation, mode: 'oracle' } })).toThrow('"conversation.mode"');
+    expect(() => validateImport({ ...doc, messages: [] })).toThrow('"messages" must be a non-empty array');
+    expect(() => validateImport({ ...doc, messages: [{ role: 'system', content: 'x' }] })).toThrow('messages[0].role');
+    expect(() => validateImport({ ...doc, messages: [{ role: 'user', content: 42 }] })).toThrow('messages[0].content');
+});
+
+test('track_id must be a string or null', () => {
+    const doc = exported();
+    expect(() => validateImport({ ...doc, conversation: { ...doc.conversation, track_id: { id: 'sales' } } })).toThrow('"conversation.track_id" must be a string');
+    expect(() => validateImport({ ...doc, conversation: { ...doc.conversation, track_id: 7 } })).toThrow('"conversation.track_id"');
+    expect(validateImport({ ...doc, conversation: { ...doc.conversation, track_id: null } }).conversation.track_id).toBeNull();
+});
+
+test('due_date must be a real calendar date', () => {
+    expect(validateImport(withItem({ due_date: '2028-02-29' })).action_items[0].due_date).toBe('2028-02-29');
+    expect(validateImport(withItem({ due_date: null })).action_items[0].due_date).toBeNull();
+    ['2026-02-29', '2026-02-30', '2026-13-01', '2026-04-31', '2026-00-10', '20-10-2026', 20261020].forEach(dueDate => {
+        expect(() => validateImport(withItem({ due_date: dueDate }))).toThrow('action_items[0].due_date');
+    });
+});
+
+test('owner is normalised before its length is checked', () => {
+    const padded = `  ${'a'.repeat(40)}\n\n\t${'b'.repeat(39)}  `;
+    expect(validateImport(withItem({ owner: padded })).action_items[0].owner).toBe(`${'a'.repeat(40)} ${'b'.repeat(39)}`);
+    expect(validateImport(withItem({ owner: ' \u0007 ' })).action_items[0].owner).toBeNull();
+    expect(() => validateImport(withItem({ owner: 'x'.repeat(81) }))).toThrow('at most 80 characters');
+    expect(() => validateImport(withItem({ owner: ['me'] }))).toThrow('action_items[0].owner must be a string');
+});
+
+test('action items need a kind and a description', () => {
+    expect(() => validateImport(withItem({ kind: 'wish' }))).toThrow('action_items[0].kind');
+    expect(() => validateImport(withItem({ description: '   ' }))).toThrow('action_items[0].description');
+    expect(() => validateImport({ ...exported(), action_items: 'none' })).toThrow('"action_items" must be an array');
+});
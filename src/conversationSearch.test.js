@@ -0,0 +1,60 @@
+import { supabase } from './supabaseClient';
+import { searchConversations, highlightParts } from './conversationStore';
+
+jest.mock('./supabaseClient', () => ({ supabase: { rpc: jest.fn() } }));
+
+beforeEach(() => supabase.rpc.mockReset());
+
+describe('searchConversations', () => {
+    test('searches every mode and date when only a query is given', async () => {
+        const results = [{ conversation_id: 'conv-1', message_id: 3, snippet: 'the \u0002budget\u0003 review' }];
+        supabase.rpc.mockResolvedValue({ data: results, error: null });
+
+        expect(await searchConversations({ query: 'budget' })).toBe(results);
+        expect(supabase.rpc).toHaveBeenCalledWith('search_conversations', { p_query: 'budget', p_mode: null, p_from: null, p_to: null });
+    });
+
+    test('sends the date range as local day bounds, including the whole last day', async () => {
+        supabase.rpc.mockResolvedValue({ data: [], error: null });
+        await searchConversations({ query: 'sponsor', mode: 'coach', from: '2026-10-01', to: '2026-10-31' });
+
+        expect(supabase.rpc).toHaveBeenCalledWith('search_conversations', {
+            p_query: 'sponsor',
+            p_mode: 'coach',
+            p_from: new Date('2026-10-01T00:00:00').toISOString(),
+            p_to: new Date('2026-11-01T00:00:00').toISOString(),
+        });
+    });
+
+    test('throws the database error', async () => {
+        const error = new Error('syntax error in tsquery');
+        supabase.rpc.mockResolvedValue({ data: null, error });
+        await expect(searchConversations({ query: '&' })).rejects.toBe(error);
+    });
+});
+
+describe('highlightParts', () => {
+    test('splits a snippet into plain and matching parts', () => {
+        expect(highlightParts('we cut the \u0002budget\u0003 and the \u0002Budget\u0003 review')).toEqual([
+            { text: 'we cut the ', match: false },
+            { text: 'budget', match: true },
+            { text: ' and the ', match: false },
+            { text: 'Budget', match: true },
+            { text: ' review', match: false },
+        ]);
+    });
+
+    test('handles matches at either end and snippets without matches', () => {
+        expect(highlightParts('\u0002Budget\u0003')).toEqual([{ text: 'Budget', match: true }]);
+        expect(highlightParts('no match here')).toEqual([{ text: 'no match here', match: false }]);
+        expect(highlightParts(null)).toEqual([]);
+    });
+
+    test('keeps markup in the snippet as text', () => {
+        expect(highlightParts('<b>\u0002plan\u0003</b>')).toEqual([
+            { text: '<b>', match: false },
+            { text: 'plan', match: true },
+            { text: '</b>', match: false },
+        ]);
+    });
+});
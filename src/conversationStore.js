@@ -0,0 +1,168 @@
+import { supabase } from './supabaseClient';
+
+const TITLE_MAX_LENGTH = 60;
+
+// Builds a sidebar title from the first thing the user said.
+export const generateTitle = (text) => {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    if (!clean) return 'New conversation';
+    return clean.length > TITLE_MAX_LENGTH ? `${clean.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…` : clean;
+};
+
+export const listConversations = async (userId, mode, { archived = false } = {}) => {
+    let query = supabase
+        .from('conversations')
+        .select('id, title, mode, track_id, created_at, updated_at, archived_at')
+        .eq('user_id', userId)
+        .eq('mode', mode)
+        .order('updated_at', { ascending: false });
+
+    query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+};
+
+export const getConversation = async (conversationId) => {
+    const { data, error } = await supabase
+        .from('conversations')
+        .select('id, title, mode, track_id, active_leaf_id, created_at, updated_at, archived_at, session_minutes, session_phase, session_started_at, closing_summary')
+        .eq('id', conversationId)
+        .single();
+    if (error) throw error;
+    return data;
+};
+
+// Every message in the conversation, across all branches; see messageTree.activePath for the one on screen.
+export const fetchMessages = async (conversationId) => {
+    const { data, error } = await supabase
+        .from('messages')
+        .select('id, parent_id, client_id, role, content, persona_version, guardrail_event_id, safety, redaction, attachments, created_at')
+        .eq('conversation_id', conversationId)
+        .order('id', { ascending: true });
+    if (error) throw error;
+    return data;
+};
+
+// Full-text search over every message the user has stored. `from` and `to` are YYYY-MM-DD dates, both inclusive.
+// Each result is one matching message (conversation_id, title, mode, archived_at, message_id, role, created_at
+// and snippet); see highlightParts for the snippet's match markers.
+export const searchConversations = async ({ query, mode = null, from = null, to = null }) => {
+    const startOf = (date, days = 0) => {
+        const day = new Date(`${date}T00:00:00`);
+        day.setDate(day.getDate() + days);
+        return day.toISOString();
+    };
+    const { data, error } = await supabase.rpc('search_conversations', {
+        p_query: query,
+        p_mode: mode,
+        p_from: from ? startOf(from) : null,
+        p_to: to ? startOf(to, 1) : null,
+    });
+    if (error) throw error;
+    return data;
+};
+
+// Splits a search snippet into [{ text, match }] parts; the database wraps matches in \u0002 ... \u0003.
+export const highlightParts = (snippet) => (snippet || '')
+    .split('\u0002')
+    .flatMap((chunk, index) => {
+        if (index === 0) return [{ text: chunk, match: false }];
+        const [match, rest = ''] = chunk.split('\u0003');
+        return [{ text: match, match: true }, { text: rest, match: false }];
+    })
+    .filter(part => part.text);
+
+// `sessionMinutes` makes a coach conversation a structured session of that length (see sessionStore).
+export const createConversation = async (userId, mode, title, trackId = null, sessionMinutes = null) => {
+    const { data, error } = await supabase
+        .from('conversations')
+        .insert({ user_id: userId, mode, title, track_id: trackId, session_minutes: sessionMinutes })
+        .select('id, title, mode, track_id, created_at, updated_at, archived_at, session_minutes, session_phase, session_started_at, closing_summary')
+        .single();
+    if (error) throw error;
+    return data;
+};
+
+// Inserts only the new turns, as a chain under `parentId` (null for a conversation's first message), and makes
+// the last one the conversation's active leaf. Earlier messages are never rewritten; edits become new branches.
+export const appendMessages = async (conversationId, messages, parentId = null) => {
+    const chain = messages.map(({ client_id, role, content, persona_version, guardrail_event_id, safety, redaction, attachments, created_at }) => ({
+        // Set on messages typed in this app, so a retried save returns the stored row instead of a duplicate.
+        client_id: client_id ?? null,
+        role,
+        content,
+        persona_version: persona_version ?? null,
+        guardrail_event_id: guardrail_event_id ?? null,
+        safety: safety ?? null,
+        redaction: redaction ?? null,
+        attachments: attachments ?? null,
+        // Only imported messages arrive with a timestamp; new turns use the database default.
+        created_at: created_at ?? null,
+    }));
+    const { data, error } = await supabase.rpc('append_message_chain', {
+        p_conversation_id: conversationId,
+        p_parent_id: parentId,
+        p_messages: chain,
+    });
+    if (error) throw error;
+    return data;
+};
+
+// Records how many details were redacted from a user message, which is saved before the reply reports it.
+export const setMessageRedaction = async (messageId, redaction) => {
+    const { error } = await supabase.from('messages').update({ redaction }).eq('id', messageId);
+    if (error) throw error;
+};
+
+// Remembers which branch is on screen so the conversation reopens on it.
+export const setActiveLeaf = async (conversationId, leafId) => {
+    const { error } = await supabase.from('conversations').update({ active_leaf_id: leafId }).eq('id', conversationId);
+    if (error) throw error;
+};
+
+export const renameConversation = async (conversationId, title) => {
+    const { error } = await supabase.from('conversations').update({ title }).eq('id', conversationId);
+    if (error) throw error;
+};
+
+export const setConversationArchived = async (conversationId, archived) => {
+    const { error } = await supabase
+        .from('conversations')
+        .update({ archived_at: archived ? new Date().toISOString() : null })
+        .eq('id', conversationId);
+    if (error) throw error;
+};
+
+// Deleted on the server, which also removes the attached files no other message uses.
+export const deleteConversation = async (conversationId, accessToken) => {
+    const response = await fetch('/.netlify/functions/deleteConversation', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ conversationId }),
+    });
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Could not delete the conversation.');
+    }
+};
+
+// Restores a validated import (see conversationExport.validateImport) as a new conversation in the user's history.
+// One database call, so a failure leaves nothing behind.
+export const importConversation = async (imported) => {
+    const { conversation, messages, action_items: actionItems } = imported;
+    const firstUserMessage = messages.find(msg => msg.role === 'user');
+    const { data, error } = await supabase.rpc('import_conversation', {
+        p_mode: conversation.mode,
+        p_title: conversation.title || generateTitle(firstUserMessage?.content),
+        p_track_id: conversation.track_id,
+        p_messages: messages,
+        p_action_items: actionItems,
+    });
+    if (error) throw error;
+    return data;
+};
@@ -0,0 +1,99 @@
+import { PublicClientApplication } from '@azure/msal-browser';
+import { app, authentication } from '@microsoft/teams-js';
+import { supabase } from './supabaseClient';
+
+// Microsoft Entra ID sign-in. Inside a Teams tab the token comes from Teams SSO without any prompt; in a browser
+// it comes from MSAL. Either way it is exchanged for a Supabase session for the linked user (see entraSignIn).
+// Configuration: REACT_APP_ENTRA_CLIENT_ID and REACT_APP_ENTRA_TENANT_ID turn it on; REACT_APP_ENTRA_SCOPE is the
+// API scope to request (default api://<client id>/access_as_user).
+const clientId = process.env.REACT_APP_ENTRA_CLIENT_ID;
+const tenantId = process.env.REACT_APP_ENTRA_TENANT_ID;
+const scope = process.env.REACT_APP_ENTRA_SCOPE || `api://${clientId}/access_as_user`;
+const TEAMS_INIT_TIMEOUT_MS = 3000;
+const SIGNED_OUT_KEY = 'entraSignedOut';
+
+export const isEntraConfigured = Boolean(clientId && tenantId);
+
+let msalPromise = null;
+const getMsal = () => {
+    if (!msalPromise) {
+        const msal = new PublicClientApplication({
+            auth: { clientId, authority: `https://login.microsoftonline.com/${tenantId}`, redirectUri: window.location.origin },
+            cache: { cacheLocation: 'sessionStorage' },
+        });
+        msalPromise = msal.initialize().then(() => msal);
+    }
+    return msalPromise;
+};
+
+// Teams hosts tabs in an iframe. Outside Teams app.initialize() does not settle, so it is raced against a timeout.
+let teamsPromise = null;
+export const isInTeams = () => {
+    if (!teamsPromise) {
+        teamsPromise = window.parent === window
+            ? Promise.resolve(false)
+            : Promise.race([
+                app.initialize().then(() => true),
+                new Promise(resolve => setTimeout(() => resolve(false), TEAMS_INIT_TIMEOUT_MS)),
+            ]).catch(() => false);
+    }
+    return teamsPromise;
+};
+
+// An Entra access token for this app, or null when only silent sign-in was allowed and it was not possible.
+const getEntraToken = async ({ interactive }) => {
+    if (await isInTeams()) return authentication.getAuthToken();
+
+    const msal = await getMsal();
+    const request = { scopes: [scope] };
+    const account = msal.getAllAccounts()[0];
+    try {
+        const result = account ? await msal.acquireTokenSilent({ ...request, account }) : await msal.ssoSilent(request);
+        return result.accessToken;
+    } catch (error) {
+        if (!interactive) return null;
+        return (await msal.acquireTokenPopup(request)).accessToken;
+    }
+};
+
+// Signs in to Supabase as the user linked to the Microsoft account; the auth listener in App picks up the session.
+// Returns false when silent sign-in was requested and the user has to sign in themselves.
+export const signInWithEntra = async ({ interactive = true } = {}) => {
+    const token = await getEntraToken({ interactive });
+    if (!token) return false;
+
+    const response = await fetch('/.netlify/functions/entraSignIn', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Microsoft sign-in failed.');
+    }
+    const { error } = await supabase.auth.setSession(data.session);
+    if (error) throw error;
+    sessionStorage.removeItem(SIGNED_OUT_KEY);
+    return true;
+};
+
+// Links the Microsoft account to the user signed in with email, so later Microsoft sign-ins reach this account.
+export const linkEntraAccount = async (accessToken) => {
+    const entraToken = await getEntraToken({ interactive: true });
+    const response = await fetch('/.netlify/functions/linkEntraAccount', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ entraToken }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || 'Could not link your Microsoft account.');
+    }
+};
+
+// Silent sign-in runs when the app opens as a Teams tab, unless the user signed out in this tab.
+export const shouldSignInSilently = async () => isEntraConfigured && !sessionStorage.getItem(SIGNED_OUT_KEY) && isInTeams();
+
+export const markSignedOut = () => sessionStorage.setItem(SIGNED_OUT_KEY, '1');
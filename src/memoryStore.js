@@ -0,0 +1,43 @@
+import { supabase } from './supabaseClient';
+
+export const MAX_FACT_LENGTH = 300;
+
+export const listMemories = async (userId) => {
+    const { data, error } = await supabase
+        .from('memory_facts')
+        .select('id, fact, source, conversation_id, created_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data;
+};
+
+// Saves facts the user typed or approved. `conversationId` is set for facts proposed at the end of a session.
+export const addMemories = async (userId, facts, { source = 'user', conversationId = null } = {}) => {
+    const rows = facts.map(fact => ({ user_id: userId, fact: fact.trim().slice(0, MAX_FACT_LENGTH), source, conversation_id: conversationId }));
+    const { data, error } = await supabase.from('memory_facts').insert(rows).select('id, fact, source, conversation_id, created_at');
+    if (error) throw error;
+    return data;
+};
+
+export const deleteMemory = async (id) => {
+    const { error } = await supabase.from('memory_facts').delete().eq('id', id);
+    if (error) throw error;
+};
+
+// Asks the server what from this conversation is worth remembering; nothing is saved until the user approves it.
+export const proposeMemories = async (conversationId, accessToken) => {
+    const response = await fetch('/.netlify/functions/proposeMemories', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ conversationId }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to suggest what to remember.');
+    }
+    return data.proposals;
+};
@@ -0,0 +1,37 @@
+// Helpers for conversations stored as message trees. Every saved message has an `id` and a `parent_id`
+// (null for the first message); siblings are alternative branches created by editing or regenerating.
+//
+// Shared with the Netlify functions (netlify/lib/messageTree.js), so the server reads the same branch the app
+// shows. That is why this one file in src is CommonJS: the functions require it, the app imports it as usual.
+
+const byId = (nodes) => new Map(nodes.map(node => [node.id, node]));
+
+const childrenOf = (nodes, parentId) => nodes
+    .filter(node => (node.parent_id ?? null) === (parentId ?? null))
+    .sort((a, b) => a.id - b.id);
+
+// The message and its alternatives, oldest first.
+const siblingsOf = (nodes, message) => (message.id ? childrenOf(nodes, message.parent_id) : [message]);
+
+// Follows the newest child down from `id` to a leaf.
+const latestLeafUnder = (nodes, id) => {
+    let leafId = id;
+    for (let children = childrenOf(nodes, leafId); children.length > 0; children = childrenOf(nodes, leafId)) {
+        leafId = children[children.length - 1].id;
+    }
+    return leafId;
+};
+
+// The messages from the root to `leafId`, oldest first. Falls back to the newest branch when the leaf is unknown.
+const activePath = (nodes, leafId) => {
+    const index = byId(nodes);
+    let node = index.get(leafId) || index.get(latestLeafUnder(nodes, null));
+    const path = [];
+    while (node) {
+        path.unshift(node);
+        node = index.get(node.parent_id);
+    }
+    return path;
+};
+
+module.exports = { childrenOf, siblingsOf, latestLeafUnder, activePath };
@@ -0,0 +1,42 @@
+import { childrenOf, siblingsOf, latestLeafUnder, activePath } from './messageTree';
+
+// 1 - 2 - 3
+//  \   \- 4 - 5
+//   \- 6
+const nodes = [
+    { id: 1, parent_id: null },
+    { id: 6, parent_id: 1 },
+    { id: 2, parent_id: 1 },
+    { id: 3, parent_id: 2 },
+    { id: 4, parent_id: 2 },
+    { id: 5, parent_id: 4 },
+];
+const idsOf = (messages) => messages.map(message => message.id);
+
+test('childrenOf lists children oldest first', () => {
+    expect(idsOf(childrenOf(nodes, 1))).toEqual([2, 6]);
+    expect(idsOf(childrenOf(nodes, null))).toEqual([1]);
+    expect(childrenOf(nodes, 5)).toEqual([]);
+});
+
+test('siblingsOf includes the message and its alternatives', () => {
+    expect(idsOf(siblingsOf(nodes, { id: 4, parent_id: 2 }))).toEqual([3, 4]);
+    const unsaved = { role: 'user', content: 'Not saved yet' };
+    expect(siblingsOf(nodes, unsaved)).toEqual([unsaved]);
+});
+
+test('latestLeafUnder follows the newest child', () => {
+    expect(latestLeafUnder(nodes, 1)).toBe(6);
+    expect(latestLeafUnder(nodes, 2)).toBe(5);
+    expect(latestLeafUnder(nodes, 3)).toBe(3);
+});
+
+test('activePath runs from the root to the leaf', () => {
+    expect(idsOf(activePath(nodes, 5))).toEqual([1, 2, 4, 5]);
+    expect(idsOf(activePath(nodes, 3))).toEqual([1, 2, 3]);
+});
+
+test('activePath falls back to the newest branch', () => {
+    expect(idsOf(activePath(nodes, 99))).toEqual([1, 6]);
+    expect(activePath([], null)).toEqual([]);
+});
@@ -0,0 +1,61 @@
+// Pending sends, kept in IndexedDB so a message typed offline or interrupted by a reload is not lost.
+//
+// An entry is { clientId, userId, conversationId, mode, trackId, parentId, messages, saved, attempts, createdAt }:
+// `messages` is the chain still to be saved (the user's message, preceded by the greeting in a new conversation)
+// and `parentId` the saved message it follows. Once `saved` is true only the model's reply is outstanding.
+// The entry is removed when the reply has been saved or the send fails for a reason retrying cannot fix.
+
+const DB_NAME = 'smartlinks-outbox';
+const STORE = 'sends';
+const MAX_RETRY_DELAY_MS = 60000;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'clientId' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+const run = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = operation(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+export const putSend = (entry) => run('readwrite', store => store.put(entry));
+
+export const deleteSend = (clientId) => run('readwrite', store => store.delete(clientId));
+
+export const listSends = async (userId) => {
+    const entries = await run('readonly', store => store.getAll());
+    return entries.filter(entry => entry.userId === userId).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// 2s, 4s, 8s ... capped at a minute.
+export const retryDelay = (attempts) => Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY_MS);
+
+// The outbox entry to resume for a conversation (null for a new chat) and the branch to resume it on, or null.
+// Entries that no longer fit the stored conversation (answered from another tab, or branched away from) are dropped.
+export const resumableSend = async (userId, conversationId, mode, path) => {
+    const entry = (await listSends(userId)).find(candidate => (candidate.conversationId ?? null) === (conversationId ?? null) && candidate.mode === mode);
+    if (!entry) return null;
+
+    const tail = path[path.length - 1];
+    if (entry.saved && tail?.client_id === entry.clientId) return { entry, branch: path };
+    if (!entry.saved && (tail?.id ?? null) === entry.parentId) return { entry, branch: [...path, ...entry.messages] };
+
+    await deleteSend(entry.clientId);
+    return null;
+};
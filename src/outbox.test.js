@@ -0,0 +1,93 @@
+import { putSend, deleteSend, listSends, retryDelay, resumableSend } from './outbox';
+
+// Just enough of IndexedDB for the outbox: one object store keyed by clientId, and transactions that complete
+// after their request, as in the browser.
+const records = new Map();
+global.indexedDB = {
+    open: () => {
+        const request = {};
+        setTimeout(() => {
+            request.result = {
+                transaction: () => {
+                    const transaction = {};
+                    const respond = (result) => {
+                        setTimeout(() => transaction.oncomplete());
+                        return { result };
+                    };
+                    transaction.objectStore = () => ({
+                        put: (entry) => respond(records.set(entry.clientId, { ...entry }) && entry.clientId),
+                        delete: (key) => respond(records.delete(key) && undefined),
+                        getAll: () => respond([...records.values()].map(entry => ({ ...entry }))),
+                    });
+                    return transaction;
+                },
+            };
+            request.onsuccess();
+        });
+        return request;
+    },
+};
+
+const entry = (fields) => ({
+    clientId: 'c1', userId: 'user-1', conversationId: 'conv-1', mode: 'mentor', trackId: null, parentId: 2,
+    messages: [{ role: 'user', content: 'Still there?', client_id: 'c1' }], saved: false, attempts: 0, createdAt: 1,
+    ...fields,
+});
+const path = [{ id: 1, parent_id: null, role: 'assistant' }, { id: 2, parent_id: 1, role: 'assistant' }];
+
+beforeEach(() => records.clear());
+
+test('lists only the user\'s sends, oldest first', async () => {
+    await putSend(entry({ clientId: 'late', createdAt: 30 }));
+    await putSend(entry({ clientId: 'early', createdAt: 10 }));
+    await putSend(entry({ clientId: 'other', userId: 'user-2' }));
+    expect((await listSends('user-1')).map(send => send.clientId)).toEqual(['early', 'late']);
+});
+
+test('put replaces an entry with the same clientId and delete removes it', async () => {
+    await putSend(entry({ attempts: 0 }));
+    await putSend(entry({ attempts: 2 }));
+    expect((await listSends('user-1')).map(send => send.attempts)).toEqual([2]);
+    await deleteSend('c1');
+    expect(await listSends('user-1')).toEqual([]);
+});
+
+test('retryDelay doubles up to a minute', () => {
+    expect(retryDelay(1)).toBe(2000);
+    expect(retryDelay(3)).toBe(8000);
+    expect(retryDelay(10)).toBe(60000);
+});
+
+describe('resumableSend', () => {
+    test('resumes an unsaved message on the branch it was sent from', async () => {
+        await putSend(entry());
+        const resumed = await resumableSend('user-1', 'conv-1', 'mentor', path);
+        expect(resumed.entry.clientId).toBe('c1');
+        expect(resumed.branch).toEqual([...path, ...entry().messages]);
+    });
+
+    test('resumes a saved message that is still waiting for its reply', async () => {
+        await putSend(entry({ saved: true }));
+        const branch = [...path, { id: 3, parent_id: 2, role: 'user', client_id: 'c1' }];
+        expect((await resumableSend('user-1', 'conv-1', 'mentor', branch)).branch).toBe(branch);
+    });
+
+    test('resumes a new chat that was never saved', async () => {
+        await putSend(entry({ conversationId: null, parentId: null }));
+        expect((await resumableSend('user-1', null, 'mentor', [])).branch).toEqual(entry().messages);
+    });
+
+    test('drops an entry the stored conversation has moved past', async () => {
+        await putSend(entry({ parentId: 1 }));
+        expect(await resumableSend('user-1', 'conv-1', 'mentor', path)).toBeNull();
+        expect(await listSends('user-1')).toEqual([]);
+    });
+
+    test('ignores other modes, conversations and users', async () => {
+        await putSend(entry({ userId: 'user-2' }));
+        expect(await resumableSend('user-1', 'conv-1', 'mentor', path)).toBeNull();
+        expect(await resumableSend('user-2', 'conv-1', 'coach', path)).toBeNull();
+        expect(await resumableSend('user-2', 'conv-2', 'mentor', path)).toBeNull();
+        expect(await listSends('user-2')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,29 @@
+import { supabase } from './supabaseClient';
+
+export const REDACTION_LEVELS = [
+    { id: 'off', label: 'Off', description: 'Messages are sent to the model as written.' },
+    { id: 'standard', label: 'Standard', description: 'Emails, phone numbers, your sensitive terms, company names and full names are replaced with placeholders.' },
+    { id: 'strict', label: 'Strict', description: 'Standard, plus any capitalised word that could be a name. Replies may read less naturally.' },
+];
+
+export const DEFAULT_PRIVACY_SETTINGS = { redaction_level: 'standard', sensitive_terms: [] };
+
+export const getPrivacySettings = async (userId) => {
+    const { data, error } = await supabase
+        .from('privacy_settings')
+        .select('redaction_level, sensitive_terms')
+        .eq('user_id', userId)
+        .maybeSingle();
+    if (error) throw error;
+    return data || DEFAULT_PRIVACY_SETTINGS;
+};
+
+export const savePrivacySettings = async (userId, { redaction_level, sensitive_terms }) => {
+    const { data, error } = await supabase
+        .from('privacy_settings')
+        .upsert({ user_id: userId, redaction_level, sensitive_terms, updated_at: new Date().toISOString() })
+        .select('redaction_level, sensitive_terms')
+        .single();
+    if (error) throw error;
+    return data;
+};
@@ -0,0 +1,45 @@
+// Maps the error codes returned by callGemini (and the client's own failure modes) to what the user sees.
+
+const MESSAGES = {
+    offline: "You're offline. Your message is saved on this device and will be sent when the connection is back.",
+    network_error: "Couldn't reach the server. Check your connection and try again.",
+    save_failed: "Your message couldn't be saved. Try again.",
+    unauthorized: 'Your session has expired. Sign out and sign in again.',
+    bad_request: "This message couldn't be processed.",
+    rate_limited: "You're sending messages too quickly. Wait a moment, then retry.",
+    quota_exceeded: "You've used this month's token allowance. It resets at the start of next month.",
+    provider_rate_limited: 'The AI service is busy right now. Try again in a minute.',
+    provider_timeout: 'The AI service took too long to answer. Try again.',
+    provider_unavailable: 'The AI service is temporarily unavailable. Try again shortly.',
+    provider_error: 'The AI service could not answer this message.',
+    stream_interrupted: 'The reply was interrupted before it finished. Try again.',
+    internal_error: 'Something went wrong on our side. Try again.',
+};
+
+// Failures that retrying cannot fix.
+const NOT_RETRYABLE = new Set(['unauthorized', 'bad_request', 'quota_exceeded']);
+
+export class SendError extends Error {
+    constructor(code, detail) {
+        super(MESSAGES[code] || MESSAGES.internal_error);
+        this.name = 'SendError';
+        this.code = MESSAGES[code] ? code : 'internal_error';
+        this.detail = detail;
+    }
+}
+
+// fetch() rejects with a TypeError when the network is down; supabase-js reports it as a "Failed to fetch" message.
+const isNetworkFailure = (error) => error instanceof TypeError || /failed to fetch|networkerror|load failed/i.test(error?.message || '');
+
+// Normalises anything thrown by the send pipeline into a SendError. `fallback` names the step that failed.
+export const toSendError = (error, fallback = 'internal_error') => {
+    if (error instanceof SendError) return error;
+    if (typeof navigator !== 'undefined' && !navigator.onLine) return new SendError('offline', error?.message);
+    if (isNetworkFailure(error)) return new SendError('network_error', error.message);
+    return new SendError(fallback, error?.message);
+};
+
+export const isRetryable = (code) => !NOT_RETRYABLE.has(code);
+
+// Offline and network failures wait in the outbox and are retried automatically.
+export const isConnectionError = (code) => code === 'offline' || code === 'network_error';
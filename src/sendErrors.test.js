@@ -0,0 +1,52 @@
+import { SendError, toSendError, isRetryable, isConnectionError } from './sendErrors';
+
+afterEach(() => jest.restoreAllMocks());
+
+test('SendError shows the message for its code and keeps the detail', () => {
+    const error = new SendError('provider_timeout', 'upstream took 30s');
+    expect(error.code).toBe('provider_timeout');
+    expect(error.message).toBe('The AI service took too long to answer. Try again.');
+    expect(error.detail).toBe('upstream took 30s');
+});
+
+test('unknown codes become internal errors', () => {
+    const error = new SendError('something_new');
+    expect(error.code).toBe('internal_error');
+    expect(error.message).toBe('Something went wrong on our side. Try again.');
+});
+
+describe('toSendError', () => {
+    test('passes SendErrors through', () => {
+        const error = new SendError('rate_limited');
+        expect(toSendError(error)).toBe(error);
+    });
+
+    test('reports being offline before anything else', () => {
+        jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        expect(toSendError(new Error('Failed to fetch'), 'save_failed').code).toBe('offline');
+    });
+
+    test('recognises network failures from fetch and supabase-js', () => {
+        expect(toSendError(new TypeError('NetworkError when attempting to fetch resource.')).code).toBe('network_error');
+        expect(toSendError(new Error('TypeError: Failed to fetch'), 'save_failed').code).toBe('network_error');
+        expect(toSendError({ message: 'Load failed' }).code).toBe('network_error');
+    });
+
+    test('falls back to the step that failed', () => {
+        const error = toSendError(new Error('duplicate key value'), 'save_failed');
+        expect(error.code).toBe('save_failed');
+        expect(error.detail).toBe('duplicate key value');
+        expect(toSendError(undefined).code).toBe('internal_error');
+    });
+});
+
+test('only failures that retrying cannot fix are not retryable', () => {
+    expect(['unauthorized', 'bad_request', 'quota_exceeded'].filter(isRetryable)).toEqual([]);
+    expect(['rate_limited', 'provider_unavailable', 'stream_interrupted', 'network_error'].every(isRetryable)).toBe(true);
+});
+
+test('only offline and network failures wait for the connection', () => {
+    expect(isConnectionError('offline')).toBe(true);
+    expect(isConnectionError('network_error')).toBe(true);
+    expect(isConnectionError('provider_unavailable')).toBe(false);
+});
@@ -0,0 +1,36 @@
+// Structured coaching sessions (see netlify/lib/coachingSession). The server owns the phase; the client
+// picks the length when the conversation is created and asks the server to move on or close.
+
+export const SESSION_PHASES = [
+    { id: 'agreement', label: 'Agreement' },
+    { id: 'explore', label: 'Explore' },
+    { id: 'design', label: 'Design actions' },
+    { id: 'close', label: 'Close' },
+];
+
+export const SESSION_LENGTHS = [20, 30, 45, 60];
+export const DEFAULT_SESSION_MINUTES = 30;
+
+// Minutes left in a started session; the full length before the first reply starts the clock.
+export const minutesRemaining = (session, now = Date.now()) => {
+    if (!session.session_started_at) return session.session_minutes;
+    const elapsed = (now - Date.parse(session.session_started_at)) / 60000;
+    return Math.max(0, Math.ceil(session.session_minutes - elapsed));
+};
+
+// `action` is 'advance' (next phase) or 'close' (write the closing summary); returns the updated session.
+export const updateSession = async (conversationId, action, accessToken) => {
+    const response = await fetch('/.netlify/functions/coachingSession', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ conversationId, action }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to update the session.');
+    }
+    return data.session;
+};
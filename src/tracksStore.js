@@ -0,0 +1,41 @@
+import { supabase } from './supabaseClient';
+
+const TRACK_COLUMNS = 'id, name, persona, description, prompt_extension, starter_prompts, frameworks, sort_order, active, version';
+
+// The personas a track can extend, as named in the server's persona registry (netlify/lib/personas.js).
+export const PERSONAS = [
+    { id: 'mentor', name: 'AI Mentor' },
+    { id: 'coach', name: 'AI Coach' },
+];
+
+export const listTracks = async ({ includeInactive = false } = {}) => {
+    let query = supabase.from('mentor_tracks').select(TRACK_COLUMNS).order('sort_order', { ascending: true });
+    if (!includeInactive) query = query.eq('active', true);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+};
+
+// Creates a track, or updates an existing one, without overwriting a track that already has the id.
+// Row-level security only lets admins write.
+export const saveTrack = async (track, { isNew = false } = {}) => {
+    const { id, version, ...fields } = track;
+    const query = isNew
+        ? supabase.from('mentor_tracks').insert({ id, ...fields })
+        : supabase.from('mentor_tracks').update(fields).eq('id', id);
+    const { data, error } = await query.select(TRACK_COLUMNS).single();
+    if (error?.code === '23505') throw new Error(`A track with the ID "${id}" already exists.`);
+    if (error) throw error;
+    return data;
+};
+
+export const isAdmin = async (userId) => {
+    const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .eq('role', 'admin')
+        .maybeSingle();
+    if (error) throw error;
+    return Boolean(data);
+};
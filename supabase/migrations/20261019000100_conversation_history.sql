@@ -0,0 +1,65 @@
+-- Keep every conversation and store its messages one row per turn.
+
+alter table public.conversations
+  add column if not exists title text,
+  add column if not exists archived_at timestamptz,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz not null default now();
+
+create table if not exists public.messages (
+  id bigint generated always as identity primary key,
+  conversation_id uuid not null references public.conversations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists messages_conversation_id_idx on public.messages (conversation_id, id);
+create index if not exists conversations_user_mode_idx on public.conversations (user_id, mode, updated_at desc);
+
+alter table public.messages enable row level security;
+
+create policy "Users manage their own messages"
+  on public.messages for all
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.conversations c
+      where c.id = conversation_id and c.user_id = auth.uid()
+    )
+  );
+
+-- Backfill the normalized table from the legacy JSON blob. This runs before the
+-- trigger below exists so existing updated_at values are preserved.
+insert into public.messages (conversation_id, user_id, role, content)
+select c.id, c.user_id, m.value ->> 'role', m.value ->> 'content'
+from public.conversations c
+cross join lateral jsonb_array_elements(coalesce(c.messages, '[]'::jsonb)) with ordinality as m(value, ord)
+where not exists (select 1 from public.messages x where x.conversation_id = c.id)
+order by c.id, m.ord;
+
+update public.conversations c
+set title = left((
+  select m.content from public.messages m
+  where m.conversation_id = c.id and m.role = 'user'
+  order by m.id limit 1
+), 60)
+where c.title is null;
+
+-- Bump the parent conversation so the sidebar stays ordered by last activity.
+create or replace function public.touch_conversation()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.conversations set updated_at = now() where id = new.conversation_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_touch_conversation on public.messages;
+create trigger messages_touch_conversation
+  after insert on public.messages
+  for each row execute function public.touch_conversation();
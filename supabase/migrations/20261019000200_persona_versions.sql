@@ -0,0 +1,4 @@
+-- Record which server-side persona version (e.g. 'coach@1') produced each assistant reply.
+
+alter table public.messages
+  add column if not exists persona_version text;
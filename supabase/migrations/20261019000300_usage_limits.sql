@@ -0,0 +1,33 @@
+-- One row per model request. Rows are written by the callGemini function with the service role;
+-- token counts come from the provider's reported usage once the reply completes.
+
+create table if not exists public.usage_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  provider text not null,
+  model text,
+  input_tokens integer not null default 0,
+  output_tokens integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists usage_events_user_created_idx on public.usage_events (user_id, created_at desc);
+
+alter table public.usage_events enable row level security;
+
+create policy "Users read their own usage"
+  on public.usage_events for select
+  using (auth.uid() = user_id);
+
+create or replace function public.monthly_token_usage(p_user_id uuid, p_since timestamptz)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(input_tokens + output_tokens), 0)
+  from public.usage_events
+  where user_id = p_user_id and created_at >= p_since;
+$$;
+
+revoke execute on function public.monthly_token_usage(uuid, timestamptz) from public, anon, authenticated;
+grant execute on function public.monthly_token_usage(uuid, timestamptz) to service_role;
@@ -0,0 +1,7 @@
+-- Running summary of older turns, maintained by callGemini once a conversation passes the
+-- compaction threshold. summary_message_id is the last message folded into the summary.
+-- The messages table keeps the full transcript.
+
+alter table public.conversations
+  add column if not exists summary text,
+  add column if not exists summary_message_id bigint references public.messages (id) on delete set null;
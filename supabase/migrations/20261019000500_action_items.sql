@@ -0,0 +1,26 @@
+-- Goals and action items extracted from a conversation. Users tick, edit and delete their own items;
+-- open items with carry_forward set are added to the context of their next session in the same mode.
+
+create table if not exists public.action_items (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.conversations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  kind text not null check (kind in ('goal', 'action')),
+  description text not null,
+  owner text,
+  due_date date,
+  done boolean not null default false,
+  carry_forward boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists action_items_conversation_idx on public.action_items (conversation_id, created_at);
+create index if not exists action_items_open_idx on public.action_items (user_id, created_at desc) where not done;
+
+alter table public.action_items enable row level security;
+
+create policy "Users manage their own action items"
+  on public.action_items for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
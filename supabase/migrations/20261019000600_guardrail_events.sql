@@ -0,0 +1,25 @@
+-- Audit log of the ICF guardrail applied to coach replies: one row per delivered reply, with the
+-- per-rule checks of the final reply and of every regenerated draft. Written by callGemini.
+
+create table if not exists public.guardrail_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  conversation_id uuid references public.conversations (id) on delete set null,
+  persona_version text not null,
+  compliant boolean not null,
+  attempts integer not null,
+  checks jsonb not null,
+  attempt_log jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists guardrail_events_created_idx on public.guardrail_events (created_at desc);
+
+alter table public.guardrail_events enable row level security;
+
+create policy "Users read their own guardrail results"
+  on public.guardrail_events for select
+  using (auth.uid() = user_id);
+
+alter table public.messages
+  add column if not exists guardrail_event_id bigint references public.guardrail_events (id) on delete set null;
@@ -0,0 +1,112 @@
+-- Admin role plus admin-managed mentor tracks (domain-specific mentor prompt extensions).
+
+create table if not exists public.user_roles (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null check (role in ('admin')),
+  created_at timestamptz not null default now(),
+  primary key (user_id, role)
+);
+
+alter table public.user_roles enable row level security;
+
+create policy "Users read their own roles"
+  on public.user_roles for select
+  using (auth.uid() = user_id);
+
+-- Roles are granted with the service role or the SQL editor; there is no insert policy on purpose.
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.user_roles where user_id = auth.uid() and role = 'admin');
+$$;
+
+create table if not exists public.mentor_tracks (
+  id text primary key check (id ~ '^[a-z0-9-]+$'),
+  name text not null,
+  description text not null default '',
+  prompt_extension text not null,
+  starter_prompts text[] not null default '{}',
+  frameworks text[] not null default '{}',
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  version integer not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Every edit bumps the version so stored replies can be traced to the track text that produced them.
+create or replace function public.bump_mentor_track_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists mentor_tracks_bump_version on public.mentor_tracks;
+create trigger mentor_tracks_bump_version
+  before update on public.mentor_tracks
+  for each row execute function public.bump_mentor_track_version();
+
+alter table public.mentor_tracks enable row level security;
+
+create policy "Signed-in users read mentor tracks"
+  on public.mentor_tracks for select
+  to authenticated
+  using (true);
+
+create policy "Admins manage mentor tracks"
+  on public.mentor_tracks for all
+  to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+alter table public.conversations
+  add column if not exists track_id text references public.mentor_tracks (id) on delete set null;
+
+insert into public.mentor_tracks (id, name, description, prompt_extension, starter_prompts, frameworks, sort_order) values
+  (
+    'project-management',
+    'Project Management',
+    'Planning, delivery, risk and stakeholder challenges.',
+    'The user has chosen the Project Management track. Treat their challenge as a project delivery problem: clarify scope, schedule, budget, risks, dependencies and stakeholders, and frame your advice in terms a project manager can act on this week.',
+    array['My project is slipping and I need to reset expectations with the sponsor.', 'How do I get a disengaged stakeholder back on board?', 'Help me build a risk register for a new initiative.'],
+    array['PMBOK process groups', 'RACI matrix', 'Stakeholder power/interest grid', 'RAID log', 'Critical path method'],
+    10
+  ),
+  (
+    'it-consulting',
+    'IT Consulting',
+    'Client engagements, solution design and advisory work.',
+    'The user has chosen the IT Consulting track. Treat their challenge as a client advisory engagement: clarify the client''s business outcome, constraints, current architecture and decision makers, and frame your advice as a consultant would present it to the client.',
+    array['My client keeps expanding scope without a change request.', 'How should I structure a discovery workshop for a cloud migration?', 'Help me turn technical findings into an executive recommendation.'],
+    array['Pyramid Principle', 'SCQA storyline', 'MoSCoW prioritisation', 'Current/target state gap analysis', 'Change request process'],
+    20
+  ),
+  (
+    'facilitation',
+    'Facilitation',
+    'Workshops, meetings and group decision making.',
+    'The user has chosen the Facilitation track. Treat their challenge as a facilitation problem: clarify the purpose, participants, desired outcomes and group dynamics, and frame your advice as concrete agenda, activity and intervention choices.',
+    array['Design a two-hour retrospective for a tense team.', 'One person dominates every meeting I run. What can I do?', 'How do I get a large group to converge on a decision?'],
+    array['Diamond of participatory decision-making', 'Liberating Structures', 'ORID questioning', 'Decision rules (consent, consensus, delegation)', 'Parking lot'],
+    30
+  ),
+  (
+    'sales',
+    'Sales',
+    'Pipeline, discovery calls, negotiation and closing.',
+    'The user has chosen the Sales track. Treat their challenge as a sales problem: clarify the deal stage, buyer, decision process, competition and value proposition, and frame your advice as specific next moves in the sales cycle.',
+    array['Prepare me for a discovery call with a new enterprise prospect.', 'My deal has stalled after the proposal. How do I restart it?', 'How do I handle a procurement team pushing for a discount?'],
+    array['MEDDICC qualification', 'SPIN selling', 'Challenger sale', 'BANT', 'Mutual action plan'],
+    40
+  )
+on conflict (id) do nothing;
@@ -0,0 +1,4 @@
+-- Auxiliary model calls (compaction, and later moderation) count towards the token quota but not the
+-- request rate limit, which only counts the 'chat' calls a user makes by sending a message.
+alter table public.usage_events
+  add column if not exists kind text not null default 'chat';
@@ -0,0 +1,25 @@
+-- Safety screening: events raised when a user message or model reply is classified as a possible
+-- crisis, or when the provider's own filters withhold a reply. Message text is not stored.
+
+create table if not exists public.safety_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  conversation_id uuid references public.conversations (id) on delete set null,
+  source text not null check (source in ('user', 'model', 'provider')),
+  category text not null,
+  severity text not null check (severity in ('concern', 'crisis')),
+  rationale text,
+  action text not null check (action in ('logged', 'escalated', 'blocked')),
+  finish_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists safety_events_created_idx on public.safety_events (created_at desc);
+
+alter table public.safety_events enable row level security;
+
+-- No client policies: events are written by callGemini with the service role and reviewed from the dashboard.
+
+-- The safety card shown in place of a reply is stored with the message so it renders the same on reload.
+alter table public.messages
+  add column if not exists safety jsonb;
@@ -0,0 +1,20 @@
+-- Per-user redaction settings. callGemini replaces matching personal details with placeholders before
+-- anything is sent to the model provider, and restores them in the reply.
+
+create table if not exists public.privacy_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  redaction_level text not null default 'standard' check (redaction_level in ('off', 'standard', 'strict')),
+  sensitive_terms text[] not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+alter table public.privacy_settings enable row level security;
+
+create policy "Users manage their own privacy settings"
+  on public.privacy_settings for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- How many details were redacted from a user message before it was sent, e.g. {"count": 2, "level": "standard"}.
+alter table public.messages
+  add column if not exists redaction jsonb;
@@ -0,0 +1,21 @@
+-- Long-term profile memory: facts about the user that callGemini adds to every session's system prompt.
+-- Facts are entered by the user or proposed by the model at the end of a session and approved by the user;
+-- unapproved proposals are never stored.
+
+create table if not exists public.memory_facts (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  fact text not null check (char_length(fact) between 1 and 300),
+  source text not null default 'user' check (source in ('user', 'model')),
+  conversation_id uuid references public.conversations (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists memory_facts_user_idx on public.memory_facts (user_id, created_at);
+
+alter table public.memory_facts enable row level security;
+
+create policy "Users manage their own memory"
+  on public.memory_facts for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
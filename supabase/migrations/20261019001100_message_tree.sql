@@ -0,0 +1,60 @@
+-- Conversations become message trees: editing a user message or regenerating a reply adds a sibling
+-- branch instead of overwriting. Each message points at the one it follows, and the conversation
+-- remembers which leaf is on screen so the same branch reopens.
+
+alter table public.messages
+  add column if not exists parent_id bigint references public.messages (id) on delete cascade;
+
+create index if not exists messages_parent_id_idx on public.messages (parent_id);
+
+alter table public.conversations
+  add column if not exists active_leaf_id bigint references public.messages (id) on delete set null;
+
+-- Existing conversations are linear: each message follows the previous one.
+update public.messages m
+set parent_id = p.prev_id
+from (
+  select id, lag(id) over (partition by conversation_id order by id) as prev_id
+  from public.messages
+) p
+where p.id = m.id and p.prev_id is not null and m.parent_id is null;
+
+update public.conversations c
+set active_leaf_id = (select max(m.id) from public.messages m where m.conversation_id = c.id)
+where c.active_leaf_id is null;
+
+-- Inserts a chain of messages under `p_parent_id` (null for the first message of a conversation) in one
+-- round trip, each following the previous one, and makes the last one the active leaf. Runs as the
+-- caller, so the messages row-level security policy still applies.
+create or replace function public.append_message_chain(p_conversation_id uuid, p_parent_id bigint, p_messages jsonb)
+returns setof public.messages
+language plpgsql
+security invoker
+as $$
+declare
+  item jsonb;
+  parent bigint := p_parent_id;
+  inserted public.messages;
+begin
+  for item in select e.value from jsonb_array_elements(p_messages) with ordinality as e(value, ord) order by e.ord loop
+    insert into public.messages (conversation_id, user_id, parent_id, role, content, persona_version, guardrail_event_id, safety, redaction, created_at)
+    values (
+      p_conversation_id,
+      auth.uid(),
+      parent,
+      item ->> 'role',
+      item ->> 'content',
+      item ->> 'persona_version',
+      (item ->> 'guardrail_event_id')::bigint,
+      nullif(item -> 'safety', 'null'::jsonb),
+      nullif(item -> 'redaction', 'null'::jsonb),
+      coalesce((item ->> 'created_at')::timestamptz, now())
+    )
+    returning * into inserted;
+    parent := inserted.id;
+    return next inserted;
+  end loop;
+
+  update public.conversations set active_leaf_id = parent where id = p_conversation_id;
+end;
+$$;
@@ -0,0 +1,50 @@
+-- Messages are saved before the model is called and retried from the browser's outbox when the
+-- connection drops. The client generates an id for each message so a retried save cannot store it twice.
+
+alter table public.messages
+  add column if not exists client_id uuid;
+
+create unique index if not exists messages_client_id_idx on public.messages (client_id) where client_id is not null;
+
+-- Same as before, except that a message whose client_id is already stored is returned instead of
+-- inserted again, so the rest of the chain attaches to the existing row.
+create or replace function public.append_message_chain(p_conversation_id uuid, p_parent_id bigint, p_messages jsonb)
+returns setof public.messages
+language plpgsql
+security invoker
+as $$
+declare
+  item jsonb;
+  parent bigint := p_parent_id;
+  inserted public.messages;
+begin
+  for item in select e.value from jsonb_array_elements(p_messages) with ordinality as e(value, ord) order by e.ord loop
+    select * into inserted
+    from public.messages
+    where client_id = (item ->> 'client_id')::uuid and user_id = auth.uid();
+
+    if not found then
+      insert into public.messages (conversation_id, user_id, parent_id, client_id, role, content, persona_version, guardrail_event_id, safety, redaction, created_at)
+      values (
+        p_conversation_id,
+        auth.uid(),
+        parent,
+        (item ->> 'client_id')::uuid,
+        item ->> 'role',
+        item ->> 'content',
+        item ->> 'persona_version',
+        (item ->> 'guardrail_event_id')::bigint,
+        nullif(item -> 'safety', 'null'::jsonb),
+        nullif(item -> 'redaction', 'null'::jsonb),
+        coalesce((item ->> 'created_at')::timestamptz, now())
+      )
+      returning * into inserted;
+    end if;
+
+    parent := inserted.id;
+    return next inserted;
+  end loop;
+
+  update public.conversations set active_leaf_id = parent where id = p_conversation_id;
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Structured coaching sessions: an opt-in, time-boxed flow for coach conversations that moves through
+-- the ICF phases agreement -> explore -> design -> close. The user picks session_minutes when starting the
+-- conversation; callGemini starts the clock and owns session_phase from then on. Closing stores a summary of
+-- insights and commitments ({insights: [], commitments: []}) and sets the phase to 'closed'.
+
+alter table public.conversations
+  add column if not exists session_minutes integer check (session_minutes between 10 and 120),
+  add column if not exists session_phase text check (session_phase in ('agreement', 'explore', 'design', 'close', 'closed')),
+  add column if not exists session_started_at timestamptz,
+  add column if not exists closing_summary jsonb;
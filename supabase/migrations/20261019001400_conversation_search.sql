@@ -0,0 +1,60 @@
+-- Full-text search across a user's conversations. Every message, on every branch, is indexed with the
+-- English configuration; search_conversations ranks matching messages and returns a highlighted snippet.
+
+alter table public.messages
+  add column if not exists search tsvector generated always as (to_tsvector('english', content)) stored;
+
+create index if not exists messages_search_idx on public.messages using gin (search);
+
+-- `p_query` uses web search syntax ("stakeholder map", -budget, sponsor or steering). `p_mode`, `p_from` and
+-- `p_to` are optional filters on the conversation's mode and the message's date (p_to is exclusive).
+-- Matches in the snippet are wrapped in chr(2) ... chr(3) so the client can highlight them without
+-- rendering any HTML from the message. Runs as the caller, so row-level security still applies.
+create or replace function public.search_conversations(
+  p_query text,
+  p_mode text default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_limit integer default 50
+)
+returns table (
+  conversation_id uuid,
+  title text,
+  mode text,
+  archived_at timestamptz,
+  message_id bigint,
+  role text,
+  created_at timestamptz,
+  snippet text,
+  rank real
+)
+language sql
+stable
+security invoker
+as $$
+  with q as (select websearch_to_tsquery('english', p_query) as query)
+  select
+    c.id,
+    c.title,
+    c.mode,
+    c.archived_at,
+    m.id,
+    m.role,
+    m.created_at,
+    ts_headline(
+      'english',
+      m.content,
+      q.query,
+      format('StartSel="%s", StopSel="%s", MinWords=12, MaxWords=30, MaxFragments=2, FragmentDelimiter=" … "', chr(2), chr(3))
+    ),
+    ts_rank(m.search, q.query)
+  from q
+  join public.messages m on m.search @@ q.query
+  join public.conversations c on c.id = m.conversation_id
+  where c.user_id = auth.uid()
+    and (p_mode is null or c.mode = p_mode)
+    and (p_from is null or m.created_at >= p_from)
+    and (p_to is null or m.created_at < p_to)
+  order by ts_rank(m.search, q.query) desc, m.created_at desc
+  limit least(greatest(coalesce(p_limit, 50), 1), 100);
+$$;
@@ -0,0 +1,35 @@
+-- Microsoft Entra ID sign-in. Each Entra identity (tenant id + object id) is linked to one Supabase user, so
+-- signing in with a work account reaches the same conversations as signing in with email. Links are made by
+-- the entraSignIn and callGemini functions with the service role.
+
+create table if not exists public.identity_links (
+  provider text not null check (provider in ('entra')),
+  subject text not null,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text,
+  created_at timestamptz not null default now(),
+  primary key (provider, subject)
+);
+
+create index if not exists identity_links_user_idx on public.identity_links (user_id);
+
+alter table public.identity_links enable row level security;
+
+create policy "Users read their own identity links"
+  on public.identity_links for select
+  using (auth.uid() = user_id);
+
+-- The first Entra sign-in links to an existing account with the same email. auth.users is not exposed through
+-- the API, so the lookup runs as the function owner and only the service role may call it.
+create or replace function public.find_user_id_by_email(p_email text)
+returns uuid
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select id from auth.users where lower(email) = lower(p_email) order by created_at limit 1;
+$$;
+
+revoke execute on function public.find_user_id_by_email(text) from public, anon, authenticated;
+grant execute on function public.find_user_id_by_email(text) to service_role;
@@ -0,0 +1,121 @@
+-- Admin analytics for the programme sponsors. Admins (user_roles.role = 'admin', the role that already manages
+-- mentor tracks) see aggregate usage through admin_usage_summary and anonymized topic themes through the
+-- adminThemes function. Neither returns message text, titles, summaries or user ids.
+
+-- Transcripts stay readable by their owner only. Turning on row level security for conversations needs a
+-- permissive policy for owners, matching "Users manage their own messages"; the restrictive policies are ANDed
+-- with every permissive policy, so no policy added later - for admins or anyone else - can expose another user's
+-- conversations.
+alter table public.conversations enable row level security;
+
+drop policy if exists "Users manage their own conversations" on public.conversations;
+
+create policy "Users manage their own conversations"
+  on public.conversations for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Conversations are private to their owner"
+  on public.conversations as restrictive for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Messages are private to their owner"
+  on public.messages as restrictive for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- A short, generic topic label per conversation ("delegation", "difficult conversations"), written by the
+-- adminThemes function from a redacted excerpt and clustered into themes there.
+create table if not exists public.conversation_topics (
+  conversation_id uuid primary key references public.conversations (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  mode text not null,
+  topic text not null check (char_length(topic) between 1 and 80),
+  created_at timestamptz not null default now()
+);
+
+alter table public.conversation_topics enable row level security;
+
+-- No client policies: labels are only read by adminThemes with the service role, and only reported as themes
+-- shared by several users.
+
+-- Aggregate usage since `p_since`. A session is a conversation with at least one user message in the period;
+-- its length runs from its first to its last message in the period.
+create or replace function public.admin_usage_summary(p_since timestamptz)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  result jsonb;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can read usage analytics.' using errcode = '42501';
+  end if;
+
+  with sessions as (
+    select
+      c.mode,
+      c.user_id,
+      extract(epoch from max(m.created_at) - min(m.created_at)) / 60 as minutes,
+      count(*) filter (where m.role = 'user') as user_turns
+    from public.conversations c
+    join public.messages m on m.conversation_id = c.id
+    where m.created_at >= p_since
+    group by c.id, c.mode, c.user_id
+    having count(*) filter (where m.role = 'user') > 0
+  ),
+  by_mode as (
+    select mode, count(*) as sessions, round(avg(minutes)::numeric, 1) as avg_minutes, round(avg(user_turns)::numeric, 1) as avg_user_turns
+    from sessions
+    group by mode
+  ),
+  daily as (
+    select date_trunc('day', m.created_at)::date as day, count(distinct m.user_id) as users
+    from public.messages m
+    where m.created_at >= p_since and m.role = 'user'
+    group by 1
+  ),
+  safety_by_category as (
+    select category, count(*) as events
+    from public.safety_events
+    where created_at >= p_since
+    group by category
+  )
+  select jsonb_build_object(
+    'active_users', (select count(distinct user_id) from sessions),
+    'sessions', (select count(*) from sessions),
+    'avg_session_minutes', (select round(avg(minutes)::numeric, 1) from sessions),
+    'modes', coalesce((select jsonb_object_agg(mode, jsonb_build_object('sessions', sessions, 'avg_minutes', avg_minutes, 'avg_user_turns', avg_user_turns)) from by_mode), '{}'::jsonb),
+    'daily_active_users', coalesce((select jsonb_agg(jsonb_build_object('day', day, 'users', users) order by day) from daily), '[]'::jsonb),
+    'guardrails', (
+      select jsonb_build_object(
+        'replies', count(*),
+        'non_compliant', count(*) filter (where not compliant),
+        'regenerated', count(*) filter (where attempts > 1)
+      )
+      from public.guardrail_events
+      where created_at >= p_since
+    ),
+    'safety', (
+      select jsonb_build_object(
+        'events', count(*),
+        'crisis', count(*) filter (where severity = 'crisis'),
+        'concern', count(*) filter (where severity = 'concern'),
+        'blocked', count(*) filter (where action = 'blocked'),
+        'by_category', coalesce((select jsonb_object_agg(category, events) from safety_by_category), '{}'::jsonb)
+      )
+      from public.safety_events
+      where created_at >= p_since
+    )
+  ) into result;
+
+  return result;
+end;
+$$;
+
+revoke execute on function public.admin_usage_summary(timestamptz) from public, anon;
+grant execute on function public.admin_usage_summary(timestamptz) to authenticated;
@@ -0,0 +1,118 @@
+-- Documents attached to a message (text, Markdown, DOCX, PDF). The uploadAttachment function stores the original
+-- in the private `attachments` bucket under <user id>/<attachment id>/, extracts its text and splits it into
+-- chunks; callGemini passes the chunks most relevant to the latest message to the model.
+
+insert into storage.buckets (id, name, public)
+values ('attachments', 'attachments', false)
+on conflict (id) do nothing;
+
+-- Users can download their own originals; uploads only go through uploadAttachment with the service role.
+create policy "Users read their own attachment files"
+  on storage.objects for select
+  using (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create table if not exists public.attachments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  mime_type text not null,
+  size_bytes integer not null,
+  storage_path text not null,
+  char_count integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_user_id_idx on public.attachments (user_id, created_at desc);
+
+alter table public.attachments enable row level security;
+
+create policy "Users read their own attachments"
+  on public.attachments for select
+  using (auth.uid() = user_id);
+
+create table if not exists public.attachment_chunks (
+  id bigint generated always as identity primary key,
+  attachment_id uuid not null references public.attachments (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  position integer not null,
+  content text not null,
+  search tsvector generated always as (to_tsvector('english', content)) stored,
+  unique (attachment_id, position)
+);
+
+create index if not exists attachment_chunks_search_idx on public.attachment_chunks using gin (search);
+
+-- No client policies: chunks are only read by callGemini with the service role.
+alter table public.attachment_chunks enable row level security;
+
+-- The attachments a message was sent with, as shown on its chips: [{ id, name, mime_type, size_bytes }].
+alter table public.messages
+  add column if not exists attachments jsonb;
+
+-- Same as before, plus the message's attachments.
+create or replace function public.append_message_chain(p_conversation_id uuid, p_parent_id bigint, p_messages jsonb)
+returns setof public.messages
+language plpgsql
+security invoker
+as $$
+declare
+  item jsonb;
+  parent bigint := p_parent_id;
+  inserted public.messages;
+begin
+  for item in select e.value from jsonb_array_elements(p_messages) with ordinality as e(value, ord) order by e.ord loop
+    select * into inserted
+    from public.messages
+    where client_id = (item ->> 'client_id')::uuid and user_id = auth.uid();
+
+    if not found then
+      insert into public.messages (conversation_id, user_id, parent_id, client_id, role, content, persona_version, guardrail_event_id, safety, redaction, attachments, created_at)
+      values (
+        p_conversation_id,
+        auth.uid(),
+        parent,
+        (item ->> 'client_id')::uuid,
+        item ->> 'role',
+        item ->> 'content',
+        item ->> 'persona_version',
+        (item ->> 'guardrail_event_id')::bigint,
+        nullif(item -> 'safety', 'null'::jsonb),
+        nullif(item -> 'redaction', 'null'::jsonb),
+        nullif(item -> 'attachments', 'null'::jsonb),
+        coalesce((item ->> 'created_at')::timestamptz, now())
+      )
+      returning * into inserted;
+    end if;
+
+    parent := inserted.id;
+    return next inserted;
+  end loop;
+
+  update public.conversations set active_leaf_id = parent where id = p_conversation_id;
+end;
+$$;
+
+-- The `p_limit` chunks of the given attachments that best match `p_query`, any of its words counting. Chunks
+-- matching none of the words are not returned.
+create or replace function public.match_attachment_chunks(p_user_id uuid, p_attachment_ids uuid[], p_query text, p_limit integer default 6)
+returns table (attachment_id uuid, position integer, content text, rank real)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with query as (
+    select nullif(replace(plainto_tsquery('english', p_query)::text, '&', '|'), '')::tsquery as q
+  )
+  select c.attachment_id, c.position, c.content, ts_rank(c.search, query.q) as rank
+  from public.attachment_chunks c, query
+  where c.user_id = p_user_id
+    and c.attachment_id = any (p_attachment_ids)
+    and query.q is not null
+    and c.search @@ query.q
+  order by rank desc, c.position
+  limit least(greatest(p_limit, 1), 50);
+$$;
+
+revoke execute on function public.match_attachment_chunks(uuid, uuid[], text, integer) from public, anon, authenticated;
+grant execute on function public.match_attachment_chunks(uuid, uuid[], text, integer) to service_role;
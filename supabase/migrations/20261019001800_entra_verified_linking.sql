@@ -0,0 +1,20 @@
+-- Entra email claims are not verified, so a first Microsoft sign-in only links to an existing account when the
+-- tenant is trusted and the account's own email is confirmed (see netlify/lib/entra.js). The lookup now returns
+-- whether the email is confirmed instead of matching any account.
+drop function if exists public.find_user_id_by_email(text);
+
+create or replace function public.find_user_by_email(p_email text)
+returns table (id uuid, email_confirmed_at timestamptz)
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select u.id, u.email_confirmed_at from auth.users u where lower(u.email) = lower(p_email) order by u.created_at limit 1;
+$$;
+
+revoke execute on function public.find_user_by_email(text) from public, anon, authenticated;
+grant execute on function public.find_user_by_email(text) to service_role;
+
+-- Links are only inserted by the service role; make sure no other grant lets a user add one.
+revoke insert, update, delete on public.identity_links from anon, authenticated;
@@ -0,0 +1,42 @@
+-- Deleting a conversation also deletes the attachments its messages were sent with, unless another message of
+-- the user still carries them (edits and regenerations copy attachments onto new messages). Storage objects
+-- cannot be removed from SQL, so this returns their paths and the deleteConversation function removes them.
+create or replace function public.delete_conversation(p_user_id uuid, p_conversation_id uuid)
+returns setof text
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  attachment_ids uuid[];
+begin
+  select coalesce(array_agg(distinct (item ->> 'id')::uuid), '{}')
+  into attachment_ids
+  from public.messages m
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(m.attachments) = 'array' then m.attachments else '[]'::jsonb end
+  ) as item
+  where m.conversation_id = p_conversation_id
+    and m.user_id = p_user_id
+    and item ->> 'id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$';
+
+  delete from public.conversations where id = p_conversation_id and user_id = p_user_id;
+
+  return query
+    delete from public.attachments a
+    where a.user_id = p_user_id
+      and a.id = any (attachment_ids)
+      and not exists (
+        select 1 from public.messages m
+        where m.user_id = p_user_id
+          and m.attachments @> jsonb_build_array(jsonb_build_object('id', a.id::text))
+      )
+    returning a.storage_path;
+end;
+$$;
+
+revoke execute on function public.delete_conversation(uuid, uuid) from public, anon, authenticated;
+grant execute on function public.delete_conversation(uuid, uuid) to service_role;
+
+-- Conversations are deleted through deleteConversation so their files go too.
+revoke delete on public.conversations from authenticated;
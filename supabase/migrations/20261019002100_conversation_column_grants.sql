@@ -0,0 +1,8 @@
+-- Row level security decides which conversations a user can write, not which columns. The session state
+-- (session_phase, session_started_at, closing_summary) and the running summary belong to the server, which
+-- writes them with the service role, so users may only set the columns the app edits directly. updated_at stays
+-- writable because the messages_touch_conversation trigger runs as the user who adds a message.
+revoke insert, update on public.conversations from anon, authenticated;
+
+grant insert (user_id, mode, title, track_id, session_minutes) on public.conversations to authenticated;
+grant update (title, archived_at, active_leaf_id, updated_at) on public.conversations to authenticated;
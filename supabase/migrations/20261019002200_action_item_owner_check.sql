@@ -0,0 +1,17 @@
+-- Action item owners are a person's name or "me": one line of at most 80 characters. extractActionPlan normalises
+-- what the model returns; this check holds the same shape for items users edit or import directly.
+
+update public.action_items
+  set owner = nullif(btrim(regexp_replace(owner, '[[:space:][:cntrl:]]+', ' ', 'g')), '')
+  where owner is not null;
+
+update public.action_items
+  set owner = null
+  where char_length(owner) > 80;
+
+alter table public.action_items
+  drop constraint if exists action_items_owner_check;
+
+alter table public.action_items
+  add constraint action_items_owner_check
+  check (owner is null or (char_length(owner) between 1 and 80 and owner !~ '[[:cntrl:]]' and owner = btrim(owner)));
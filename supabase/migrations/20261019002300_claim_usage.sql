@@ -0,0 +1,52 @@
+-- Checks a user's rate limit and token quota and records the model request in one call. Checking and inserting
+-- separately let concurrent requests all pass the limits before any of them was recorded; claims for the same
+-- user now wait on an advisory lock, so each sees the requests recorded before it. Returns the usage before the
+-- claim and the new usage event's id, which is null when a limit was reached and nothing was recorded.
+create or replace function public.claim_usage(
+  p_user_id uuid,
+  p_provider text,
+  p_model text,
+  p_kind text,
+  p_max_requests integer,
+  p_window_start timestamptz,
+  p_token_quota bigint,
+  p_month_start timestamptz
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_requests integer;
+  v_oldest timestamptz;
+  v_tokens bigint;
+  v_event_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtextextended('usage_events:' || p_user_id::text, 0));
+
+  select count(*), min(created_at)
+    into v_requests, v_oldest
+    from public.usage_events
+    where user_id = p_user_id and kind = 'chat' and created_at >= p_window_start;
+
+  select coalesce(sum(input_tokens + output_tokens), 0)
+    into v_tokens
+    from public.usage_events
+    where user_id = p_user_id and created_at >= p_month_start;
+
+  if v_tokens < p_token_quota and v_requests < p_max_requests then
+    insert into public.usage_events (user_id, provider, model, kind)
+      values (p_user_id, p_provider, p_model, p_kind)
+      returning id into v_event_id;
+  end if;
+
+  return jsonb_build_object(
+    'usage_event_id', v_event_id,
+    'requests_in_window', v_requests,
+    'oldest_request_at', v_oldest,
+    'tokens_used', v_tokens
+  );
+end;
+$$;
+
+revoke execute on function public.claim_usage(uuid, text, text, text, integer, timestamptz, bigint, timestamptz) from public, anon, authenticated;
+grant execute on function public.claim_usage(uuid, text, text, text, integer, timestamptz, bigint, timestamptz) to service_role;
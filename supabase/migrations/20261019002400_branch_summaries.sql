@@ -0,0 +1,22 @@
+-- Running summaries per branch. A summary covers a branch from its root up to message_id, so it applies to
+-- every branch through that message; compaction picks the one covering the most of the branch on screen.
+-- conversations.summary and summary_message_id keep the latest summary, which analytics reads.
+
+create table if not exists public.conversation_summaries (
+  conversation_id uuid not null references public.conversations (id) on delete cascade,
+  message_id bigint not null references public.messages (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  summary text not null,
+  created_at timestamptz not null default now(),
+  primary key (conversation_id, message_id)
+);
+
+alter table public.conversation_summaries enable row level security;
+
+-- No client policies: summaries are read and written by callGemini with the service role.
+
+insert into public.conversation_summaries (conversation_id, message_id, user_id, summary)
+select id, summary_message_id, user_id, summary
+from public.conversations
+where summary is not null and summary_message_id is not null
+on conflict do nothing;
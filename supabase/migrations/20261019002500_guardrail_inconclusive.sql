@@ -0,0 +1,6 @@
+-- Replies whose advice check could not be decided (the classifier's answer was unreadable). They are delivered
+-- but counted as non-compliant, and flagged here so they can be reviewed instead of passing silently.
+alter table public.guardrail_events
+  add column if not exists inconclusive boolean not null default false;
+
+create index if not exists guardrail_events_inconclusive_idx on public.guardrail_events (created_at desc) where inconclusive;
@@ -0,0 +1,31 @@
+-- Tracks are what users pick, for every persona: each track names the persona it extends, and the app's choice
+-- of mentor or coach comes from the track. The general tracks ('mentor', 'coach') are the personas on their own;
+-- conversations started before tracks covered both personas are moved onto them.
+alter table public.mentor_tracks
+  add column if not exists persona text not null default 'mentor' check (persona in ('mentor', 'coach'));
+
+alter table public.mentor_tracks
+  alter column prompt_extension set default '';
+
+insert into public.mentor_tracks (id, name, description, prompt_extension, persona, sort_order) values
+  (
+    'mentor',
+    'Mentoring',
+    'Seek guidance, get expert advice, and learn proven frameworks for any professional challenge.',
+    '',
+    'mentor',
+    0
+  ),
+  (
+    'coach',
+    'Coaching',
+    'Explore your own thinking, uncover new perspectives, and find your own solutions to complex issues.',
+    '',
+    'coach',
+    100
+  )
+on conflict (id) do nothing;
+
+update public.conversations
+  set track_id = mode
+  where track_id is null and mode in ('mentor', 'coach');
@@ -0,0 +1,33 @@
+-- Restores an imported conversation, its messages and its action items in one transaction, so a failure part-way
+-- (a rejected action item, a dropped connection) leaves no half-imported conversation behind. Runs as the caller:
+-- row level security and the column grants on conversations apply as they do to the app's own writes.
+create or replace function public.import_conversation(p_mode text, p_title text, p_track_id text, p_messages jsonb, p_action_items jsonb)
+returns public.conversations
+language plpgsql
+security invoker
+as $$
+declare
+  created public.conversations;
+begin
+  insert into public.conversations (user_id, mode, title, track_id)
+  values (auth.uid(), p_mode, p_title, p_track_id)
+  returning * into created;
+
+  perform public.append_message_chain(created.id, null, p_messages);
+
+  insert into public.action_items (conversation_id, user_id, kind, description, owner, due_date, done)
+  select
+    created.id,
+    auth.uid(),
+    item ->> 'kind',
+    item ->> 'description',
+    item ->> 'owner',
+    (item ->> 'due_date')::date,
+    coalesce((item ->> 'done')::boolean, false)
+  from jsonb_array_elements(coalesce(p_action_items, '[]'::jsonb)) as item;
+
+  -- Re-read for the active leaf and updated_at the message chain set.
+  select * into created from public.conversations where id = created.id;
+  return created;
+end;
+$$;
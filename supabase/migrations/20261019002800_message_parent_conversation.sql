@@ -0,0 +1,12 @@
+-- A message's parent must be in the same conversation. The foreign key on parent_id alone only checked that the
+-- parent exists, so a chain appended under another conversation's message (from a stale or forged parent id)
+-- was accepted. The composite key replaces it; a null parent_id still marks a conversation's first message.
+alter table public.messages
+  add constraint messages_conversation_id_id_key unique (conversation_id, id);
+
+alter table public.messages
+  drop constraint if exists messages_parent_id_fkey;
+
+alter table public.messages
+  add constraint messages_parent_same_conversation_fkey
+  foreign key (conversation_id, parent_id) references public.messages (conversation_id, id) on delete cascade;
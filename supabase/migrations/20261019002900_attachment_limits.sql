@@ -0,0 +1,72 @@
+-- Uploads are rate limited per user: claim_upload checks the user's uploads in the window and records this one
+-- under the same per-user advisory lock, as claim_usage does for model requests, so concurrent uploads cannot
+-- all pass. Rows older than the window are pruned on the way; failed uploads count too, as they cost the parsing.
+create table if not exists public.upload_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists upload_events_user_idx on public.upload_events (user_id, created_at);
+
+-- No client policies: only uploadAttachment reads and writes these, with the service role.
+alter table public.upload_events enable row level security;
+
+create or replace function public.claim_upload(p_user_id uuid, p_max_uploads integer, p_window_start timestamptz)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_uploads integer;
+  v_oldest timestamptz;
+  v_claimed boolean;
+begin
+  perform pg_advisory_xact_lock(hashtextextended('upload_events:' || p_user_id::text, 0));
+
+  delete from public.upload_events where user_id = p_user_id and created_at < p_window_start;
+
+  select count(*), min(created_at)
+    into v_uploads, v_oldest
+    from public.upload_events
+    where user_id = p_user_id;
+
+  v_claimed := v_uploads < p_max_uploads;
+  if v_claimed then
+    insert into public.upload_events (user_id) values (p_user_id);
+  end if;
+
+  return jsonb_build_object('claimed', v_claimed, 'uploads_in_window', v_uploads, 'oldest_upload_at', v_oldest);
+end;
+$$;
+
+revoke execute on function public.claim_upload(uuid, integer, timestamptz) from public, anon, authenticated;
+grant execute on function public.claim_upload(uuid, integer, timestamptz) to service_role;
+
+-- Attachments are uploaded before the message that carries them is sent, so a message that never is (the chip
+-- was removed, the tab closed, the send given up) leaves its attachment behind. The sweepAttachments function
+-- deletes those uploaded before `p_created_before`, at most `p_limit` per run, and removes the files at the
+-- returned storage paths.
+create or replace function public.delete_orphan_attachments(p_created_before timestamptz, p_limit integer default 500)
+returns setof text
+language sql
+security definer
+set search_path = ''
+as $$
+  delete from public.attachments a
+  where a.id in (
+    select o.id
+    from public.attachments o
+    where o.created_at < p_created_before
+      and not exists (
+        select 1 from public.messages m
+        where m.user_id = o.user_id
+          and m.attachments @> jsonb_build_array(jsonb_build_object('id', o.id::text))
+      )
+    order by o.created_at
+    limit p_limit
+  )
+  returning a.storage_path;
+$$;
+
+revoke execute on function public.delete_orphan_attachments(timestamptz, integer) from public, anon, authenticated;
+grant execute on function public.delete_orphan_attachments(timestamptz, integer) to service_role;